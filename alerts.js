@@ -2,7 +2,9 @@
  * NOAA Space Weather Alert Evaluator
  * 
  * Evaluates extracted data against NOAA-defined thresholds and returns
- * an array of active alerts plus a per-metric status summary.
+ * an array of active alerts plus a per-metric status summary. Metrics
+ * whose readings are stale or missing are reported as UNKNOWN rather
+ * than NOMINAL.
  */
 
 // ─── Threshold Definitions ──────────────────────────────────────────────────
@@ -31,11 +33,34 @@ const THRESHOLDS = {
 
     // Aurora hemispheric power in GW
     auroraActive: 50,     // Significant aurora
+
+    // Magnetopause standoff distance in Earth radii
+    geoMagnetopause: 6.6,    // Geosynchronous orbit — GEO satellites exposed to the magnetosheath
+
+    // Accumulated fluence (particles / cm² · sr)
+    electronFluenceDaily: 1e9,    // ≥2 MeV per UTC day — deep dielectric charging level
+    protonFluence3Day: 1e7,       // ≥10 MeV over 3 days — solar array degradation budget
+
+    // SWPC forecasts
+    forecastKp: 6,                  // Predicted Kp — G2 Moderate Storm
+    forecastHorizonHours: 72,       // How far ahead forecasts raise alerts
+    forecastXFlareProbability: 25,  // % chance of an X-class flare on a day
+    forecastProtonProbability: 25,  // % chance of a proton event on a day
 };
 
+// How long PROTON_EVENT_ENDED stays raised after an event's end (ms)
+const EVENT_ENDED_MS = 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Alerts raised from SWPC forecasts rather than observations
+const FORECAST_ALERTS = ['GEOMAG_STORM_FORECAST', 'FLARE_FORECAST', 'PROTON_EVENT_FORECAST'];
+
 // ─── Severity Levels ─────────────────────────────────────────────────────────
 
 const SEV = {
+    UNKNOWN: { level: -1, emoji: '⚪', label: 'UNKNOWN' },
     NOMINAL: { level: 0, emoji: '✅', label: 'NOMINAL' },
     INFO: { level: 1, emoji: '🟢', label: 'INFO' },
     WATCH: { level: 2, emoji: '⚠️', label: 'WATCH' },
@@ -43,28 +68,124 @@ const SEV = {
     CRITICAL: { level: 4, emoji: '🔴', label: 'CRITICAL' },
 };
 
+// ─── Data Freshness ──────────────────────────────────────────────────────────
+
+// Extracted data keys each metric is evaluated from
+const METRIC_INPUTS = {
+    solar_wind: ['solar_wind_mag', 'solar_wind_plasma'],
+    kp_index: ['kp_index_1m'],
+    xray_flux: ['xray_flux'],
+    proton_flux: ['proton_flux'],
+    electron_flux: ['electron_flux'],
+    f107_flux: ['f107_flux'],
+    aurora_power: ['aurora_power'],
+    magnetopause: ['solar_wind_mag', 'solar_wind_plasma'],
+    fluence: ['electron_flux', 'proton_flux'],
+    forecast: ['kp_forecast', 'event_probabilities'],
+};
+
+const FRESHNESS_RANK = { live: 0, delayed: 1, stale: 2, missing: 3 };
+
+// ─── NOAA Space Weather Scales ──────────────────────────────────────────────
+
+/**
+ * NOAA G / S / R scale boundaries (lowest value of each level) with the
+ * alert severity each level maps to and SWPC's standard impact description.
+ *   G — Kp index
+ *   S — ≥10 MeV proton flux (pfu)
+ *   R — GOES 0.1–0.8 nm X-ray flux (W/m²)
+ */
+const SCALES = {
+    G: {
+        name: 'Geomagnetic Storm',
+        levels: [
+            { min: 5, label: 'Minor', severity: 'WARNING', impact: 'Weak power grid fluctuations can occur; minor impact on satellite operations; aurora visible at high latitudes.' },
+            { min: 6, label: 'Moderate', severity: 'WARNING', impact: 'High-latitude power systems may see voltage alarms; drag on spacecraft affects orbit predictions; HF propagation fades at higher latitudes.' },
+            { min: 7, label: 'Strong', severity: 'CRITICAL', impact: 'Voltage corrections may be required; surface charging on satellite components and increased drag on LEO satellites; intermittent satellite and low-frequency radio navigation problems.' },
+            { min: 8, label: 'Severe', severity: 'CRITICAL', impact: 'Widespread voltage control problems; satellites may experience surface charging and tracking problems, orientation corrections may be needed; satellite navigation degraded for hours.' },
+            { min: 9, label: 'Extreme', severity: 'CRITICAL', impact: 'Grid collapse possible; extensive surface charging and problems with orientation, uplink/downlink and tracking satellites; HF radio impossible in many areas for 1–2 days, satellite navigation degraded for days.' },
+        ],
+    },
+    S: {
+        name: 'Solar Radiation Storm',
+        levels: [
+            { min: 10, label: 'Minor', severity: 'WARNING', impact: 'No biological impact; minor impacts on HF radio in the polar regions.' },
+            { min: 100, label: 'Moderate', severity: 'WARNING', impact: 'Elevated radiation risk for high-latitude aircraft crew; infrequent single-event upsets possible; small effects on polar HF propagation.' },
+            { min: 1000, label: 'Strong', severity: 'CRITICAL', impact: 'Radiation hazard avoidance recommended for astronauts on EVA; single-event upsets, imaging noise and slight solar panel efficiency loss likely; degraded polar HF radio.' },
+            { min: 10000, label: 'Severe', severity: 'CRITICAL', impact: 'Unavoidable radiation hazard to astronauts on EVA; memory device problems and star-tracker orientation problems; solar panel efficiency degraded; polar HF blackout.' },
+            { min: 100000, label: 'Extreme', severity: 'CRITICAL', impact: 'Unavoidable high radiation hazard to astronauts on EVA; satellites may be rendered useless, memory impacts can cause loss of control, permanent solar panel damage possible; complete polar HF blackout.' },
+        ],
+    },
+    R: {
+        name: 'Radio Blackout',
+        levels: [
+            { min: 1e-5, label: 'Minor', severity: 'WARNING', impact: 'Minor degradation of HF radio on the sunlit side with occasional loss of contact; low-frequency navigation degraded briefly.' },
+            { min: 5e-5, label: 'Moderate', severity: 'WARNING', impact: 'Limited HF blackout on the sunlit side, loss of contact for tens of minutes; low-frequency navigation degraded for tens of minutes.' },
+            { min: 1e-4, label: 'Strong', severity: 'CRITICAL', impact: 'Wide-area HF blackout on the sunlit side for about an hour; low-frequency navigation degraded for about an hour.' },
+            { min: 1e-3, label: 'Severe', severity: 'CRITICAL', impact: 'HF blackout on most of the sunlit side for 1–2 hours; low-frequency navigation outages increase positioning error; minor satellite navigation disruptions possible.' },
+            { min: 2e-3, label: 'Extreme', severity: 'CRITICAL', impact: 'Complete HF blackout on the entire sunlit side for hours; low-frequency navigation outages for many hours.' },
+        ],
+    },
+};
+
+/**
+ * Classify a reading on a NOAA scale.
+ * @param {string} type - 'G', 'S' or 'R'
+ * @param {number} value - Kp, ≥10 MeV proton pfu or X-ray W/m²
+ * @returns {Object|null} { scale: 'G3', level, label, name, severity, impact } or null below level 1
+ */
+function classifyScale(type, value) {
+    const def = SCALES[type];
+    if (!def || value === null || value === undefined || isNaN(value)) return null;
+    let level = 0;
+    while (level < def.levels.length && value >= def.levels[level].min) level++;
+    if (level === 0) return null;
+    const l = def.levels[level - 1];
+    return {
+        scale: `${type}${level}`,
+        level,
+        label: l.label,
+        name: `${type}${level} ${l.label} ${def.name}`,
+        severity: l.severity,
+        impact: l.impact,
+    };
+}
+
+// Higher of a threshold-derived severity and a scale's severity
+function scaleSeverity(sev, scale) {
+    const fromScale = scale ? SEV[scale.severity] : SEV.NOMINAL;
+    return fromScale.level > sev.level ? fromScale : sev;
+}
+
 // ─── Evaluation ──────────────────────────────────────────────────────────────
 
 /**
  * Evaluate all alert conditions against the extracted data.
  * @param {Object} extracted - The `data` object from extractor.fetchAll()
- * @returns {Object} { alerts: [...], metrics: {...} }
+ * @param {Object} [profile] - Threshold profile from profiles.get(); omitted = THRESHOLDS
+ * @param {Object} [freshness] - The `freshness` object from extractor.fetchAll(); omitted = not checked
+ * @returns {Object} { alerts: [...], metrics: {...}, scales: { G, S, R }, profile, thresholds }
  */
-function evaluate(extracted) {
+function evaluate(extracted, profile = null, freshness = null) {
+    const T = { ...THRESHOLDS, ...(profile?.thresholds || {}) };
     const alerts = [];
     const metrics = {};
 
     // 1. Geomagnetic Storm Early Warning (Solar Wind + IMF)
     const bz = extracted.solar_wind_mag?.bz_gsm;
     const speed = extracted.solar_wind_plasma?.speed;
-    const bzAlert = bz !== null && bz !== undefined && bz <= THRESHOLDS.bzSouth;
-    const speedAlert = speed !== null && speed !== undefined && speed > THRESHOLDS.windSpeed;
+    const bzAlert = bz !== null && bz !== undefined && bz <= T.bzSouth;
+    const speedAlert = speed !== null && speed !== undefined && speed > T.windSpeed;
+    // Measured at L1 — reaches Earth after the propagation delay
+    const prop = extracted.solar_wind_propagation;
 
     metrics.solar_wind = {
         bz_gsm: bz,
         speed: speed,
-        bz_threshold: THRESHOLDS.bzSouth,
-        speed_threshold: THRESHOLDS.windSpeed,
+        bz_threshold: T.bzSouth,
+        speed_threshold: T.windSpeed,
+        propagation_delay_minutes: prop?.delay_minutes ?? null,
+        earth_arrival: prop?.arrival_time ?? null,
         status: (bzAlert && speedAlert) ? SEV.CRITICAL : SEV.NOMINAL,
     };
 
@@ -72,8 +193,12 @@ function evaluate(extracted) {
         alerts.push({
             id: 'GEOMAG_STORM_IMMINENT',
             severity: SEV.CRITICAL,
-            message: `Geomagnetic storm IMMINENT: Bz=${bz} nT (southward), Speed=${speed} km/s`,
-            details: `IMF Bz is strongly southward (≤${THRESHOLDS.bzSouth} nT) AND solar wind speed exceeds ${THRESHOLDS.windSpeed} km/s. Earth's magnetic shield is being breached.`,
+            eta: prop?.arrival_time ?? null,
+            message: `Geomagnetic storm IMMINENT: Bz=${bz} nT (southward), Speed=${speed} km/s${prop ? `, impact ~${prop.arrival_time.slice(11, 16)} UTC` : ''}`,
+            details: `IMF Bz is strongly southward (≤${T.bzSouth} nT) AND solar wind speed exceeds ${T.windSpeed} km/s at L1. `
+                + (prop
+                    ? `This solar wind reaches Earth ~${prop.delay_minutes} min after it was measured (estimated impact ${prop.arrival_time}).`
+                    : `Earth's magnetic shield is being breached.`),
         });
     }
 
@@ -81,25 +206,33 @@ function evaluate(extracted) {
     const kp = extracted.kp_index_1m?.kp_index;
     let kpSev = SEV.NOMINAL;
     if (kp !== null && kp !== undefined) {
-        if (kp >= THRESHOLDS.kpSevereStorm) kpSev = SEV.CRITICAL;
-        else if (kp >= THRESHOLDS.kpMinorStorm) kpSev = SEV.WARNING;
+        if (kp >= T.kpSevereStorm) kpSev = SEV.CRITICAL;
+        else if (kp >= T.kpMinorStorm) kpSev = SEV.WARNING;
     }
+    const gScale = classifyScale('G', kp);
+    const officialKp = extracted.kp_index_official?.kp;
+    if (kpSev.level >= SEV.WARNING.level) kpSev = scaleSeverity(kpSev, gScale);
 
     metrics.kp_index = {
         kp_index: kp,
         estimated_kp: extracted.kp_index_1m?.estimated_kp,
-        threshold_minor: THRESHOLDS.kpMinorStorm,
-        threshold_severe: THRESHOLDS.kpSevereStorm,
+        official_kp: officialKp ?? null,
+        threshold_minor: T.kpMinorStorm,
+        threshold_severe: T.kpSevereStorm,
+        scale: gScale,
+        official_scale: classifyScale('G', officialKp),
         status: kpSev,
     };
 
     if (kpSev.level >= SEV.WARNING.level) {
-        const scale = kp >= 9 ? 'G5 Extreme' : kp >= 8 ? 'G4 Severe' : kp >= 7 ? 'G3 Strong' : kp >= 6 ? 'G2 Moderate' : 'G1 Minor';
         alerts.push({
             id: 'GEOMAG_STORM_ACTIVE',
             severity: kpSev,
-            message: `Geomagnetic storm ACTIVE: Kp=${kp} (${scale})`,
-            details: `Kp index ≥${THRESHOLDS.kpMinorStorm}. Expect satellite drag increases, GPS degradation, and possible aurora at lower latitudes.`,
+            scale: gScale,
+            message: `Geomagnetic storm ACTIVE: Kp=${kp} (${gScale ? gScale.scale + ' ' + gScale.label : 'below G1'})`,
+            details: gScale
+                ? `Kp index ≥${T.kpMinorStorm}. ${gScale.impact}`
+                : `Kp index ≥${T.kpMinorStorm}. Expect satellite drag increases, GPS degradation, and possible aurora at lower latitudes.`,
         });
     }
 
@@ -107,63 +240,104 @@ function evaluate(extracted) {
     const xFlux = extracted.xray_flux?.flux;
     let xSev = SEV.NOMINAL;
     if (xFlux !== null && xFlux !== undefined) {
-        if (xFlux >= THRESHOLDS.xClassFlare) xSev = SEV.CRITICAL;
-        else if (xFlux >= THRESHOLDS.mClassFlare) xSev = SEV.WARNING;
+        if (xFlux >= T.xClassFlare) xSev = SEV.CRITICAL;
+        else if (xFlux >= T.mClassFlare) xSev = SEV.WARNING;
     }
+    const rScale = classifyScale('R', xFlux);
+    if (xSev.level >= SEV.WARNING.level) xSev = scaleSeverity(xSev, rScale);
 
     const flareClass = xFlux ? classifyFlare(xFlux) : 'N/A';
     metrics.xray_flux = {
         flux: xFlux,
         flare_class: flareClass,
-        threshold_m: THRESHOLDS.mClassFlare,
-        threshold_x: THRESHOLDS.xClassFlare,
+        threshold_m: T.mClassFlare,
+        threshold_x: T.xClassFlare,
+        scale: rScale,
         status: xSev,
     };
 
     if (xSev.level >= SEV.WARNING.level) {
-        const rScale = xFlux >= THRESHOLDS.xClassFlare ? 'R3+ Radio Blackout' : 'R1 Radio Blackout';
         alerts.push({
             id: 'RADIO_BLACKOUT',
             severity: xSev,
-            message: `Solar flare detected: ${flareClass} (${rScale})`,
-            details: `X-ray flux = ${xFlux?.toExponential(2)} W/m². HF radio communications on the sunlit side of Earth may be degraded or blacked out.`,
+            scale: rScale,
+            message: `Solar flare detected: ${flareClass} (${rScale ? rScale.scale + ' ' + rScale.label + ' Radio Blackout' : 'below R1'})`,
+            details: `X-ray flux = ${xFlux?.toExponential(2)} W/m². ${rScale ? rScale.impact : 'HF radio communications on the sunlit side of Earth may be degraded.'}`,
         });
     }
 
-    // 4. Proton Flux (Radiation Storm)
+    // 4. Proton Flux (Radiation Storm) — raised on NOAA-defined proton events
+    // (three consecutive points above threshold), not on single samples
     const pFlux = extracted.proton_flux?.flux;
+    const events = extracted.proton_events || {};
+    const sepEvent = events['>=10 MeV'] || null;
+    const sScale = classifyScale('S', pFlux);
     let pSev = SEV.NOMINAL;
-    if (pFlux !== null && pFlux !== undefined && pFlux >= THRESHOLDS.s1Radiation) {
-        pSev = SEV.WARNING;
+    if (sepEvent?.in_progress) {
+        pSev = scaleSeverity(SEV.WARNING, sScale);
+    } else if (pFlux !== null && pFlux !== undefined && pFlux >= T.s1Radiation) {
+        // Above threshold but no event yet — onset needs three consecutive points
+        pSev = SEV.WATCH;
     }
 
     metrics.proton_flux = {
         flux: pFlux,
         energy: '>=10 MeV',
-        threshold: THRESHOLDS.s1Radiation,
+        threshold: T.s1Radiation,
+        scale: sScale,
+        event: sepEvent,
+        high_energy_events: { '>=50 MeV': events['>=50 MeV'] || null, '>=100 MeV': events['>=100 MeV'] || null },
         status: pSev,
     };
 
-    if (pSev.level >= SEV.WARNING.level) {
+    if (sepEvent?.in_progress) {
         alerts.push({
             id: 'RADIATION_STORM',
             severity: pSev,
-            message: `Radiation storm (S1+): Proton flux = ${pFlux?.toFixed(1)} pfu (>=10 MeV)`,
-            details: `High-energy protons exceeding ${THRESHOLDS.s1Radiation} pfu. Risk of satellite memory bit-flips (SEUs), solar panel degradation, and radiation hazard.`,
+            scale: sScale,
+            event: sepEvent,
+            message: `Radiation storm (${sScale ? sScale.scale + ' ' + sScale.label : 'below S1'}): ≥10 MeV proton event since ${fmtTime(sepEvent.begin)}, now ${pFlux?.toFixed(1)} pfu (peak ${sepEvent.peak_flux.toFixed(1)} pfu at ${fmtTime(sepEvent.peak)})`,
+            details: `≥10 MeV proton flux has stayed at or above ${sepEvent.threshold_pfu} pfu since ${sepEvent.begin}. ${sScale ? sScale.impact : 'Risk of satellite memory bit-flips (SEUs), solar panel degradation, and radiation hazard.'}`,
+        });
+    }
+
+    const hard = ['>=100 MeV', '>=50 MeV'].map(band => events[band]).filter(e => e?.in_progress);
+    if (hard.length > 0) {
+        const worst = hard[0];
+        alerts.push({
+            id: 'HIGH_ENERGY_PROTONS',
+            severity: worst.band === '>=100 MeV' ? SEV.WARNING : SEV.WATCH,
+            event: worst,
+            message: `High-energy proton event: ${hard.map(e => `${e.band.replace('>=', '≥')} since ${fmtTime(e.begin)} (peak ${e.peak_flux.toFixed(2)} pfu)`).join(', ')}`,
+            details: `Proton flux ${hard.map(e => e.band.replace('>=', '≥')).join(' and ')} has stayed at or above ${worst.threshold_pfu} pfu. These protons penetrate spacecraft shielding, raising single-event upset rates and crew dose.`,
+        });
+    }
+
+    // An ended event stays visible as INFO for an hour after its last
+    // above-threshold point
+    const ended = Object.values(events).filter(e => e && !e.in_progress
+        && Date.parse(extracted.proton_flux?.time_tag) - Date.parse(e.end) <= EVENT_ENDED_MS);
+    if (ended.length > 0) {
+        alerts.push({
+            id: 'PROTON_EVENT_ENDED',
+            severity: SEV.INFO,
+            event: ended[0],
+            message: `Proton event ended: ${ended.map(e => `${e.band.replace('>=', '≥')} at ${fmtTime(e.end)} (peak ${e.peak_flux.toFixed(1)} pfu${e.scale ? ', ' + e.scale : ''})`).join(', ')}`,
+            details: `Flux has stayed below the event threshold for three consecutive points. ${ended.map(e => `${e.band.replace('>=', '≥')}: ${e.begin} – ${e.end}, ${e.duration_minutes} min`).join('; ')}.`,
         });
     }
 
     // 5. Electron Flux (Deep Dielectric Charging)
     const eFlux = extracted.electron_flux?.flux;
     let eSev = SEV.NOMINAL;
-    if (eFlux !== null && eFlux !== undefined && eFlux >= THRESHOLDS.electronAlert) {
+    if (eFlux !== null && eFlux !== undefined && eFlux >= T.electronAlert) {
         eSev = SEV.WARNING;
     }
 
     metrics.electron_flux = {
         flux: eFlux,
         energy: '>=2 MeV',
-        threshold: THRESHOLDS.electronAlert,
+        threshold: T.electronAlert,
         status: eSev,
     };
 
@@ -172,21 +346,21 @@ function evaluate(extracted) {
             id: 'DIELECTRIC_CHARGING',
             severity: eSev,
             message: `Deep dielectric charging risk: Electron flux = ${eFlux?.toFixed(0)} pfu (>=2 MeV)`,
-            details: `High-energy electrons exceeding ${THRESHOLDS.electronAlert} pfu. Spacecraft internal charging may cause arcing and short circuits.`,
+            details: `High-energy electrons exceeding ${T.electronAlert} pfu. Spacecraft internal charging may cause arcing and short circuits.`,
         });
     }
 
     // 6. F10.7 (Atmospheric Drag)
     const f107 = extracted.f107_flux?.flux;
     let fSev = SEV.NOMINAL;
-    if (f107 !== null && f107 !== undefined && f107 >= THRESHOLDS.highDrag) {
+    if (f107 !== null && f107 !== undefined && f107 >= T.highDrag) {
         fSev = SEV.WATCH;
     }
 
     metrics.f107_flux = {
         flux: f107,
         unit: 'SFU',
-        threshold: THRESHOLDS.highDrag,
+        threshold: T.highDrag,
         status: fSev,
     };
 
@@ -195,40 +369,233 @@ function evaluate(extracted) {
             id: 'HIGH_ATMOSPHERIC_DRAG',
             severity: fSev,
             message: `Elevated atmospheric drag: F10.7 = ${f107} SFU`,
-            details: `F10.7 cm flux ≥${THRESHOLDS.highDrag} SFU. Upper atmosphere is expanding; LEO satellites may experience increased orbital decay.`,
+            details: `F10.7 cm flux ≥${T.highDrag} SFU. Upper atmosphere is expanding; LEO satellites may experience increased orbital decay.`,
         });
     }
 
-    // 7. Aurora Hemispheric Power
-    const aurGW = extracted.aurora_power?.hemispheric_power_gw;
+    // 7. Aurora Hemispheric Power (each hemisphere alerts on its own, as
+    //    AURORA_ACTIVE with its `hemisphere` — see alertKey())
+    const aur = extracted.aurora_power;
     let aSev = SEV.NOMINAL;
-    if (aurGW !== null && aurGW !== undefined && aurGW >= THRESHOLDS.auroraActive) {
+    for (const [hemisphere, gw, region] of [['north', aur?.north_gw, 'Arctic'], ['south', aur?.south_gw, 'Antarctic']]) {
+        if (gw === null || gw === undefined || gw < T.auroraActive) continue;
         aSev = SEV.INFO;
+        alerts.push({
+            id: 'AURORA_ACTIVE',
+            severity: SEV.INFO,
+            hemisphere,
+            message: `Aurora active (${hemisphere}ern hemisphere): Hemispheric power = ${gw} GW`,
+            details: `${hemisphere === 'north' ? 'Northern' : 'Southern'} hemispheric power ≥${T.auroraActive} GW. Significant aurora is occurring over the ${region}; expect polar HF and GPS degradation there.`,
+        });
     }
 
     metrics.aurora_power = {
-        hemispheric_power_gw: aurGW,
-        threshold: THRESHOLDS.auroraActive,
+        north_gw: aur?.north_gw ?? null,
+        south_gw: aur?.south_gw ?? null,
+        hemispheric_power_gw: aur?.hemispheric_power_gw ?? null,
+        threshold: T.auroraActive,
         status: aSev,
     };
 
-    if (aSev.level >= SEV.INFO.level) {
+    // 8. Magnetopause Standoff (GEO Crossing)
+    const mp = extracted.solar_wind_derived;
+    const standoff = mp?.standoff_re;
+    let mpSev = SEV.NOMINAL;
+    if (standoff !== null && standoff !== undefined && standoff < T.geoMagnetopause) {
+        mpSev = SEV.WARNING;
+    }
+
+    metrics.magnetopause = {
+        standoff_re: standoff ?? null,
+        dynamic_pressure_npa: mp?.dynamic_pressure_npa ?? null,
+        threshold: T.geoMagnetopause,
+        status: mpSev,
+    };
+
+    if (mpSev.level >= SEV.WARNING.level) {
         alerts.push({
-            id: 'AURORA_ACTIVE',
-            severity: aSev,
-            message: `Aurora active: Hemispheric power = ${aurGW} GW`,
-            details: `Hemispheric power ≥${THRESHOLDS.auroraActive} GW. Significant aurora is occurring in the polar regions.`,
+            id: 'MAGNETOPAUSE_GEO_CROSSING',
+            severity: mpSev,
+            eta: prop?.arrival_time ?? null,
+            message: `Magnetopause inside GEO: standoff = ${standoff} Rₑ (< ${T.geoMagnetopause} Rₑ)${prop ? `, from ~${prop.arrival_time.slice(11, 16)} UTC` : ''}`,
+            details: `Dynamic pressure of ${mp.dynamic_pressure_npa} nPa compresses the dayside magnetopause to ${standoff} Rₑ (Shue model). Geosynchronous satellites near local noon may cross into the magnetosheath, with sudden field reversals affecting magnetometer-based attitude control and increased surface charging.`,
+        });
+    }
+
+    // 9. Fluence (Accumulated Dose)
+    // Daily electron fluence counts the day so far and the last complete UTC
+    // day, as SWPC reports the previous day's total
+    const fq = extracted.fluence?.quantities || {};
+    const eDays = [fq.electron_2mev?.today, ...(fq.electron_2mev?.days || []).slice(-1)].filter(d => d?.fluence != null);
+    const eDay = eDays.reduce((a, b) => (b.fluence > a.fluence ? b : a), eDays[0] || null);
+    const p3 = fq.proton_10mev?.rolling_3day || null;
+    let flSev = SEV.NOMINAL;
+    if (p3 && p3.fluence >= T.protonFluence3Day) flSev = SEV.WATCH;
+    if (eDay && eDay.fluence >= T.electronFluenceDaily) flSev = SEV.WARNING;
+
+    metrics.fluence = {
+        electron_daily: eDay?.fluence ?? null,
+        electron_date: eDay?.date ?? null,
+        threshold_electron_daily: T.electronFluenceDaily,
+        proton_3day: p3?.fluence ?? null,
+        threshold_proton_3day: T.protonFluence3Day,
+        status: flSev,
+    };
+
+    if (eDay && eDay.fluence >= T.electronFluenceDaily) {
+        alerts.push({
+            id: 'ELECTRON_FLUENCE_HIGH',
+            severity: SEV.WARNING,
+            message: `High electron fluence: ≥2 MeV = ${eDay.fluence.toExponential(2)} ${fq.electron_2mev.unit} on ${eDay.date}`,
+            details: `Daily ≥2 MeV electron fluence at or above ${T.electronFluenceDaily.toExponential(0)}. Charge is building up in spacecraft dielectrics and cable insulation; discharge anomalies can follow hours to days later.`,
+        });
+    }
+
+    if (p3 && p3.fluence >= T.protonFluence3Day) {
+        alerts.push({
+            id: 'PROTON_FLUENCE_HIGH',
+            severity: SEV.WATCH,
+            message: `High proton fluence: ≥10 MeV = ${p3.fluence.toExponential(2)} ${fq.proton_10mev.unit} over 3 days`,
+            details: `Rolling 3-day ≥10 MeV proton fluence at or above ${T.protonFluence3Day.toExponential(0)}. Displacement damage is eating into the solar array degradation budget.`,
+        });
+    }
+
+    // 10. Forecast (SWPC 3-Day Forecasts)
+    // The horizon starts at the newest Kp reading (the forecast's issue time without one)
+    const kpf = extracted.kp_forecast;
+    const probs = extracted.event_probabilities;
+    const fcNow = utcMs(extracted.kp_index_1m?.time_tag || kpf?.time_tag || probs?.time_tag);
+    const fcEnd = fcNow + T.forecastHorizonHours * HOUR_MS;
+    const ahead = (start, end) => end > fcNow && start < fcEnd;
+
+    const kpAhead = (kpf?.kp || []).filter(r => ahead(utcMs(r.time), utcMs(r.end)));
+    const kpPeak = kpAhead.reduce((a, b) => (!a || b.kp > a.kp ? b : a), null);
+    const kpStorm = kpAhead.filter(r => r.kp >= T.forecastKp);
+    const daysAhead = (probs?.days || []).filter(d => ahead(utcMs(d.date), utcMs(d.date) + DAY_MS));
+    const likeliest = field => daysAhead.reduce((a, b) => (b[field] != null && (!a || b[field] > a[field]) ? b : a), null);
+    const xDay = likeliest('class_x');
+    const pDay = likeliest('proton');
+    const fcScale = classifyScale('G', kpPeak?.kp);
+
+    const stormForecast = kpStorm.length > 0;
+    const flareForecast = xDay && xDay.class_x >= T.forecastXFlareProbability;
+    const protonForecast = pDay && pDay.proton >= T.forecastProtonProbability;
+
+    metrics.forecast = {
+        max_kp: kpPeak?.kp ?? null,
+        max_kp_time: kpPeak?.time ?? null,
+        scale: fcScale,
+        threshold: T.forecastKp,
+        horizon_hours: T.forecastHorizonHours,
+        x_flare_probability: xDay?.class_x ?? null,
+        proton_probability: pDay?.proton ?? null,
+        threshold_x_flare: T.forecastXFlareProbability,
+        threshold_proton: T.forecastProtonProbability,
+        issued: kpf?.time_tag ?? null,
+        status: stormForecast || flareForecast || protonForecast ? SEV.WATCH : SEV.NOMINAL,
+    };
+
+    if (stormForecast) {
+        const first = kpStorm[0];
+        alerts.push({
+            id: 'GEOMAG_STORM_FORECAST',
+            severity: SEV.WATCH,
+            scale: fcScale,
+            eta: first.time,
+            message: `Geomagnetic storm forecast: Kp ${kpPeak.kp} (${fcScale ? fcScale.scale + ' ' + fcScale.label : 'below G1'}) predicted for ${fmtDayTime(kpPeak.time)}`,
+            details: `SWPC's 3-day forecast (issued ${kpf.time_tag}) predicts Kp ≥${T.forecastKp} in ${kpStorm.length} of the next ${kpAhead.length} 3-hour periods, from ${fmtDayTime(first.time)}. ${fcScale ? fcScale.impact : ''}`.trim(),
+        });
+    }
+
+    if (flareForecast) {
+        alerts.push({
+            id: 'FLARE_FORECAST',
+            severity: SEV.WATCH,
+            message: `X-class flare forecast: ${xDay.class_x}% chance on ${xDay.date}`,
+            details: `SWPC forecasts a ${xDay.class_x}% chance of an X-class flare (R3 Strong Radio Blackout or worse) on ${xDay.date}${xDay.class_m != null ? `, and ${xDay.class_m}% for M-class` : ''}. Wide-area HF blackouts on the sunlit side are possible.`,
         });
     }
 
+    if (protonForecast) {
+        alerts.push({
+            id: 'PROTON_EVENT_FORECAST',
+            severity: SEV.WATCH,
+            message: `Proton event forecast: ${pDay.proton}% chance on ${pDay.date}`,
+            details: `SWPC forecasts a ${pDay.proton}% chance of a ≥10 MeV proton event (S1 or worse) on ${pDay.date}${probs.pcaf ? ` (polar cap absorption forecast: ${probs.pcaf})` : ''}. Plan EVAs and sensitive operations around the window.`,
+        });
+    }
+
+    // 11. Data Freshness (Stale / Missing Feeds)
+    if (freshness) {
+        const outdated = [];
+        for (const [metric, keys] of Object.entries(METRIC_INPUTS)) {
+            const states = keys.map(k => freshness[k]).filter(Boolean);
+            if (states.length === 0) continue;
+            const worst = states.reduce((a, b) => FRESHNESS_RANK[b.state] > FRESHNESS_RANK[a.state] ? b : a);
+            metrics[metric].freshness = worst;
+            if (worst.state === 'stale' || worst.state === 'missing') {
+                outdated.push(`${metric} (${worst.state === 'missing' ? 'missing' : formatAge(worst.age_seconds) + ' old'})`);
+                if (metrics[metric].status === SEV.NOMINAL) metrics[metric].status = SEV.UNKNOWN;
+            }
+        }
+
+        if (outdated.length > 0) {
+            alerts.push({
+                id: 'DATA_STALE',
+                severity: SEV.WATCH,
+                message: `Stale data: ${outdated.join(', ')}`,
+                details: `No current reading for ${outdated.length} metric${outdated.length > 1 ? 's' : ''}. Their status is UNKNOWN until the feed recovers; conditions may have changed since the last observation.`,
+            });
+        }
+    }
+
     // Sort alerts by severity (highest first)
     alerts.sort((a, b) => b.severity.level - a.severity.level);
 
-    return { alerts, metrics };
+    // Current NOAA scale levels (null = below level 1)
+    const scales = { G: gScale, S: sScale, R: rScale };
+
+    return { alerts, metrics, scales, profile: profile?.name || null, thresholds: T };
 }
 
 // ─── Utilities ───────────────────────────────────────────────────────────────
 
+/**
+ * Identity of an alert across evaluations: its id, plus the hemisphere for
+ * alerts raised once per hemisphere (AURORA_ACTIVE → "AURORA_ACTIVE:north").
+ */
+function alertKey(alert) {
+    return alert.hemisphere ? `${alert.id}:${alert.hemisphere}` : alert.id;
+}
+
+/**
+ * Format an age in seconds as "45s", "12m" or "3h 05m".
+ */
+function formatAge(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// "HH:MM UTC" from an ISO time tag
+function fmtTime(iso) {
+    return `${String(iso).slice(11, 16)} UTC`;
+}
+
+// "2024-05-11 00:00 UTC" from an ISO time tag
+function fmtDayTime(iso) {
+    return `${String(iso).slice(0, 10)} ${fmtTime(iso)}`;
+}
+
+// Epoch ms of a time tag; tags without a zone (Kp "2024-05-10T12:00:00") are UTC
+function utcMs(t) {
+    if (!t) return NaN;
+    const s = String(t).trim().replace(' ', 'T');
+    return Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(s) || s.length <= 10 ? s : s + 'Z');
+}
+
 /**
  * Classify X-ray flux into standard solar flare class (A, B, C, M, X).
  */
@@ -251,4 +618,4 @@ function classifyFlare(flux) {
     }
 }
 
-module.exports = { evaluate, THRESHOLDS, SEV, classifyFlare };
+module.exports = { evaluate, classifyScale, alertKey, THRESHOLDS, SEV, SCALES, METRIC_INPUTS, FORECAST_ALERTS, classifyFlare, formatAge };
@@ -0,0 +1,338 @@
+/**
+ * OVATION Aurora Products
+ *
+ * Parses the hemispheric power table (aurora-nowcast-hemi-power.txt) into
+ * one row per observation:
+ *
+ *   2024-05-10_11:25     2024-05-10_12:05       35         40
+ *   observation          forecast               north GW   south GW
+ *
+ * and SWPC's OVATION nowcast (ovation_aurora_latest.json) — the chance of
+ * visible aurora (0–100 %) on a 1° global grid — answering questions of it:
+ *
+ *   probabilityAt()      → probability at a point (bilinear between grid nodes)
+ *   nearestHigh()        → nearest latitude on the point's meridian where the
+ *                          probability reaches a level
+ *   hemisphereGrid()     → one hemisphere, downsampled by taking the block maximum
+ *   contours()           → GeoJSON probability contours (marching squares)
+ *
+ * The grid is kept as one flat array indexed (lat + 90) × 360 + lon, with
+ * longitudes 0–359 east as SWPC publishes them.
+ */
+
+const { normalizeTime } = require('./store');
+
+const LONS = 360;
+const LATS = 181;
+
+// Lowest probability SWPC draws on its aurora maps — the equatorward edge of the oval
+const VIEW_PROBABILITY = 10;
+
+// "High" probability for point queries unless the caller picks a level
+const HIGH_PROBABILITY = 50;
+
+const CONTOUR_LEVELS = [10, 30, 50, 70, 90];
+
+const HEMISPHERES = ['north', 'south'];
+
+const KM_PER_DEGREE = 111.2;
+
+// ─── Hemispheric Power ───────────────────────────────────────────────────────
+
+/**
+ * Parse the hemispheric power table. Comment lines start with '#'.
+ * @param {string} text - Product text
+ * @returns {Array} [{ time (observation), forecast_time, north_gw, south_gw }], oldest first
+ */
+function parseHemiPower(text) {
+    const rows = [];
+    for (const line of String(text || '').split('\n')) {
+        const m = /^\s*(\d{4}-\d{2}-\d{2}_\d{2}:\d{2})\s+(\d{4}-\d{2}-\d{2}_\d{2}:\d{2})\s+(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)\s*$/.exec(line);
+        if (!m) continue;
+        rows.push({ time: tableTime(m[1]), forecast_time: tableTime(m[2]), north_gw: Number(m[3]), south_gw: Number(m[4]) });
+    }
+    return rows.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// "2024-05-10_11:25" → "2024-05-10T11:25:00Z"
+function tableTime(value) {
+    return value.replace('_', 'T') + ':00Z';
+}
+
+// ─── OVATION Grid ────────────────────────────────────────────────────────────
+
+/**
+ * Parse the OVATION nowcast document.
+ * @param {Object} doc - { "Observation Time", "Forecast Time", coordinates: [[lon, lat, aurora], …] }
+ * @returns {Object|null} { observation_time, forecast_time, values (flat, lat-major) }
+ */
+function parseOvation(doc) {
+    if (!doc || !Array.isArray(doc.coordinates) || doc.coordinates.length === 0) return null;
+    const values = new Array(LONS * LATS).fill(0);
+    for (const point of doc.coordinates) {
+        if (!Array.isArray(point) || point.length < 3) continue;
+        const [lon, lat, aurora] = point.map(Number);
+        if (!Number.isInteger(lon) || !Number.isInteger(lat) || lat < -90 || lat > 90 || !Number.isFinite(aurora)) continue;
+        values[index(lat, lon)] = aurora;
+    }
+    return {
+        observation_time: normalizeTime(doc['Observation Time']),
+        forecast_time: normalizeTime(doc['Forecast Time']),
+        values,
+    };
+}
+
+/**
+ * Latest-value summary of a parsed grid, per hemisphere.
+ * @returns {Object|null} { time_tag, forecast_time, north: { max_probability, equatorward_latitude }, south }
+ */
+function summarize(grid) {
+    if (!grid) return null;
+    const out = { time_tag: grid.observation_time, forecast_time: grid.forecast_time };
+    for (const hemisphere of HEMISPHERES) {
+        let max = 0;
+        let edge = null;
+        for (const lat of latitudes(hemisphere, 1)) {
+            for (let lon = 0; lon < LONS; lon++) {
+                const v = grid.values[index(lat, lon)];
+                if (v > max) max = v;
+                if (v >= VIEW_PROBABILITY && (edge === null || Math.abs(lat) < Math.abs(edge))) edge = lat;
+            }
+        }
+        out[hemisphere] = { max_probability: max, equatorward_latitude: edge };
+    }
+    return out;
+}
+
+// ─── Point Queries ───────────────────────────────────────────────────────────
+
+/**
+ * Probability at a point, interpolated between the four surrounding grid nodes.
+ * @param {number} lat - Degrees north (-90…90)
+ * @param {number} lon - Degrees east (either -180…180 or 0…360)
+ */
+function probabilityAt(grid, lat, lon) {
+    lon = wrapLon(lon);
+    const lat0 = Math.min(Math.floor(lat), 89);
+    const lon0 = Math.floor(lon);
+    const fy = lat - lat0;
+    const fx = lon - lon0;
+    const v = (la, lo) => grid.values[index(la, lo % LONS)];
+    const p = (1 - fy) * ((1 - fx) * v(lat0, lon0) + fx * v(lat0, lon0 + 1))
+        + fy * ((1 - fx) * v(lat0 + 1, lon0) + fx * v(lat0 + 1, lon0 + 1));
+    return Math.round(p * 10) / 10;
+}
+
+/**
+ * Nearest latitude on the point's meridian (nearest grid longitude), in the
+ * point's hemisphere, where the probability reaches `level`.
+ * @returns {Object|null} { latitude, longitude, probability, distance_km, direction: here|poleward|equatorward }
+ */
+function nearestHigh(grid, lat, lon, level = HIGH_PROBABILITY) {
+    const gridLon = Math.round(wrapLon(lon)) % LONS;
+    let best = null;
+    for (const gridLat of latitudes(lat < 0 ? 'south' : 'north', 1)) {
+        const v = grid.values[index(gridLat, gridLon)];
+        if (v < level) continue;
+        if (best === null || Math.abs(gridLat - lat) < Math.abs(best.latitude - lat)) {
+            best = { latitude: gridLat, probability: v };
+        }
+    }
+    if (!best) return null;
+    const delta = Math.abs(best.latitude) - Math.abs(lat);
+    return {
+        latitude: best.latitude,
+        longitude: eastWest(gridLon),
+        probability: best.probability,
+        distance_km: Math.round(Math.abs(best.latitude - lat) * KM_PER_DEGREE),
+        direction: Math.abs(delta) < 1 ? 'here' : delta > 0 ? 'poleward' : 'equatorward',
+    };
+}
+
+// ─── Hemisphere Grids ────────────────────────────────────────────────────────
+
+/**
+ * One hemisphere at `step`° resolution; each cell holds the maximum of the
+ * 1° nodes it covers, so narrow bright arcs survive downsampling.
+ * @param {string} hemisphere - 'north' | 'south'
+ * @param {number} [step] - Degrees per cell (1–10)
+ * @returns {Object} { hemisphere, step, latitudes, longitudes, values: [[…per longitude], …per latitude] }
+ */
+function hemisphereGrid(grid, hemisphere, step = 1) {
+    const lats = latitudes(hemisphere, step);
+    const lons = [];
+    for (let lon = 0; lon < LONS; lon += step) lons.push(lon);
+    const values = lats.map(lat => lons.map(lon => {
+        let max = 0;
+        for (let dy = 0; dy < step; dy++) {
+            const la = hemisphere === 'north' ? lat - dy : lat + dy;
+            if (hemisphere === 'north' ? la < 0 : la > 0) break;
+            for (let dx = 0; dx < step && lon + dx < LONS; dx++) {
+                max = Math.max(max, grid.values[index(la, lon + dx)]);
+            }
+        }
+        return max;
+    }));
+    return { hemisphere, step, latitudes: lats, longitudes: lons, values };
+}
+
+// ─── Contours ────────────────────────────────────────────────────────────────
+
+// Marching-squares cell case → corner-to-corner edges cut by the contour.
+// Corners: bit 1 = (lat, lon), 2 = (lat, lon+1), 4 = (lat+1, lon+1), 8 = (lat+1, lon);
+// edges: b(ottom) = lat row, t(op) = lat+1 row, l(eft) = lon column, r(ight) = lon+1 column.
+// Saddles (5, 10) are resolved by the cell-centre average (see cellSegments).
+const CASES = {
+    1: [['l', 'b']], 2: [['b', 'r']], 3: [['l', 'r']], 4: [['r', 't']],
+    6: [['b', 't']], 7: [['l', 't']], 8: [['l', 't']], 9: [['b', 't']],
+    11: [['r', 't']], 12: [['l', 'r']], 13: [['b', 'r']], 14: [['l', 'b']],
+};
+
+/**
+ * Probability contours as a GeoJSON FeatureCollection — one MultiLineString
+ * per hemisphere and level, longitudes in -180…180 (lines are split at the
+ * antimeridian).
+ * @param {Array} hemispheres - Subset of ['north', 'south']
+ * @param {Array} [levels] - Probabilities to contour (%)
+ */
+function contours(grid, hemispheres, levels = CONTOUR_LEVELS) {
+    const features = [];
+    for (const hemisphere of hemispheres) {
+        const [latFrom, latTo] = hemisphere === 'north' ? [0, 90] : [-90, 0];
+        for (const level of levels) {
+            const segments = [];
+            for (let lat = latFrom; lat < latTo; lat++) {
+                for (let lon = 0; lon < LONS; lon++) segments.push(...cellSegments(grid, lat, lon, level));
+            }
+            const lines = joinSegments(segments).flatMap(splitAtAntimeridian).filter(l => l.length > 1);
+            if (lines.length === 0) continue;
+            features.push({
+                type: 'Feature',
+                properties: { hemisphere, probability: level },
+                geometry: { type: 'MultiLineString', coordinates: lines },
+            });
+        }
+    }
+    return {
+        type: 'FeatureCollection',
+        properties: { observation_time: grid.observation_time, forecast_time: grid.forecast_time, levels },
+        features,
+    };
+}
+
+// Contour segments crossing one cell, as pairs of { key, point } edge crossings
+function cellSegments(grid, lat, lon, level) {
+    const lon1 = (lon + 1) % LONS;
+    const a = grid.values[index(lat, lon)];
+    const b = grid.values[index(lat, lon1)];
+    const c = grid.values[index(lat + 1, lon1)];
+    const d = grid.values[index(lat + 1, lon)];
+    const code = (a >= level ? 1 : 0) | (b >= level ? 2 : 0) | (c >= level ? 4 : 0) | (d >= level ? 8 : 0);
+    if (code === 0 || code === 15) return [];
+
+    let pairs = CASES[code];
+    if (!pairs) {
+        const centreHigh = (a + b + c + d) / 4 >= level;
+        // 5: a and c high — 10: b and d high
+        pairs = (code === 5) === centreHigh
+            ? [['l', 't'], ['b', 'r']]
+            : [['l', 'b'], ['r', 't']];
+    }
+
+    const t = (v0, v1) => (v1 === v0 ? 0.5 : (level - v0) / (v1 - v0));
+    const edges = {
+        b: { key: `h${lat}:${lon}`, point: [lon + t(a, b), lat] },
+        t: { key: `h${lat + 1}:${lon}`, point: [lon + t(d, c), lat + 1] },
+        l: { key: `v${lat}:${lon}`, point: [lon, lat + t(a, d)] },
+        r: { key: `v${lat}:${lon1}`, point: [lon + 1, lat + t(b, c)] },
+    };
+    return pairs.map(([e0, e1]) => [edges[e0], edges[e1]]);
+}
+
+// Chain segments sharing an edge crossing into polylines of [lon, lat]
+function joinSegments(segments) {
+    const byKey = new Map();
+    segments.forEach((seg, i) => seg.forEach(end => {
+        if (!byKey.has(end.key)) byKey.set(end.key, []);
+        byKey.get(end.key).push(i);
+    }));
+
+    const used = new Array(segments.length).fill(false);
+    const next = (key, from) => (byKey.get(key) || []).find(i => i !== from && !used[i]);
+    const lines = [];
+    for (let i = 0; i < segments.length; i++) {
+        if (used[i]) continue;
+        used[i] = true;
+        const line = [segments[i][0], segments[i][1]];
+        // Grow forwards from the tail, then backwards from the head
+        for (const atEnd of [true, false]) {
+            let cur = i;
+            let j;
+            while ((j = next((atEnd ? line[line.length - 1] : line[0]).key, cur)) !== undefined) {
+                used[j] = true;
+                const [p, q] = segments[j];
+                const tip = atEnd ? line[line.length - 1] : line[0];
+                const other = p.key === tip.key ? q : p;
+                if (atEnd) line.push(other); else line.unshift(other);
+                cur = j;
+            }
+        }
+        lines.push(line.map(e => e.point));
+    }
+    return lines;
+}
+
+// Convert to -180…180 and split lines where they cross the antimeridian
+// (crossings through a grid node repeat it — consecutive duplicates are dropped)
+function splitAtAntimeridian(line) {
+    const out = [[]];
+    let prev = null;
+    for (const [lon, lat] of line) {
+        const point = [round2(eastWest(lon)), round2(lat)];
+        if (prev && point[0] === prev[0] && point[1] === prev[1]) continue;
+        if (prev && Math.abs(point[0] - prev[0]) > 180) {
+            // Close this line on the antimeridian and open the next one there
+            const side = prev[0] > 0 ? 180 : -180;
+            const f = (side - prev[0]) / (point[0] + 2 * side - prev[0]);
+            const crossLat = round2(prev[1] + f * (point[1] - prev[1]));
+            if (prev[0] !== side) out[out.length - 1].push([side, crossLat]);
+            out.push(point[0] === -side ? [] : [[-side, crossLat]]);
+        }
+        out[out.length - 1].push(point);
+        prev = point;
+    }
+    return out;
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function index(lat, lon) {
+    return (lat + 90) * LONS + lon;
+}
+
+function wrapLon(lon) {
+    return ((lon % LONS) + LONS) % LONS;
+}
+
+// 0…360 east → -180…180
+function eastWest(lon) {
+    const w = wrapLon(lon);
+    return w > 180 ? w - LONS : w;
+}
+
+// Grid latitudes of a hemisphere, pole first, every `step`°
+function latitudes(hemisphere, step) {
+    const lats = [];
+    if (hemisphere === 'north') for (let lat = 90; lat >= 0; lat -= step) lats.push(lat);
+    else for (let lat = -90; lat <= 0; lat += step) lats.push(lat);
+    return lats;
+}
+
+function round2(v) {
+    return Math.round(v * 100) / 100;
+}
+
+module.exports = {
+    parseHemiPower, parseOvation, summarize, probabilityAt, nearestHigh, hemisphereGrid, contours,
+    HEMISPHERES, CONTOUR_LEVELS, HIGH_PROBABILITY, VIEW_PROBABILITY,
+};
@@ -0,0 +1,158 @@
+/**
+ * Notification Channel Adapters
+ *
+ * One adapter per chat / mail system the notifier can deliver to. Each
+ * declares its settings (and which are required or secret), its default
+ * message templates (in the target's own markup) and how to send a
+ * rendered { title, body } message.
+ *
+ *   slack    — Slack incoming webhook (mrkdwn, colour bar per severity)
+ *   telegram — Telegram Bot API sendMessage (plain text)
+ *   email    — SMTP (smtp.js), subject = title
+ *   teams    — MS Teams incoming webhook / Workflows (Adaptive Card)
+ */
+
+const fetch = require('node-fetch');
+const smtp = require('./smtp');
+
+const USER_AGENT = 'NOAASpaceWeatherExtractor/1.0 (spaceweather@example.com)';
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const COLORS = { CRITICAL: '#d32f2f', WARNING: '#f57c00', WATCH: '#fbc02d', INFO: '#388e3c', CLEARED: '#2e7d32' };
+
+// ─── Adapters ────────────────────────────────────────────────────────────────
+
+const ADAPTERS = {
+    slack: {
+        settings: ['webhook_url'],
+        required: ['webhook_url'],
+        secrets: ['webhook_url'],
+        templates: {
+            title: '{{emoji}} *{{severity}}* — {{message}}',
+            body: '{{details}}\n_{{id}} {{event}} · {{time}} · {{profile}} profile_',
+            digest_title: '🛰️ *{{count}} space weather alert updates*',
+            digest_line: '{{emoji}} *{{severity}}* `{{id}}` {{event}} — {{message}}',
+            digest_body: '{{lines}}',
+        },
+        // Slack treats &, < and > as control characters in mrkdwn
+        escape: s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+        async send(ch, msg) {
+            return postJson(ch.webhook_url, {
+                text: msg.title,
+                attachments: [{ color: COLORS[msg.tone], text: msg.body, mrkdwn_in: ['text'] }],
+            });
+        },
+    },
+
+    telegram: {
+        settings: ['bot_token', 'chat_id', 'api_base'],
+        required: ['bot_token', 'chat_id'],
+        secrets: ['bot_token'],
+        templates: {
+            title: '{{emoji}} {{severity}} — {{message}}',
+            body: '{{details}}\n{{id}} {{event}} · {{time}} · {{profile}} profile',
+            digest_title: '🛰️ {{count}} space weather alert updates',
+            digest_line: '{{emoji}} {{severity}} {{id}} {{event}} — {{message}}',
+            digest_body: '{{lines}}',
+        },
+        escape: s => s,
+        async send(ch, msg) {
+            const base = (ch.api_base || 'https://api.telegram.org').replace(/\/+$/, '');
+            const res = await postJson(`${base}/bot${ch.bot_token}/sendMessage`, {
+                chat_id: ch.chat_id,
+                text: `${msg.title}\n\n${msg.body}`,
+                disable_web_page_preview: true,
+            });
+            // The Bot API reports some failures as { ok: false } in the body
+            const reply = safeJson(res.response);
+            if (reply && reply.ok === false) throw new Error(`Telegram: ${reply.description || 'request rejected'}`);
+            return res;
+        },
+    },
+
+    email: {
+        settings: ['smtp', 'from', 'to'],
+        required: ['smtp', 'from', 'to'],
+        secrets: ['smtp.pass'],
+        templates: {
+            title: '[SWPC {{severity}}] {{message}}',
+            body: '{{emoji}} {{message}}\n\n{{details}}\n\nAlert:    {{id}} ({{event}})\nSeverity: {{severity}}\nSince:    {{first_seen}}\nProfile:  {{profile}}',
+            digest_title: '[SWPC] {{count}} space weather alert updates',
+            digest_line: '{{emoji}} {{severity}} {{id}} {{event}} — {{message}}',
+            digest_body: '{{lines}}\n\nProfile: {{profile}}',
+        },
+        escape: s => s,
+        async send(ch, msg) {
+            const to = Array.isArray(ch.to) ? ch.to : String(ch.to).split(',').map(s => s.trim()).filter(Boolean);
+            const { response } = await smtp.sendMail(ch.smtp, { from: ch.from, to, subject: msg.title, text: msg.body });
+            return { status: 250, response };
+        },
+    },
+
+    teams: {
+        settings: ['webhook_url'],
+        required: ['webhook_url'],
+        secrets: ['webhook_url'],
+        templates: {
+            title: '{{emoji}} {{severity}} — {{message}}',
+            body: '{{details}}\n{{id}} {{event}} · {{time}} · {{profile}} profile',
+            digest_title: '🛰️ {{count}} space weather alert updates',
+            digest_line: '{{emoji}} **{{severity}}** {{id}} {{event}} — {{message}}',
+            digest_body: '{{lines}}',
+        },
+        escape: s => s,
+        async send(ch, msg) {
+            const color = { CRITICAL: 'Attention', WARNING: 'Warning', WATCH: 'Warning', CLEARED: 'Good' }[msg.tone] || 'Default';
+            return postJson(ch.webhook_url, {
+                type: 'message',
+                attachments: [{
+                    contentType: 'application/vnd.microsoft.card.adaptive',
+                    content: {
+                        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                        type: 'AdaptiveCard',
+                        version: '1.4',
+                        body: [
+                            { type: 'TextBlock', text: msg.title, weight: 'Bolder', size: 'Medium', color, wrap: true },
+                            // Adaptive Card markdown needs a blank line for a line break
+                            { type: 'TextBlock', text: msg.body.replace(/\n/g, '\n\n'), wrap: true },
+                        ],
+                    },
+                }],
+            });
+        },
+    },
+};
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+/**
+ * POST JSON and fail on a non-2xx reply.
+ * @returns {Promise<Object>} { status, response (body text) }
+ */
+async function postJson(url, payload) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT },
+            body: JSON.stringify(payload),
+            signal: controller.signal,
+        });
+        const response = (await res.text()).slice(0, 500);
+        if (!res.ok) {
+            const err = new Error(`HTTP ${res.status}${response ? `: ${response}` : ''}`);
+            err.status = res.status;
+            throw err;
+        }
+        return { status: res.status, response };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+function safeJson(text) {
+    try { return JSON.parse(text); } catch (e) { return null; }
+}
+
+module.exports = { ADAPTERS };
@@ -0,0 +1,158 @@
+/**
+ * Derived Magnetospheric Indices
+ *
+ * Turns raw DSCOVR solar wind (Bx/By/Bz, speed, density) into the drivers
+ * analysts actually reason with:
+ *   - Dynamic pressure            P = m_p · n · v²                         (nPa)
+ *   - IMF clock angle             θ = atan2(By, Bz)                        (deg, 0 = north, ±180 = south)
+ *   - Newell coupling function    dΦ/dt = v^4/3 · B_T^2/3 · sin^8/3(θ/2)   (Newell et al. 2007)
+ *   - Magnetopause standoff       r₀ = (10.22 + 1.29 tanh(0.184 (Bz + 8.14))) · P^(-1/6.6)   (Shue et al. 1998, Rₑ)
+ *   - Dst / SYM-H estimate        O'Brien & McPherron (2000) ring current model
+ *
+ * All values are computed at L1 time; see propagation.js for Earth arrival.
+ */
+
+const { normalizeTime } = require('./store');
+
+// Proton mass × (cm⁻³ · (km/s)²) → nPa
+const PRESSURE_FACTOR = 1.6726e-6;
+
+// Geosynchronous orbit radius (Rₑ)
+const GEO_RADIUS_RE = 6.6;
+
+// O'Brien & McPherron (2000) model constants
+const OBRIEN = {
+    ecrit: 0.49,    // mV/m — no ring current injection below this VBs
+    a: -4.4,        // nT/h per mV/m of VBs above ecrit
+    b: 7.26,        // nT/√nPa — magnetopause current pressure correction
+    c: 11,          // nT — quiet-time offset
+};
+
+// Rows further apart than this are treated as a data gap: the Dst model
+// only decays across it instead of integrating stale driving (ms)
+const MAX_STEP_MS = 10 * 60 * 1000;
+
+// ─── Instantaneous Quantities ────────────────────────────────────────────────
+
+/**
+ * Derive the instantaneous quantities from one mag + plasma sample.
+ * @param {Object} s - { by_gsm, bz_gsm, speed, density }
+ * @returns {Object} { dynamic_pressure_npa, clock_angle_deg, newell_coupling, standoff_re } (null where inputs are missing)
+ */
+function instant(s) {
+    const { by_gsm: by, bz_gsm: bz, speed: v, density: n } = s;
+    const hasB = isNum(by) && isNum(bz);
+    const pressure = isNum(n) && isNum(v) && n > 0 ? PRESSURE_FACTOR * n * v * v : null;
+
+    let clock = null;
+    let newell = null;
+    if (hasB) {
+        const theta = Math.atan2(by, bz);
+        clock = theta * 180 / Math.PI;
+        if (isNum(v)) {
+            const bt = Math.sqrt(by * by + bz * bz);
+            newell = Math.pow(v, 4 / 3) * Math.pow(bt, 2 / 3) * Math.pow(Math.abs(Math.sin(theta / 2)), 8 / 3);
+        }
+    }
+
+    const standoff = pressure !== null && isNum(bz)
+        ? (10.22 + 1.29 * Math.tanh(0.184 * (bz + 8.14))) * Math.pow(pressure, -1 / 6.6)
+        : null;
+
+    return {
+        dynamic_pressure_npa: round(pressure, 2),
+        clock_angle_deg: round(clock, 1),
+        newell_coupling: round(newell, 0),
+        standoff_re: round(standoff, 2),
+    };
+}
+
+// ─── Series ──────────────────────────────────────────────────────────────────
+
+/**
+ * Join mag and plasma history on their time tags and derive every quantity,
+ * integrating the Dst model forward from the start of the window.
+ * @param {Array} mag - fetchRawHistory().solarWindMag rows
+ * @param {Array} plasma - fetchRawHistory().solarWindPlasma rows
+ * @returns {Array} [{ time, dynamic_pressure_npa, clock_angle_deg, newell_coupling, standoff_re, dst_estimate }]
+ */
+function deriveSeries(mag, plasma) {
+    const byTime = new Map((plasma || []).map(p => [normalizeTime(p.time), p]));
+    const joined = (mag || [])
+        .map(m => ({ t: normalizeTime(m.time), m }))
+        .filter(r => r.t && byTime.has(r.t))
+        .sort((a, b) => a.t.localeCompare(b.t));
+
+    const out = [];
+    let dstStar = 0;
+    let prevMs = null;
+    let prevVBs = 0;
+    for (const { t, m } of joined) {
+        const p = byTime.get(t);
+        const row = instant({ by_gsm: m.by_gsm, bz_gsm: m.bz_gsm, speed: p.speed, density: p.density });
+        const ms = Date.parse(t);
+
+        // Pressure-corrected Dst* evolves as dDst*/dt = Q(VBs) − Dst*/τ(VBs)
+        if (prevMs !== null) {
+            const hours = (ms - prevMs) / 3600000;
+            const vbs = ms - prevMs <= MAX_STEP_MS ? prevVBs : 0;
+            dstStar += (injection(vbs) - dstStar / decayHours(vbs)) * hours;
+        }
+        prevMs = ms;
+        prevVBs = isNum(p.speed) && isNum(m.bz_gsm) ? p.speed * Math.max(0, -m.bz_gsm) * 1e-3 : 0;
+
+        const dst = row.dynamic_pressure_npa !== null
+            ? dstStar + OBRIEN.b * Math.sqrt(row.dynamic_pressure_npa) - OBRIEN.c
+            : null;
+        out.push({ time: t, ...row, dst_estimate: round(dst, 1) });
+    }
+    return out;
+}
+
+// Ring current injection rate (nT/h) for a dawn–dusk electric field VBs (mV/m)
+function injection(vbs) {
+    return vbs > OBRIEN.ecrit ? OBRIEN.a * (vbs - OBRIEN.ecrit) : 0;
+}
+
+// Ring current decay time (h) — faster decay under stronger driving
+function decayHours(vbs) {
+    return 2.4 * Math.exp(9.74 / (4.69 + vbs));
+}
+
+/**
+ * Current derived values for fetchCycle(): the latest row of the derived
+ * series, or (without history) the instantaneous values from the latest
+ * mag and plasma readings.
+ * @param {Object} data - fetchAll().data
+ * @param {Array} series - deriveSeries() output
+ */
+function latest(data, series) {
+    const last = series && series.length > 0 ? series[series.length - 1] : null;
+    if (last) {
+        const { time, ...values } = last;
+        return { time_tag: time, ...values, geo_radius_re: GEO_RADIUS_RE };
+    }
+    const mag = data.solar_wind_mag;
+    const plasma = data.solar_wind_plasma;
+    if (!mag || !plasma) return null;
+    return {
+        time_tag: normalizeTime(plasma.time_tag),
+        ...instant({ by_gsm: mag.by_gsm, bz_gsm: mag.bz_gsm, speed: plasma.speed, density: plasma.density }),
+        dst_estimate: null,
+        geo_radius_re: GEO_RADIUS_RE,
+    };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function isNum(v) {
+    return typeof v === 'number' && isFinite(v);
+}
+
+function round(v, decimals) {
+    if (v === null || !isFinite(v)) return null;
+    const f = Math.pow(10, decimals);
+    return Math.round(v * f) / f;
+}
+
+module.exports = { instant, deriveSeries, latest, GEO_RADIUS_RE };
@@ -0,0 +1,79 @@
+/**
+ * NOAA Space Weather Event Catalogue
+ *
+ * Persistent store for detected events (flares, proton events). Detectors
+ * re-run over NOAA's rolling 1–3 day window every cycle; the catalogue
+ * keeps what they found after it scrolls out of that window. Every event
+ * has an `id`, `begin`, `peak`, `end` (null while `in_progress`) and
+ * `peak_flux`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an event catalogue.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file the catalogue is persisted to (omit for in-memory only)
+ * @param {string} [options.name] - Label for log messages
+ */
+function createEventCatalogue(options = {}) {
+    const file = options.file || null;
+    const name = options.name || 'Event';
+
+    // id → event
+    let events = {};
+    if (file) {
+        try {
+            for (const e of JSON.parse(fs.readFileSync(file, 'utf-8'))) events[e.id] = e;
+        } catch (e) { /* no catalogue yet */ }
+    }
+
+    /**
+     * Merge one cycle's detections. Events seen before are only replaced
+     * while they were still in progress.
+     * @param {Array} detected - Events from a detector
+     * @returns {Array} Events that are new or were updated
+     */
+    function ingest(detected) {
+        const changed = [];
+        for (const e of detected) {
+            const known = events[e.id];
+            if (known && !known.in_progress) continue;
+            if (known && JSON.stringify(known) === JSON.stringify(e)) continue;
+            events[e.id] = e;
+            changed.push(e);
+        }
+        if (changed.length > 0) save();
+        return changed;
+    }
+
+    /**
+     * Catalogued events, newest first.
+     * @param {Object} [filter] - { from, to (ms — events overlapping the range), where(event), limit }
+     */
+    function query(filter = {}) {
+        return Object.values(events)
+            .filter(e => filter.from == null || e.in_progress || Date.parse(e.end) >= filter.from)
+            .filter(e => filter.to == null || Date.parse(e.begin) <= filter.to)
+            .filter(e => !filter.where || filter.where(e))
+            .sort((a, b) => b.begin.localeCompare(a.begin))
+            .slice(0, filter.limit || Infinity);
+    }
+
+    function save() {
+        if (!file) return;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const list = Object.values(events).sort((a, b) => a.begin.localeCompare(b.begin));
+            fs.writeFileSync(file, JSON.stringify(list, null, 2), 'utf-8');
+        } catch (err) {
+            // Read-only filesystems (e.g. serverless) keep the catalogue in memory only
+            console.error(`${name} catalogue save failed: ${err.message}`);
+        }
+    }
+
+    return { ingest, query };
+}
+
+module.exports = { createEventCatalogue };
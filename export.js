@@ -0,0 +1,201 @@
+/**
+ * Bulk Data Export
+ *
+ * Joins stored series onto one time base and encodes them as CSV, NDJSON
+ * or Parquet. Columns are named `<series>.<field>`; rows come from the
+ * union of the series' time tags, or from fixed buckets (mean of each
+ * field) when a resampling interval is given. The store is read one UTC
+ * day at a time and rows are produced lazily, so a long range never has
+ * to fit in memory.
+ */
+
+const { Readable } = require('stream');
+const { SERIES } = require('./store');
+const { createParquetWriter } = require('./parquet');
+
+const MINUTE = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE;
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+};
+
+// Rows per Parquet row group
+const ROW_GROUP_SIZE = 10000;
+
+// ─── Request Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve `metrics` ("solar_wind_mag.bz_gsm,kp_index_1m") to columns. A
+ * bare series name selects all of its fields.
+ * @returns {Array} [{ series, field, name }]
+ */
+function resolveColumns(metrics) {
+    const list = (Array.isArray(metrics) ? metrics : String(metrics || '').split(','))
+        .map(m => m.trim()).filter(Boolean);
+    if (list.length === 0) throw new ExportError('`metrics` is required — e.g. solar_wind_mag.bz_gsm,kp_index_1m');
+
+    const columns = [];
+    for (const m of list) {
+        const [series, field] = m.split('.');
+        const def = Object.hasOwn(SERIES, series) ? SERIES[series] : null;
+        if (!def) throw new ExportError(`Unknown series '${series}'`);
+        if (field && !def.fields.includes(field)) throw new ExportError(`Unknown field '${field}' in ${series} (fields: ${def.fields.join(', ')})`);
+        for (const f of field ? [field] : def.fields) {
+            const name = `${series}.${f}`;
+            if (!columns.some(c => c.name === name)) columns.push({ series, field: f, name });
+        }
+    }
+    return columns;
+}
+
+/**
+ * Parse a resampling interval ("5m", "1h", "1d"). Intervals must divide a
+ * day evenly so buckets never straddle the daily read.
+ * @returns {number|null} Interval in ms (null when not given)
+ */
+function parseInterval(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const m = /^(\d+)([mhd])$/.exec(String(value).trim());
+    const ms = m ? Number(m[1]) * { m: MINUTE, h: 60 * MINUTE, d: DAY_MS }[m[2]] : NaN;
+    if (!(ms > 0) || ms > DAY_MS || DAY_MS % ms !== 0) {
+        throw new ExportError('`interval` must divide a day evenly, e.g. 1m, 5m, 15m, 1h, 3h, 1d');
+    }
+    return ms;
+}
+
+// ─── Rows ────────────────────────────────────────────────────────────────────
+
+/**
+ * Aligned rows for the range, oldest first.
+ * @param {Object} store - createStore() instance
+ * @param {Object} spec - { columns, from, to (ms), interval (ms|null) }
+ */
+function* rows(store, spec) {
+    const { columns, from, to, interval } = spec;
+    const bySeries = new Map();
+    for (const c of columns) {
+        if (!bySeries.has(c.series)) bySeries.set(c.series, []);
+        bySeries.get(c.series).push(c);
+    }
+
+    for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+        const range = { from: Math.max(from, day), to: Math.min(to, day + DAY_MS - 1) };
+        // time → row, or bucket start → { sums, counts } when resampling
+        const merged = new Map();
+        for (const [series, cols] of bySeries) {
+            for (const point of store.query(series, range, cols.map(c => c.field))) {
+                const t = interval ? Math.floor(Date.parse(point.time) / interval) * interval : point.time;
+                if (!merged.has(t)) merged.set(t, {});
+                const row = merged.get(t);
+                for (const c of cols) {
+                    const v = point[c.field];
+                    if (typeof v !== 'number') continue;
+                    if (!interval) { row[c.name] = v; continue; }
+                    row[c.name] = row[c.name] || { sum: 0, n: 0 };
+                    row[c.name].sum += v;
+                    row[c.name].n++;
+                }
+            }
+        }
+
+        const keys = [...merged.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        for (const key of keys) {
+            const acc = merged.get(key);
+            const out = { time: interval ? new Date(key).toISOString().replace(/\.\d{3}Z$/, 'Z') : key };
+            for (const c of columns) {
+                const v = acc[c.name];
+                out[c.name] = v === undefined ? null : interval ? round(v.sum / v.n) : v;
+            }
+            yield out;
+        }
+    }
+}
+
+// ─── Encoders ────────────────────────────────────────────────────────────────
+
+function* encodeCsv(names, source) {
+    yield csvRow(['time', ...names]);
+    for (const r of source) yield csvRow([r.time, ...names.map(n => r[n])]);
+}
+
+function* encodeNdjson(names, source) {
+    for (const r of source) yield JSON.stringify(r) + '\n';
+}
+
+function* encodeParquet(names, source) {
+    const writer = createParquetWriter(names);
+    let batch = [];
+    for (const r of source) {
+        batch.push(r);
+        if (batch.length >= ROW_GROUP_SIZE) {
+            yield writer.rowGroup(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) yield writer.rowGroup(batch);
+    yield writer.end();
+}
+
+const ENCODERS = { csv: encodeCsv, ndjson: encodeNdjson, parquet: encodeParquet };
+
+/**
+ * Aligned rows for an export without encoding them.
+ * @param {Object} store - createStore() instance
+ * @param {Object} options - { metrics, from, to (ms), interval ('5m') }
+ * @returns {Object} { columns, rows (iterator), from, to } — throws ExportError on invalid options
+ */
+function queryRows(store, options) {
+    const columns = resolveColumns(options.metrics);
+    const interval = parseInterval(options.interval);
+    const to = options.to ?? Date.now();
+    const from = options.from ?? to - DAY_MS;
+    if (from > to) throw new ExportError('`from` must be before `to`');
+    return { columns: columns.map(c => c.name), rows: rows(store, { columns, from, to, interval }), from, to };
+}
+
+/**
+ * Stream an export.
+ * @param {Object} store - createStore() instance
+ * @param {Object} options - { metrics, from, to (ms), interval ('5m'), format ('csv'|'ndjson'|'parquet') }
+ * @returns {Object} { stream (Readable), format, contentType, columns, filename } — throws ExportError on invalid options
+ */
+function createExport(store, options) {
+    const format = String(options.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) throw new ExportError(`\`format\` must be one of ${Object.keys(FORMATS).join(', ')}`);
+    const { columns, rows: source, from, to } = queryRows(store, options);
+    const day = t => new Date(t).toISOString().slice(0, 10);
+    return {
+        stream: Readable.from(ENCODERS[format](columns, source), { objectMode: false }),
+        format,
+        contentType: FORMATS[format].contentType,
+        columns,
+        filename: `noaa-swpc-${day(from)}_${day(to)}.${FORMATS[format].extension}`,
+    };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+/**
+ * One CSV line (RFC 4180 quoting, empty cells for null).
+ */
+function csvRow(values) {
+    return values.map(csvCell).join(',') + '\n';
+}
+
+function csvCell(v) {
+    if (v === null || v === undefined) return '';
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Bucket means to 6 significant digits (fluxes span 1e-9 to 1e5)
+function round(v) {
+    return Number(v.toPrecision(6));
+}
+
+class ExportError extends Error { }
+
+module.exports = { createExport, queryRows, resolveColumns, parseInterval, csvRow, ExportError, FORMATS };
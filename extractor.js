@@ -4,9 +4,22 @@
  * Fetches 8 JSON feeds + 1 text feed from NOAA's Space Weather Prediction Center,
  * extracts the latest valid data points (handling null dropouts), and returns
  * a unified data object.
+ *
+ * Feeds are declared in FEED_REGISTRY; fetchAll() and fetchRawHistory() are
+ * built from it, and fetchCycle() serves both from a single fetch per URL.
+ * Each URL sits behind a circuit breaker (see health.js); a feed that fails
+ * or is skipped falls back to its last good response.
  */
 
 const fetch = require('node-fetch');
+const { normalizeTime } = require('./store');
+const { createHealthMonitor } = require('./health');
+const { propagate } = require('./propagation');
+const derived = require('./derived');
+const protons = require('./protons');
+const swpc = require('./swpc');
+const forecast = require('./forecast');
+const aurora = require('./aurora');
 
 // ─── Feed URLs ───────────────────────────────────────────────────────────────
 
@@ -37,73 +50,184 @@ const FEEDS = {
 
     // Aurora Hemispheric Power — Plain text
     aurora: 'https://services.swpc.noaa.gov/text/aurora-nowcast-hemi-power.txt',
+
+    // OVATION aurora probability grid (1° global) — Single object
+    auroraGrid: 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json',
+
+    // SWPC issued alerts, watches, warnings and summaries — Array-of-objects
+    swpcAlerts: 'https://services.swpc.noaa.gov/products/alerts.json',
+
+    // Forecasts — Plain text
+    geomagForecast: 'https://services.swpc.noaa.gov/text/3-day-geomag-forecast.txt',
+    solarForecast: 'https://services.swpc.noaa.gov/text/sgarf.txt',
+    outlook27Day: 'https://services.swpc.noaa.gov/text/27-day-outlook.txt',
 };
 
 const USER_AGENT = 'NOAASpaceWeatherExtractor/1.0 (spaceweather@example.com)';
 const FETCH_TIMEOUT_MS = 15000;
 
+// Requests in flight at once per cycle (each URL's retries included)
+const FETCH_CONCURRENCY = parseInt(process.env.NOAA_FETCH_CONCURRENCY, 10) || 4;
+
+// Transient failures (timeouts, 5xx, 429, connection resets) are retried with
+// "full jitter" exponential backoff: a random wait in [0, min(maxMs, baseMs × 2^n))
+const RETRY = { attempts: 3, baseMs: 500, maxMs: 8000 };
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A reading is `delayed` once it is older than latency + cadence × delayed,
+// and `stale` once older than latency + cadence × stale
+const FRESHNESS = { delayed: 2, stale: 6 };
+
+// ─── Source Overrides (Replay / Recording) ───────────────────────────────────
+
+// FEEDS keep their canonical SWPC URLs; requests are rewritten onto `baseUrl`
+// so a local stand-in server (see replay.js) can serve recorded responses.
+const SWPC_ORIGIN = 'https://services.swpc.noaa.gov';
+let baseUrl = (process.env.NOAA_BASE_URL || SWPC_ORIGIN).replace(/\/+$/, '');
+let recorder = null;
+let clock = () => Date.now();
+
+// Per-URL health and circuit breakers, the last good response of each URL,
+// and the ETag / Last-Modified validators it was served with
+const health = createHealthMonitor();
+const lastGood = new Map();     // url → { raw, fetched_at }
+const validators = new Map();   // url → { etag, last_modified }
+
+/**
+ * Point all SWPC requests at another origin (e.g. http://localhost:8787).
+ */
+function setBaseUrl(url) {
+    baseUrl = (url || SWPC_ORIGIN).replace(/\/+$/, '');
+}
+
+/**
+ * Attach a recorder ({ capture(url, response), flush(time) }) that receives
+ * every raw response, or pass null to stop recording.
+ */
+function setRecorder(r) {
+    recorder = r;
+}
+
+/**
+ * Override the clock used for `extraction_time` (replay runs on virtual time).
+ */
+function setClock(fn) {
+    clock = fn || (() => Date.now());
+}
+
+function resolveUrl(url) {
+    return url.startsWith(SWPC_ORIGIN) ? baseUrl + url.slice(SWPC_ORIGIN.length) : url;
+}
+
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 /**
- * Fetch JSON from a URL with timeout and user-agent.
+ * Fetch a URL's raw body with timeout and user-agent, handing the response
+ * to the recorder (if any) before checking the status. Sends the given
+ * validators as If-None-Match / If-Modified-Since; a 304 comes back with
+ * `not_modified` set and an empty body.
+ * @returns {Promise<Object>} { body, not_modified, etag, last_modified }
  */
-async function fetchJSON(url) {
+async function fetchRaw(url, validator = null) {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    const headers = { 'User-Agent': USER_AGENT };
+    if (validator?.etag) headers['If-None-Match'] = validator.etag;
+    if (validator?.last_modified) headers['If-Modified-Since'] = validator.last_modified;
     try {
-        const res = await fetch(url, {
-            headers: { 'User-Agent': USER_AGENT },
-            signal: controller.signal,
-        });
-        if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
-        return await res.json();
+        const res = await fetch(resolveUrl(url), { headers, signal: controller.signal });
+        const body = await res.text();
+        if (res.status === 304) {
+            return { body: null, not_modified: true, etag: validator?.etag, last_modified: validator?.last_modified };
+        }
+        if (recorder) {
+            recorder.capture(url, { status: res.status, content_type: res.headers.get('content-type'), body });
+        }
+        if (!res.ok) throw httpError(res.status, url);
+        return { body, not_modified: false, etag: res.headers.get('etag'), last_modified: res.headers.get('last-modified') };
+    } catch (err) {
+        if (err.name === 'AbortError') throw Object.assign(new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s fetching ${url}`), { transient: true });
+        throw err;
     } finally {
         clearTimeout(timeout);
     }
 }
 
+function httpError(status, url) {
+    return Object.assign(new Error(`HTTP ${status} from ${url}`), { status, transient: status >= 500 || status === 429 });
+}
+
+function isTransient(err) {
+    return err.transient === true || TRANSIENT_CODES.has(err.code);
+}
+
 /**
- * Fetch plain text from a URL.
+ * fetchRaw() with retries on transient failures.
+ * @returns {Promise<Object>} As fetchRaw(), plus `attempts`
  */
-async function fetchText(url) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-    try {
-        const res = await fetch(url, {
-            headers: { 'User-Agent': USER_AGENT },
-            signal: controller.signal,
-        });
-        if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
-        return await res.text();
-    } finally {
-        clearTimeout(timeout);
+async function fetchWithRetry(url, validator = null) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { ...await fetchRaw(url, validator), attempts: attempt };
+        } catch (err) {
+            if (attempt >= RETRY.attempts || !isTransient(err)) {
+                err.message += attempt > 1 ? ` (after ${attempt} attempts)` : '';
+                err.attempts = attempt;
+                throw err;
+            }
+            const cap = Math.min(RETRY.maxMs, RETRY.baseMs * 2 ** (attempt - 1));
+            await new Promise(resolve => setTimeout(resolve, Math.random() * cap));
+        }
+    }
+}
+
+/**
+ * Promise.allSettled() over `items`, running at most `limit` of `fn` at once.
+ */
+async function settleWithLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const i = next++;
+            try {
+                results[i] = { status: 'fulfilled', value: await fn(items[i]) };
+            } catch (reason) {
+                results[i] = { status: 'rejected', reason };
+            }
+        }
     }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
 }
 
 /**
  * From an array-of-arrays (with header at index 0), get the last row
- * where the value at `colIndex` is not null/empty. Steps back up to
- * `maxSteps` rows to handle telemetry dropouts.
+ * where the value at `colIndex` is not null/empty. Walks back through
+ * telemetry dropouts; how old the row is gets reported as its freshness.
  */
-function getLastValidRow(arr, colIndex, maxSteps = 5) {
+function getLastValidRow(arr, colIndex) {
     if (!arr || arr.length < 2) return null;
-    for (let i = arr.length - 1; i >= Math.max(1, arr.length - maxSteps); i--) {
+    for (let i = arr.length - 1; i >= 1; i--) {
         const row = arr[i];
         if (row && row[colIndex] !== null && row[colIndex] !== '' && row[colIndex] !== undefined) {
             return row;
         }
     }
-    return arr[arr.length - 1]; // fallback
+    return null;
 }
 
 /**
  * From an array-of-objects, find the last item matching an optional
  * filter (e.g. energy band), where `field` is non-null.
  */
-function getLastValidObject(arr, field, filter = null, maxSteps = 10) {
+function getLastValidObject(arr, field, filter = null) {
     if (!arr || arr.length === 0) return null;
     // Walk backward
-    for (let i = arr.length - 1; i >= Math.max(0, arr.length - maxSteps); i--) {
+    for (let i = arr.length - 1; i >= 0; i--) {
         const item = arr[i];
         if (filter && !filter(item)) continue;
         if (item[field] !== null && item[field] !== undefined && item[field] !== '') {
@@ -118,10 +242,10 @@ function getLastValidObject(arr, field, filter = null, maxSteps = 10) {
  * per timestamp, we need to search backward through timestamps (not just
  * array indices) to find the latest valid reading for a specific energy.
  */
-function getLastValidByEnergy(arr, energyLabel, maxMinutes = 5) {
+function getLastValidByEnergy(arr, energyLabel) {
     if (!arr || arr.length === 0) return null;
     // Walk backward looking for matching energy with valid flux
-    for (let i = arr.length - 1; i >= Math.max(0, arr.length - (maxMinutes * 10)); i--) {
+    for (let i = arr.length - 1; i >= 0; i--) {
         const item = arr[i];
         if (item.energy === energyLabel && item.flux !== null && item.flux !== undefined) {
             return item;
@@ -130,242 +254,588 @@ function getLastValidByEnergy(arr, energyLabel, maxMinutes = 5) {
     return null;
 }
 
+// ─── Feed Registry ───────────────────────────────────────────────────────────
+
+/**
+ * Every NOAA feed the extractor knows about. Each entry declares:
+ *   key      — unique id (also the FEEDS key for its URL)
+ *   name     — label used in `errors`
+ *   source   — observing platform (e.g. DSCOVR, GOES); GOES bands add their satellite number
+ *   url      — source URL
+ *   cadence  — expected interval between readings (ms)
+ *   latency  — normal publication lag of the newest reading (ms)
+ *   format   — 'arrays' (array-of-arrays, row 0 = header), 'objects' (array-of-objects),
+ *              'object' (a single JSON object) or 'text'
+ *   parse    — optional (raw) → parsed payload
+ *   latest   — { dataKey: (payload) → latest-value object | null }, merged into fetchAll().data
+ *   history  — { historyKey: (payload) → chart-friendly array }, merged into fetchRawHistory()
+ *
+ * Add a feed by calling registerFeed() — the fetch orchestration needs no changes.
+ */
+const FEED_REGISTRY = [];
+
+const FORMATS = ['arrays', 'objects', 'object', 'text'];
+
+/**
+ * Add a feed to the registry.
+ * @param {Object} feed - Registry entry (see FEED_REGISTRY)
+ * @returns {Object} The registered entry
+ */
+function registerFeed(feed) {
+    if (!feed || !feed.key || !feed.url) throw new Error('Feed needs a `key` and a `url`');
+    if (!FORMATS.includes(feed.format)) throw new Error(`Feed '${feed.key}' has unknown format '${feed.format}'`);
+    if (FEED_REGISTRY.some(f => f.key === feed.key)) throw new Error(`Feed '${feed.key}' is already registered`);
+
+    const entry = { name: feed.key, source: 'NOAA SWPC', cadence: MINUTE, latency: 5 * MINUTE, latest: {}, history: {}, ...feed };
+    FEED_REGISTRY.push(entry);
+    FEEDS[entry.key] = entry.url;
+    return entry;
+}
+
+// Pick { time_tag, energy, flux } for one energy band of a GOES array-of-objects feed
+function latestBand(energyLabel) {
+    return (arr) => {
+        const item = getLastValidByEnergy(arr, energyLabel);
+        return item ? { time_tag: item.time_tag, energy: item.energy, flux: item.flux, satellite: item.satellite ?? null } : null;
+    };
+}
+
+// Filter one energy band of a GOES feed into a { time, flux } chart series
+function bandHistory(energyLabel) {
+    return (arr) => arr.filter(r => r.energy === energyLabel).map(r => ({
+        time: r.time_tag, flux: r.flux,
+    })).filter(r => r.flux !== null);
+}
+
+// ── Solar Wind Magnetic Field ──
+// Format: array-of-arrays, header = ["time_tag","bx_gsm","by_gsm","bz_gsm","lon_gsm","lat_gsm","bt"]
+registerFeed({
+    key: 'solarWindMag',
+    name: 'Solar Wind Mag',
+    source: 'DSCOVR',
+    cadence: MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.solarWindMag,
+    format: 'arrays',
+    latest: {
+        solar_wind_mag: (arr) => {
+            const row = getLastValidRow(arr, 3); // bz_gsm at index 3
+            return row ? {
+                time_tag: row[0],
+                bx_gsm: parseFloat(row[1]),
+                by_gsm: parseFloat(row[2]),
+                bz_gsm: parseFloat(row[3]),
+                bt: parseFloat(row[6]),
+            } : null;
+        },
+    },
+    history: {
+        solarWindMag: (arr) => arr.slice(1).map(r => ({
+            time: r[0], bx_gsm: parseFloat(r[1]), by_gsm: parseFloat(r[2]),
+            bz_gsm: parseFloat(r[3]), bt: parseFloat(r[6]),
+        })).filter(r => !isNaN(r.bz_gsm)),
+    },
+});
+
+// ── Solar Wind Plasma ──
+// Format: array-of-arrays, header = ["time_tag","density","speed","temperature"]
+registerFeed({
+    key: 'solarWindPlasma',
+    name: 'Solar Wind Plasma',
+    source: 'DSCOVR',
+    cadence: MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.solarWindPlasma,
+    format: 'arrays',
+    latest: {
+        solar_wind_plasma: (arr) => {
+            const row = getLastValidRow(arr, 2); // speed at index 2
+            return row ? {
+                time_tag: row[0],
+                density: parseFloat(row[1]),
+                speed: parseFloat(row[2]),
+                temperature: parseFloat(row[3]),
+            } : null;
+        },
+    },
+    history: {
+        solarWindPlasma: (arr) => arr.slice(1).map(r => ({
+            time: r[0], density: parseFloat(r[1]),
+            speed: parseFloat(r[2]), temperature: parseFloat(r[3]),
+        })).filter(r => !isNaN(r.speed)),
+    },
+});
+
+// ── Kp Index (1-minute estimate) ──
+registerFeed({
+    key: 'kpIndex1m',
+    name: 'Kp Index 1m',
+    cadence: MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.kpIndex1m,
+    format: 'objects',
+    latest: {
+        kp_index_1m: (arr) => {
+            const item = getLastValidObject(arr, 'kp_index');
+            return item ? {
+                time_tag: item.time_tag,
+                kp_index: item.kp_index,
+                estimated_kp: item.estimated_kp,
+            } : null;
+        },
+    },
+    history: {
+        kpIndex: (arr) => arr.map(r => ({
+            time: r.time_tag, kp_index: r.kp_index, estimated_kp: r.estimated_kp,
+        })),
+    },
+});
+
+// ── Kp Index (official 3-hour) ──
+// Format: array-of-arrays, header row at index 0
+registerFeed({
+    key: 'kpIndexOfficial',
+    name: 'Kp Index Official',
+    cadence: 3 * HOUR,
+    latency: 3 * HOUR,   // rows are tagged with the start of their 3-hour interval
+    url: FEEDS.kpIndexOfficial,
+    format: 'arrays',
+    latest: {
+        kp_index_official: (arr) => {
+            const row = arr.length > 1 ? arr[arr.length - 1] : null;
+            return row ? {
+                time_tag: row[0],
+                kp: row[row.length - 1],
+                kp_value: parseFloat(row[row.length - 1]),
+            } : null;
+        },
+    },
+});
+
+// ── X-Ray Flux (both bands) ──
+registerFeed({
+    key: 'xrays',
+    name: 'X-Ray Flux',
+    source: 'GOES',
+    cadence: MINUTE,
+    latency: 3 * MINUTE,
+    url: FEEDS.xrays,
+    format: 'objects',
+    latest: {
+        xray_flux: latestBand('0.1-0.8nm'),
+        xray_flux_short: latestBand('0.05-0.4nm'),
+    },
+    history: {
+        xrays: bandHistory('0.1-0.8nm'),
+        xraysShort: bandHistory('0.05-0.4nm'),
+    },
+});
+
+// ── Proton Flux (multiple energy bands) ──
+registerFeed({
+    key: 'protons',
+    name: 'Proton Flux',
+    source: 'GOES',
+    cadence: 5 * MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.protons,
+    format: 'objects',
+    latest: {
+        proton_flux: latestBand('>=10 MeV'),
+        proton_flux_50: latestBand('>=50 MeV'),
+        proton_flux_100: latestBand('>=100 MeV'),
+    },
+    history: {
+        protons: bandHistory('>=10 MeV'),
+        protons50: bandHistory('>=50 MeV'),
+        protons100: bandHistory('>=100 MeV'),
+    },
+});
+
+// ── Electron Flux (multiple energy bands) ──
+registerFeed({
+    key: 'electrons',
+    name: 'Electron Flux',
+    source: 'GOES',
+    cadence: 5 * MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.electrons,
+    format: 'objects',
+    latest: {
+        electron_flux: latestBand('>=2 MeV'),
+    },
+    history: {
+        electrons: bandHistory('>=2 MeV'),
+    },
+});
+
+// The ~0.8 MeV band (865 keV) is found in the differential feed
+// History not currently plotted for 0.8 MeV
+registerFeed({
+    key: 'electronsDiff',
+    name: 'Electron Flux (Differential)',
+    source: 'GOES',
+    cadence: 5 * MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.electronsDiff,
+    format: 'objects',
+    latest: {
+        electron_flux_08: latestBand('865 keV'),
+    },
+    history: {
+        electrons08: bandHistory('865 keV'),
+    },
+});
+
+// ── F10.7 Flux ──
+registerFeed({
+    key: 'f107',
+    name: 'F10.7 Flux',
+    source: 'Penticton DRAO',
+    cadence: 24 * HOUR,
+    latency: 12 * HOUR,
+    url: FEEDS.f107,
+    format: 'objects',
+    latest: {
+        f107_flux: (arr) => {
+            const item = arr.length > 0 ? arr[arr.length - 1] : null;
+            return item ? { time_tag: item.time_tag, flux: item.flux } : null;
+        },
+    },
+});
+
+// ── Aurora Hemispheric Power ──
+// One row per observation with both hemispheres (see aurora.js);
+// hemispheric_power_gw is the larger of the two, for single-value consumers
+registerFeed({
+    key: 'aurora',
+    name: 'Aurora Power',
+    source: 'OVATION',
+    cadence: 5 * MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.aurora,
+    format: 'text',
+    parse: aurora.parseHemiPower,
+    latest: {
+        aurora_power: (rows) => {
+            const last = rows.length > 0 ? rows[rows.length - 1] : null;
+            return last ? {
+                time_tag: last.time,
+                forecast_time: last.forecast_time,
+                north_gw: last.north_gw,
+                south_gw: last.south_gw,
+                hemispheric_power_gw: Math.max(last.north_gw, last.south_gw),
+            } : null;
+        },
+    },
+    history: {
+        auroraPower: (rows) => rows,
+    },
+});
+
+// ── OVATION Aurora Grid ──
+// The full grid is kept in history only (see aurora.js); the latest value is
+// its per-hemisphere summary, aged by the model's observation time
+registerFeed({
+    key: 'auroraGrid',
+    name: 'Aurora Oval',
+    source: 'OVATION',
+    cadence: 5 * MINUTE,
+    latency: 10 * MINUTE,
+    url: FEEDS.auroraGrid,
+    format: 'object',
+    parse: aurora.parseOvation,
+    latest: {
+        aurora_oval: aurora.summarize,
+    },
+    history: {
+        auroraGrid: (grid) => grid,
+    },
+});
+
+// ── SWPC Issued Products ──
+// Messages are issued irregularly, so the feed has no latest value to age —
+// the parsed records are served from history (see swpc.js)
+registerFeed({
+    key: 'swpcAlerts',
+    name: 'SWPC Alerts',
+    cadence: MINUTE,
+    latency: 5 * MINUTE,
+    url: FEEDS.swpcAlerts,
+    format: 'objects',
+    history: {
+        swpcAlerts: swpc.parseProducts,
+    },
+});
+
+// ── Forecasts ──
+// Freshness is judged on the issue time: the geomagnetic forecast and the
+// RSGA are issued daily around 2200 UTC, the 27-day outlook every Monday
+registerFeed({
+    key: 'geomagForecast',
+    name: '3-Day Geomagnetic Forecast',
+    source: 'SWPC forecasters',
+    cadence: 24 * HOUR,
+    latency: HOUR,
+    url: FEEDS.geomagForecast,
+    format: 'text',
+    parse: forecast.parseGeomagForecast,
+    latest: {
+        kp_forecast: (parsed) => parsed,
+    },
+});
+
+registerFeed({
+    key: 'solarForecast',
+    name: 'Solar Event Probabilities',
+    source: 'SWPC forecasters',
+    cadence: 24 * HOUR,
+    latency: HOUR,
+    url: FEEDS.solarForecast,
+    format: 'text',
+    parse: forecast.parseEventProbabilities,
+    latest: {
+        event_probabilities: (parsed) => parsed,
+    },
+});
+
+registerFeed({
+    key: 'outlook27Day',
+    name: '27-Day Outlook',
+    source: 'SWPC forecasters',
+    cadence: 7 * 24 * HOUR,
+    latency: 6 * HOUR,
+    url: FEEDS.outlook27Day,
+    format: 'text',
+    parse: forecast.parse27DayOutlook,
+    latest: {
+        outlook_27day: (parsed) => parsed,
+    },
+});
+
+// ─── Main Extraction ─────────────────────────────────────────────────────────
+
 /**
- * Parse the aurora hemispheric power text file.
- * Grabs the last number from the last non-empty data line.
+ * Fetch the given registry entries in parallel — one request per URL — and
+ * return their parsed payloads keyed by feed key, with each request's duration.
+ * @returns {Object} { [key]: { value, duration_ms } | { error, duration_ms } }
  */
-function parseAuroraText(text) {
-    if (!text) return null;
-    const lines = text.split('\n').filter(l => l.trim() && !l.startsWith('#'));
-    if (lines.length === 0) return null;
-
-    // Walk backward to find last line with actual data
-    for (let i = lines.length - 1; i >= 0; i--) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        const parts = line.split(/\s+/);
-        const lastVal = parseFloat(parts[parts.length - 1]);
-        if (!isNaN(lastVal)) {
-            return { value: lastVal, line: line };
+async function fetchFeeds(feeds = FEED_REGISTRY) {
+    const urls = [...new Set(feeds.map(f => f.url))];
+    const durations = new Map();
+    const settled = await settleWithLimit(urls, FETCH_CONCURRENCY, async (url) => {
+        const feed = feeds.find(f => f.url === url);
+        if (!health.allow(url, clock())) {
+            throw new Error(`Circuit open for ${url} — skipped until ${health.feedReport(url).circuit.retry_at}`);
         }
+        const started = Date.now();
+        try {
+            // Conditional request only when the parsed body is still held (and
+            // never while recording, so every bundle frame has a full body)
+            const cached = lastGood.get(url);
+            const res = await fetchWithRetry(url, cached && !recorder ? validators.get(url) : null);
+            let raw;
+            if (res.not_modified) {
+                raw = cached.raw;
+            } else {
+                raw = feed.format === 'text' ? res.body : JSON.parse(res.body);
+                checkFormat(feed, raw);
+                validators.set(url, { etag: res.etag, last_modified: res.last_modified });
+            }
+            durations.set(url, Date.now() - started);
+            health.record(url, {
+                ok: true,
+                duration_ms: durations.get(url),
+                bytes: res.not_modified ? null : Buffer.byteLength(res.body),
+                not_modified: res.not_modified,
+                retries: res.attempts - 1,
+            }, clock());
+            lastGood.set(url, { raw, fetched_at: new Date(clock()).toISOString() });
+            return raw;
+        } catch (err) {
+            durations.set(url, Date.now() - started);
+            health.record(url, { ok: false, duration_ms: durations.get(url), error: err.message, retries: (err.attempts || 1) - 1 }, clock());
+            throw err;
+        }
+    });
+    if (recorder) recorder.flush(new Date(clock()).toISOString());
+    const byUrl = new Map(urls.map((url, i) => [url, settled[i]]));
+
+    // A payload that fails to parse (e.g. a changed format) fails only its own feed
+    const parse = (feed, raw) => {
+        try {
+            return { value: feed.parse ? feed.parse(raw) : raw };
+        } catch (err) {
+            return { error: `Unreadable payload: ${err.message}` };
+        }
+    };
+
+    const payloads = {};
+    for (const feed of feeds) {
+        const res = byUrl.get(feed.url);
+        const duration_ms = durations.get(feed.url);
+        if (res.status === 'fulfilled') {
+            payloads[feed.key] = { ...parse(feed, res.value), duration_ms };
+            continue;
+        }
+        const error = res.reason?.message || 'Unknown error';
+        const good = lastGood.get(feed.url);
+        const parsed = good ? parse(feed, good.raw) : null;
+        payloads[feed.key] = parsed && 'value' in parsed
+            ? { value: parsed.value, error, duration_ms, cached_at: good.fetched_at }
+            : { error, duration_ms };
     }
-    return null;
+    return payloads;
 }
 
-// ─── Main Extraction ─────────────────────────────────────────────────────────
+// Run a feed's latest / history extractor; a throwing extractor is reported
+// in `errors` and yields `fallback` instead of failing the whole cycle
+function extractSafely(feed, name, fn, value, errors, fallback) {
+    try {
+        return fn(value);
+    } catch (err) {
+        errors.push({ feed: feed.name, error: `Could not extract ${name}: ${err.message}` });
+        return fallback;
+    }
+}
+
+function checkFormat(feed, raw) {
+    if (feed.format === 'text' && typeof raw !== 'string') throw new Error(`Expected text from ${feed.url}`);
+    if (feed.format === 'object' && (raw === null || typeof raw !== 'object' || Array.isArray(raw))) throw new Error(`Expected a JSON object from ${feed.url}`);
+    if ((feed.format === 'arrays' || feed.format === 'objects') && !Array.isArray(raw)) throw new Error(`Expected a JSON array from ${feed.url}`);
+    if (feed.format === 'arrays' && raw.length > 0 && !Array.isArray(raw[0])) throw new Error(`Expected an array-of-arrays from ${feed.url}`);
+}
 
 /**
  * Fetch all feeds in parallel and return a unified data object.
+ * @param {Object} [payloads] - Pre-fetched payloads from fetchFeeds() (fetched if omitted)
  */
-async function fetchAll() {
-    const timestamp = new Date().toISOString();
-    const errors = [];
+async function fetchAll(payloads) {
+    const timestamp = new Date(clock()).toISOString();
+    const feeds = FEED_REGISTRY.filter(f => Object.keys(f.latest).length > 0);
+    if (!payloads) payloads = await fetchFeeds(feeds);
 
-    // Fire all requests in parallel
-    const results = await Promise.allSettled([
-        fetchJSON(FEEDS.solarWindMag),       // 0
-        fetchJSON(FEEDS.solarWindPlasma),     // 1
-        fetchJSON(FEEDS.kpIndex1m),           // 2
-        fetchJSON(FEEDS.kpIndexOfficial),     // 3
-        fetchJSON(FEEDS.xrays),              // 4
-        fetchJSON(FEEDS.protons),            // 5
-        fetchJSON(FEEDS.electrons),          // 6
-        fetchJSON(FEEDS.electronsDiff),      // 7
-        fetchJSON(FEEDS.f107),               // 8
-        fetchText(FEEDS.aurora),             // 9
-    ]);
-
-    function getResult(idx, name) {
-        if (results[idx].status === 'fulfilled') return results[idx].value;
-        errors.push({ feed: name, error: results[idx].reason?.message || 'Unknown error' });
-        return null;
+    const errors = [];
+    const data = {};
+    const freshness = {};
+    const feedTimings = {};
+    const servedFromCache = [];
+    for (const feed of feeds) {
+        const payload = payloads[feed.key];
+        if (payload?.error) errors.push({ feed: feed.name, error: payload.error });
+        if (payload?.cached_at) servedFromCache.push({ feed: feed.name, fetched_at: payload.cached_at });
+        if (payload?.duration_ms != null) feedTimings[feed.name] = payload.duration_ms;
+        for (const [dataKey, extract] of Object.entries(feed.latest)) {
+            data[dataKey] = payload && 'value' in payload ? extractSafely(feed, dataKey, extract, payload.value, errors, null) : null;
+            freshness[dataKey] = assessFreshness(feed, data[dataKey]?.time_tag, Date.parse(timestamp));
+        }
     }
 
-    const magData = getResult(0, 'Solar Wind Mag');
-    const plasmaData = getResult(1, 'Solar Wind Plasma');
-    const kp1mData = getResult(2, 'Kp Index 1m');
-    const kpOffData = getResult(3, 'Kp Index Official');
-    const xrayData = getResult(4, 'X-Ray Flux');
-    const protonData = getResult(5, 'Proton Flux');
-    const electronData = getResult(6, 'Electron Flux');
-    const electronDiffData = getResult(7, 'Electron Flux (Differential)');
-    const f107Data = getResult(8, 'F10.7 Flux');
-    const auroraText = getResult(9, 'Aurora Power') || '';
-
-    // ── Extract Solar Wind Magnetic Field ──
-    // Format: array-of-arrays, header = ["time_tag","bx_gsm","by_gsm","bz_gsm","lon_gsm","lat_gsm","bt"]
-    const magRow = getLastValidRow(magData, 3); // bz_gsm at index 3
-    const solarWindMag = magRow ? {
-        time_tag: magRow[0],
-        bx_gsm: parseFloat(magRow[1]),
-        by_gsm: parseFloat(magRow[2]),
-        bz_gsm: parseFloat(magRow[3]),
-        bt: parseFloat(magRow[6]),
-    } : null;
-
-    // ── Extract Solar Wind Plasma ──
-    // Format: array-of-arrays, header = ["time_tag","density","speed","temperature"]
-    const plasmaRow = getLastValidRow(plasmaData, 2); // speed at index 2
-    const solarWindPlasma = plasmaRow ? {
-        time_tag: plasmaRow[0],
-        density: parseFloat(plasmaRow[1]),
-        speed: parseFloat(plasmaRow[2]),
-        temperature: parseFloat(plasmaRow[3]),
-    } : null;
-
-    // ── Extract Kp Index (1-minute estimate) ──
-    const kp1mItem = getLastValidObject(kp1mData, 'kp_index');
-    const kpIndex1m = kp1mItem ? {
-        time_tag: kp1mItem.time_tag,
-        kp_index: kp1mItem.kp_index,
-        estimated_kp: kp1mItem.estimated_kp,
-    } : null;
-
-    // ── Extract Kp Index (official 3-hour) ──
-    // Format: array-of-arrays, header row at index 0
-    const kpOffRow = kpOffData && kpOffData.length > 1 ? kpOffData[kpOffData.length - 1] : null;
-    const kpIndexOfficial = kpOffRow ? {
-        time_tag: kpOffRow[0],
-        kp: kpOffRow[kpOffRow.length - 1],
-        kp_value: parseFloat(kpOffRow[kpOffRow.length - 1]),
-    } : null;
-
-    // ── Extract X-Ray Flux (both bands) ──
-    const xrayItem = getLastValidByEnergy(xrayData, '0.1-0.8nm');
-    const xrayFlux = xrayItem ? {
-        time_tag: xrayItem.time_tag,
-        energy: xrayItem.energy,
-        flux: xrayItem.flux,
-    } : null;
-    const xrayShort = getLastValidByEnergy(xrayData, '0.05-0.4nm');
-    const xrayFluxShort = xrayShort ? {
-        time_tag: xrayShort.time_tag,
-        energy: xrayShort.energy,
-        flux: xrayShort.flux,
-    } : null;
-
-    // ── Extract Proton Flux (multiple energy bands) ──
-    const protonItem = getLastValidByEnergy(protonData, '>=10 MeV');
-    const protonFlux = protonItem ? {
-        time_tag: protonItem.time_tag,
-        energy: protonItem.energy,
-        flux: protonItem.flux,
-    } : null;
-    const proton50 = getLastValidByEnergy(protonData, '>=50 MeV');
-    const protonFlux50 = proton50 ? { time_tag: proton50.time_tag, energy: proton50.energy, flux: proton50.flux } : null;
-    const proton100 = getLastValidByEnergy(protonData, '>=100 MeV');
-    const protonFlux100 = proton100 ? { time_tag: proton100.time_tag, energy: proton100.energy, flux: proton100.flux } : null;
-
-    // ── Extract Electron Flux (multiple energy bands) ──
-    const electronItem = getLastValidByEnergy(electronData, '>=2 MeV');
-    const electronFlux = electronItem ? {
-        time_tag: electronItem.time_tag,
-        energy: electronItem.energy,
-        flux: electronItem.flux,
-    } : null;
-
-    // The ~0.8 MeV band (865 keV) is found in the differential feed
-    const electron08 = getLastValidByEnergy(electronDiffData, '865 keV');
-    const electronFlux08 = electron08 ? { time_tag: electron08.time_tag, energy: electron08.energy, flux: electron08.flux } : null;
-
-    // ── Extract F10.7 Flux ──
-    const f107Item = f107Data && f107Data.length > 0 ? f107Data[f107Data.length - 1] : null;
-    const f107Flux = f107Item ? {
-        time_tag: f107Item.time_tag,
-        flux: f107Item.flux,
-    } : null;
-
-    // ── Extract Aurora Hemispheric Power ──
-    const auroraParsed = parseAuroraText(auroraText);
-    const auroraPower = auroraParsed ? {
-        hemispheric_power_gw: auroraParsed.value,
-        raw_line: auroraParsed.line,
-    } : null;
+    // When the solar wind measured at L1 reaches Earth
+    data.solar_wind_propagation = propagate(data.solar_wind_plasma);
 
     return {
         extraction_time: timestamp,
-        data: {
-            solar_wind_mag: solarWindMag,
-            solar_wind_plasma: solarWindPlasma,
-            kp_index_1m: kp1mItem,
-            kp_index_official: kpIndexOfficial,
-            xray_flux: xrayFlux,
-            xray_flux_short: xrayFluxShort,
-            proton_flux: protonFlux,
-            proton_flux_50: protonFlux50,
-            proton_flux_100: protonFlux100,
-            electron_flux: electronFlux,
-            electron_flux_08: electronFlux08,
-            f107_flux: f107Flux,
-            aurora_power: auroraPower,
-        },
+        data,
+        freshness,
         errors,
+        served_from_cache: servedFromCache,
+        feed_timings: feedTimings,
     };
 }
 
 /**
- * Fetch raw 24h history arrays for chart rendering.
- * Returns the full arrays from each feed, transformed into chart-friendly objects.
+ * Classify how current a reading is against its feed's expected cadence.
+ * @param {Object} feed - Registry entry
+ * @param {string} timeTag - The reading's time tag (null = no reading)
+ * @param {number} now - Reference time in ms
+ * @returns {Object} { state: live|delayed|stale|missing, time_tag, age_seconds, cadence_seconds }
  */
-async function fetchRawHistory() {
-    const errors = [];
+function assessFreshness(feed, timeTag, now) {
+    const time = normalizeTime(timeTag);
+    const base = { cadence_seconds: feed.cadence / 1000 };
+    if (!time) return { state: 'missing', time_tag: null, age_seconds: null, ...base };
+
+    const age = Math.max(0, now - Date.parse(time));
+    let state = 'live';
+    if (age > feed.latency + feed.cadence * FRESHNESS.stale) state = 'stale';
+    else if (age > feed.latency + feed.cadence * FRESHNESS.delayed) state = 'delayed';
+    return { state, time_tag: time, age_seconds: Math.round(age / 1000), ...base };
+}
 
-    const results = await Promise.allSettled([
-        fetchJSON(FEEDS.solarWindMag),
-        fetchJSON(FEEDS.solarWindPlasma),
-        fetchJSON(FEEDS.kpIndex1m),
-        fetchJSON(FEEDS.xrays),
-        fetchJSON(FEEDS.protons),
-        fetchJSON(FEEDS.electrons),
-        // fetchJSON(FEEDS.electronsDiff), // History not currently plotted for 0.8 MeV
-    ]);
-
-    function getResult(idx, name) {
-        if (results[idx].status === 'fulfilled') return results[idx].value;
-        errors.push({ feed: name, error: results[idx].reason?.message || 'Unknown error' });
-        return null;
+/**
+ * Health of every registered feed URL, keyed by feed key.
+ * @returns {Object} { status: ok|degraded|down, feeds: { key: { url, name, source, status, ... } } }
+ */
+function healthReport() {
+    const report = health.report(Object.fromEntries(FEED_REGISTRY.map(f => [f.key, f.url])));
+    for (const feed of FEED_REGISTRY) {
+        report.feeds[feed.key] = {
+            name: feed.name,
+            source: feed.source,
+            ...report.feeds[feed.key],
+            serving_cached_since: report.feeds[feed.key].status === 'up' ? null : lastGood.get(feed.url)?.fetched_at || null,
+        };
     }
+    return report;
+}
 
-    const magRaw = getResult(0, 'Solar Wind Mag');
-    const plasmaRaw = getResult(1, 'Solar Wind Plasma');
-    const kpRaw = getResult(2, 'Kp Index 1m');
-    const xrayRaw = getResult(3, 'X-Ray Flux');
-    const protonRaw = getResult(4, 'Proton Flux');
-    const electronRaw = getResult(5, 'Electron Flux');
-
-    // Transform mag array-of-arrays → array-of-objects
-    const solarWindMag = magRaw ? magRaw.slice(1).map(r => ({
-        time: r[0], bx_gsm: parseFloat(r[1]), by_gsm: parseFloat(r[2]),
-        bz_gsm: parseFloat(r[3]), bt: parseFloat(r[6]),
-    })).filter(r => !isNaN(r.bz_gsm)) : [];
-
-    // Transform plasma array-of-arrays → array-of-objects
-    const solarWindPlasma = plasmaRaw ? plasmaRaw.slice(1).map(r => ({
-        time: r[0], density: parseFloat(r[1]),
-        speed: parseFloat(r[2]), temperature: parseFloat(r[3]),
-    })).filter(r => !isNaN(r.speed)) : [];
-
-    // Kp 1m is already array-of-objects
-    const kpIndex = kpRaw ? kpRaw.map(r => ({
-        time: r.time_tag, kp_index: r.kp_index, estimated_kp: r.estimated_kp,
-    })) : [];
-
-    // X-ray: filter to 0.1-0.8nm band
-    const xrays = xrayRaw ? xrayRaw.filter(r => r.energy === '0.1-0.8nm').map(r => ({
-        time: r.time_tag, flux: r.flux,
-    })).filter(r => r.flux !== null) : [];
+/**
+ * Fetch raw 24h history arrays for chart rendering.
+ * Returns the full arrays from each feed, transformed into chart-friendly objects.
+ * @param {Object} [payloads] - Pre-fetched payloads from fetchFeeds() (fetched if omitted)
+ */
+async function fetchRawHistory(payloads) {
+    const feeds = FEED_REGISTRY.filter(f => Object.keys(f.history).length > 0);
+    if (!payloads) payloads = await fetchFeeds(feeds);
 
-    // Protons: filter to >=10 MeV
-    const protons = protonRaw ? protonRaw.filter(r => r.energy === '>=10 MeV').map(r => ({
-        time: r.time_tag, flux: r.flux,
-    })).filter(r => r.flux !== null) : [];
+    const errors = [];
+    const history = {};
+    for (const feed of feeds) {
+        const payload = payloads[feed.key];
+        if (payload?.error) errors.push({ feed: feed.name, error: payload.error });
+        for (const [historyKey, transform] of Object.entries(feed.history)) {
+            history[historyKey] = payload && 'value' in payload ? extractSafely(feed, historyKey, transform, payload.value, errors, []) : [];
+        }
+    }
 
-    // Electrons: filter to >=2 MeV
-    const electrons = electronRaw ? electronRaw.filter(r => r.energy === '>=2 MeV').map(r => ({
-        time: r.time_tag, flux: r.flux,
-    })).filter(r => r.flux !== null) : [];
+    return { ...history, errors };
+}
 
-    return { solarWindMag, solarWindPlasma, kpIndex, xrays, protons, electrons, errors };
+/**
+ * Run one extraction cycle: fetch every registered feed once and build both
+ * the latest-value data object and the chart history from the same payloads.
+ * @returns {Object} { result, history } — as fetchAll() and fetchRawHistory()
+ */
+async function fetchCycle() {
+    const payloads = await fetchFeeds();
+    const [result, history] = await Promise.all([fetchAll(payloads), fetchRawHistory(payloads)]);
+
+    // Derived magnetospheric indices need the joined mag + plasma series
+    history.solarWindDerived = derived.deriveSeries(history.solarWindMag, history.solarWindPlasma);
+    result.data.solar_wind_derived = derived.latest(result.data, history.solarWindDerived);
+
+    // Proton events need the full integral proton history
+    result.data.proton_events = protons.latestByBand(protons.detectProtonEvents(history));
+
+    // SWPC products: status against the cycle time, checked against our own history
+    history.swpcAlerts = swpc.annotate(history.swpcAlerts, history, Date.parse(result.extraction_time));
+    // History-only feeds report their failures and timings with the rest
+    for (const feed of FEED_REGISTRY.filter(f => Object.keys(f.latest).length === 0)) {
+        const payload = payloads[feed.key];
+        if (payload?.error) result.errors.push({ feed: feed.name, error: payload.error });
+        if (payload?.cached_at) result.served_from_cache.push({ feed: feed.name, fetched_at: payload.cached_at });
+        if (payload?.duration_ms != null) result.feed_timings[feed.name] = payload.duration_ms;
+    }
+    // History extraction failures (fetch failures are already reported above)
+    for (const e of history.errors) {
+        if (!result.errors.some(r => r.feed === e.feed && r.error === e.error)) result.errors.push(e);
+    }
+    return { result, history };
 }
 
-module.exports = { fetchAll, fetchRawHistory, FEEDS };
+module.exports = {
+    fetchAll, fetchRawHistory, fetchCycle, fetchFeeds, registerFeed, assessFreshness, healthReport,
+    setBaseUrl, setRecorder, setClock,
+    FEED_REGISTRY, FEEDS, SWPC_ORIGIN, FRESHNESS,
+};
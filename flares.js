@@ -0,0 +1,187 @@
+/**
+ * NOAA Solar Flare Event Detector & Catalogue
+ *
+ * Finds flare events in the GOES X-ray history using SWPC's event criteria
+ * on the 0.1–0.8 nm (long) band:
+ *   Begin — the first of four consecutive 1-minute values that increase
+ *           monotonically, the last being ≥1.4× the first
+ *   Peak  — the maximum flux after the begin
+ *   End   — the first value back below halfway between the peak and the
+ *           flux at the begin
+ * The 0.05–0.4 nm (short) band adds its peak and the short/long ratio at
+ * the long-band peak (a plasma temperature proxy). Events are kept in a
+ * persistent catalogue (events.js) so they outlive NOAA's 1-day window.
+ */
+
+const { classifyFlare } = require('./alerts');
+const { normalizeTime } = require('./store');
+const { createEventCatalogue } = require('./events');
+
+const RISE_MINUTES = 4;        // consecutive increasing values that mark a begin
+const RISE_FACTOR = 1.4;       // last rising value vs. the first
+const MIN_PEAK_FLUX = 1e-7;    // ignore events below B1
+const MAX_GAP_MS = 90 * 1000;  // rising values must be consecutive minutes
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Detect flare events in X-ray history.
+ * @param {Array} long - 0.1–0.8 nm rows [{ time, flux }]
+ * @param {Array} [short] - 0.05–0.4 nm rows [{ time, flux }]
+ * @returns {Array} Events, oldest first (the last may be `in_progress`)
+ */
+function detectFlares(long, short = []) {
+    const rows = clean(long);
+    const shortFlux = new Map(clean(short).map(r => [r.t, r.flux]));
+    const events = [];
+
+    let i = 0;
+    while (i + RISE_MINUTES - 1 < rows.length) {
+        if (!risingAt(rows, i)) { i++; continue; }
+
+        const begin = rows[i];
+        let peak = rows[i + RISE_MINUTES - 1];
+        let endIndex = null;
+        let j = i + RISE_MINUTES;
+        for (; j < rows.length; j++) {
+            if (rows[j].flux > peak.flux) peak = rows[j];
+            else if (rows[j].flux <= (peak.flux + begin.flux) / 2) { endIndex = j; break; }
+        }
+
+        if (peak.flux >= MIN_PEAK_FLUX) {
+            const last = endIndex !== null ? endIndex : rows.length - 1;
+            events.push(buildEvent(rows.slice(i, last + 1), begin, peak, endIndex !== null ? rows[endIndex] : null, shortFlux));
+        }
+        if (endIndex === null) break;
+        i = endIndex + 1;
+    }
+    return events;
+}
+
+function risingAt(rows, i) {
+    for (let k = i + 1; k < i + RISE_MINUTES; k++) {
+        if (rows[k].ms - rows[k - 1].ms > MAX_GAP_MS || rows[k].flux <= rows[k - 1].flux) return false;
+    }
+    return rows[i + RISE_MINUTES - 1].flux >= RISE_FACTOR * rows[i].flux;
+}
+
+function buildEvent(span, begin, peak, end, shortFlux) {
+    // Trapezoidal integral of the long-band flux over the event (J/m²)
+    let fluence = 0;
+    for (let k = 1; k < span.length; k++) {
+        fluence += (span[k].flux + span[k - 1].flux) / 2 * (span[k].ms - span[k - 1].ms) / 1000;
+    }
+
+    let shortPeak = null;
+    for (const r of span) {
+        const f = shortFlux.get(r.t);
+        if (f !== undefined && (shortPeak === null || f > shortPeak)) shortPeak = f;
+    }
+    const shortAtPeak = shortFlux.get(peak.t);
+
+    return {
+        id: begin.t.replace(/[-:]/g, '').slice(0, 13),
+        begin: begin.t,
+        peak: peak.t,
+        end: end ? end.t : null,
+        in_progress: !end,
+        class: classifyFlare(peak.flux),
+        peak_flux: peak.flux,
+        begin_flux: begin.flux,
+        fluence_j_m2: Number(fluence.toPrecision(3)),
+        short_peak_flux: shortPeak,
+        short_long_ratio: shortAtPeak !== undefined ? Number((shortAtPeak / peak.flux).toPrecision(3)) : null,
+        duration_minutes: end ? Math.round((end.ms - begin.ms) / 60000) : null,
+    };
+}
+
+// A catalogued in-progress flare advanced through a window that starts after
+// its begin: a higher value raises the peak, and the first value back below
+// halfway between peak and begin flux ends it. `truncated` marks that its
+// fluence only covers the part seen before the begin scrolled out.
+function continueFlare(open, rows) {
+    let peak = { t: open.peak, flux: open.peak_flux };
+    let end = null;
+    for (const r of rows) {
+        if (r.flux > peak.flux) peak = r;
+        else if (r.flux <= (peak.flux + open.begin_flux) / 2) { end = r; break; }
+    }
+    return {
+        ...open,
+        peak: peak.t,
+        end: end ? end.t : null,
+        in_progress: !end,
+        class: classifyFlare(peak.flux),
+        peak_flux: peak.flux,
+        duration_minutes: end ? Math.round((end.ms - Date.parse(open.begin)) / 60000) : null,
+        truncated: true,
+    };
+}
+
+// Valid rows as { t, ms, flux }, oldest first
+function clean(rows) {
+    return (rows || [])
+        .map(r => ({ t: normalizeTime(r.time), flux: r.flux }))
+        .filter(r => r.t && typeof r.flux === 'number' && r.flux > 0)
+        .map(r => ({ ...r, ms: Date.parse(r.t) }))
+        .sort((a, b) => a.ms - b.ms);
+}
+
+// ─── Catalogue ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a flare catalogue.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file the catalogue is persisted to (omit for in-memory only)
+ */
+function createFlareCatalogue(options = {}) {
+    const catalogue = createEventCatalogue({ file: options.file, name: 'Flare' });
+
+    /**
+     * Detect events in one cycle's history and merge them in. A catalogued
+     * flare still in progress whose begin has scrolled out of the window
+     * (after a restart or a gap) can no longer be detected, so it is carried
+     * on through the window's values instead (see continueFlare).
+     * @param {Object} history - fetchRawHistory() output ({ xrays, xraysShort })
+     * @returns {Array} Events that are new or were updated
+     */
+    function ingest(history) {
+        const detected = detectFlares(history?.xrays, history?.xraysShort);
+        const rows = clean(history?.xrays);
+        if (rows.length > 0) {
+            const seen = new Set(detected.map(e => e.id));
+            const open = catalogue.query({ where: e => e.in_progress && e.begin < rows[0].t && !seen.has(e.id) });
+            detected.push(...open.map(e => continueFlare(e, rows)));
+        }
+        return catalogue.ingest(detected);
+    }
+
+    /**
+     * Catalogued flares, newest first.
+     * @param {Object} [filter] - { from, to (ms), classes: ['M','X'], minFlux, limit }
+     */
+    function query(filter = {}) {
+        return catalogue.query({
+            ...filter,
+            where: e => (!filter.classes || filter.classes.includes(e.class[0]))
+                && (filter.minFlux == null || e.peak_flux >= filter.minFlux),
+        });
+    }
+
+    return { ingest, query };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse a flare class ("M", "M5", "X1.2") to its lower-bound flux in W/m².
+ * @returns {number|null} null if not a valid class
+ */
+function parseFlareClass(label) {
+    const m = /^([ABCMX])(\d+(?:\.\d+)?)?$/i.exec(String(label).trim());
+    if (!m) return null;
+    const base = { A: 1e-8, B: 1e-7, C: 1e-6, M: 1e-5, X: 1e-4 }[m[1].toUpperCase()];
+    return base * (m[2] ? parseFloat(m[2]) : 1);
+}
+
+module.exports = { detectFlares, createFlareCatalogue, parseFlareClass };
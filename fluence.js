@@ -0,0 +1,130 @@
+/**
+ * Particle Fluence Accounting
+ *
+ * Deep dielectric charging and solar-cell displacement damage track the
+ * accumulated particle dose, not the instantaneous flux. This module
+ * integrates the stored GOES electron and proton series over UTC days and
+ * a rolling 3-day window:
+ *
+ *   fluence = ∫ flux dt   (pfu · s → particles / cm² · sr, per MeV for 865 keV)
+ *
+ * Steps across data gaps are not integrated; each period reports the
+ * fraction of its time actually covered by data.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Samples further apart than this are a data gap, not a step to integrate (ms)
+const MAX_STEP_MS = 15 * 60 * 1000;
+
+// Fluence quantities → stored series
+const QUANTITIES = {
+    electron_2mev: { series: 'electron_flux', label: '≥2 MeV electrons', unit: 'cm⁻² sr⁻¹' },
+    electron_865kev: { series: 'electron_flux_08', label: '865 keV electrons', unit: 'cm⁻² sr⁻¹ MeV⁻¹' },
+    proton_10mev: { series: 'proton_flux', label: '≥10 MeV protons', unit: 'cm⁻² sr⁻¹' },
+    proton_50mev: { series: 'proton_flux_50', label: '≥50 MeV protons', unit: 'cm⁻² sr⁻¹' },
+    proton_100mev: { series: 'proton_flux_100', label: '≥100 MeV protons', unit: 'cm⁻² sr⁻¹' },
+};
+
+/**
+ * Alert thresholds (alerts.THRESHOLDS keys) per quantity and period.
+ */
+const FLUENCE_THRESHOLDS = {
+    electron_2mev: { daily: 'electronFluenceDaily' },
+    proton_10mev: { rolling_3day: 'protonFluence3Day' },
+};
+
+// ─── Integration ─────────────────────────────────────────────────────────────
+
+/**
+ * Trapezoidal integral of flux over [from, to).
+ * @param {Array} rows - [{ ms, flux }], oldest first
+ * @param {number} from - Start (ms)
+ * @param {number} to - End (ms)
+ * @returns {Object} { fluence, coverage } — fluence is null without any data in the period;
+ *                   coverage is the covered fraction of the period (0–1)
+ */
+function integrate(rows, from, to) {
+    let fluence = 0;
+    let covered = 0;
+    for (let k = 1; k < rows.length; k++) {
+        const a = rows[k - 1], b = rows[k];
+        if (b.ms <= from || a.ms >= to || b.ms - a.ms > MAX_STEP_MS) continue;
+        // Clip the step to the period, interpolating the flux at its edges
+        const start = Math.max(a.ms, from), end = Math.min(b.ms, to);
+        const at = t => a.flux + (b.flux - a.flux) * (t - a.ms) / (b.ms - a.ms);
+        fluence += (at(start) + at(end)) / 2 * (end - start) / 1000;
+        covered += end - start;
+    }
+    return {
+        fluence: covered > 0 ? Number(fluence.toPrecision(4)) : null,
+        coverage: to > from ? Math.round(covered / (to - from) * 1000) / 1000 : 0,
+    };
+}
+
+/**
+ * Daily and rolling 3-day fluence for every quantity, from the store.
+ * @param {Object} store - createStore() instance
+ * @param {number} [now] - Reference time (ms)
+ * @param {number} [days] - Complete UTC days to report before today
+ * @returns {Object} { time, quantities: { key: { label, series, unit, today, days, rolling_3day } } }
+ */
+function compute(store, now = Date.now(), days = 1) {
+    const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+    const from = Math.min(todayStart - days * DAY_MS, now - 3 * DAY_MS);
+
+    const quantities = {};
+    for (const [key, q] of Object.entries(QUANTITIES)) {
+        const rows = store.query(q.series, { from: from - MAX_STEP_MS, to: now }, ['flux'])
+            .map(r => ({ ms: Date.parse(r.time), flux: r.flux }))
+            .filter(r => typeof r.flux === 'number' && r.flux >= 0);
+
+        const daily = [];
+        for (let d = days; d >= 1; d--) {
+            const start = todayStart - d * DAY_MS;
+            daily.push({ date: isoDate(start), ...integrate(rows, start, start + DAY_MS) });
+        }
+
+        quantities[key] = {
+            label: q.label,
+            series: q.series,
+            unit: q.unit,
+            today: { date: isoDate(todayStart), ...integrate(rows, todayStart, now) },
+            days: daily,
+            rolling_3day: {
+                from: new Date(now - 3 * DAY_MS).toISOString(),
+                to: new Date(now).toISOString(),
+                ...integrate(rows, now - 3 * DAY_MS, now),
+            },
+        };
+    }
+    return { time: new Date(now).toISOString(), quantities };
+}
+
+/**
+ * Attach each period's alert threshold to a compute() report.
+ * @param {Object} report - compute() output
+ * @param {Object} T - Effective alert thresholds
+ */
+function withThresholds(report, T) {
+    const quantities = {};
+    for (const [key, q] of Object.entries(report.quantities)) {
+        const limits = FLUENCE_THRESHOLDS[key] || {};
+        const mark = (p, threshold) => threshold == null ? p : { ...p, threshold, exceeded: p.fluence !== null && p.fluence >= threshold };
+        quantities[key] = {
+            ...q,
+            today: mark(q.today, T[limits.daily]),
+            days: q.days.map(d => mark(d, T[limits.daily])),
+            rolling_3day: mark(q.rolling_3day, T[limits.rolling_3day]),
+        };
+    }
+    return { ...report, quantities };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+module.exports = { integrate, compute, withThresholds, QUANTITIES, FLUENCE_THRESHOLDS };
@@ -0,0 +1,183 @@
+/**
+ * NOAA SWPC Forecast Products
+ *
+ * Parsers for the three forecast text products, each normalized into
+ * time-indexed records with the product's issue time as `time_tag`:
+ *
+ *   3-day geomagnetic forecast  → kp (3-hour predicted Kp with G level),
+ *                                  ap (observed / estimated / predicted) and
+ *                                  daily activity probabilities (%)
+ *   Report and Forecast of Solar and Geophysical Activity (RSGA)
+ *                               → daily M-class, X-class and proton event
+ *                                  probabilities (%) and the PCAF colour
+ *   27-day outlook              → daily F10.7, Ap and largest Kp
+ *
+ * Dates in the products carry no year ("11 May-13 May"); it is taken from
+ * the issue time, moved to the next or previous year for dates across the
+ * new year (January in a December product, December in a January one).
+ */
+
+const { classifyScale } = require('./alerts');
+const { parseSwpcTime } = require('./swpc');
+
+const HOUR = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "NOAA Geomagnetic Activity Probabilities" row labels → record fields
+const ACTIVITY_LEVELS = {
+    'active': 'active',
+    'minor storm': 'minor_storm',
+    'moderate storm': 'moderate_storm',
+    'strong-extreme storm': 'strong_extreme_storm',
+};
+
+// RSGA "Event probabilities" row labels → record fields
+const EVENT_TYPES = { 'class m': 'class_m', 'class x': 'class_x', 'proton': 'proton' };
+
+// ─── 3-Day Geomagnetic Forecast ──────────────────────────────────────────────
+
+/**
+ * Parse the 3-day geomagnetic forecast (3-day-geomag-forecast.txt).
+ * @param {string} text - Product text
+ * @returns {Object|null} { time_tag, kp: [{ time, end, kp, scale }], ap: [{ date, ap, type }],
+ *                          probabilities: [{ date, active, minor_storm, moderate_storm, strong_extreme_storm }] }
+ */
+function parseGeomagForecast(text) {
+    const lines = linesOf(text);
+    const issued = issuedAt(lines);
+    if (!issued) return null;
+    const out = { time_tag: issued, kp: [], ap: [], probabilities: [] };
+
+    let section = null;
+    let start = null;
+    for (const line of lines) {
+        let m;
+        if ((m = /^NOAA Kp index forecast\s+(\d{1,2}\s+[A-Z][a-z]{2})/i.exec(line))) {
+            section = 'kp';
+            start = dayMs(m[1], issued);
+        } else if ((m = /^NOAA Geomagnetic Activity Probabilities\s+(\d{1,2}\s+[A-Z][a-z]{2})/i.exec(line))) {
+            section = 'probabilities';
+            start = dayMs(m[1], issued);
+        } else if ((m = /^(Observed|Estimated) Ap\s+(\d{1,2}\s+[A-Z][a-z]{2})\s+(\d+)/i.exec(line))) {
+            out.ap.push({ date: isoDate(dayMs(m[2], issued)), ap: Number(m[3]), type: m[1].toLowerCase() });
+        } else if ((m = /^Predicted Ap\s+(\d{1,2}\s+[A-Z][a-z]{2}).*\s(\d+(?:-\d+)+)$/i.exec(line))) {
+            const from = dayMs(m[1], issued);
+            m[2].split('-').forEach((v, i) => out.ap.push({ date: isoDate(from + i * DAY_MS), ap: Number(v), type: 'predicted' }));
+        } else if (section === 'kp' && (m = /^(\d{2})-(\d{2})UT\s+(.*)$/.exec(line)) && start !== null) {
+            // "00-03UT  8.67 (G4)  6.33 (G2)  4.00" — one column per day
+            const hour = Number(m[1]);
+            (m[3].match(/\d+\.\d+/g) || []).forEach((v, day) => {
+                const t = start + day * DAY_MS + hour * HOUR;
+                const kp = Number(v);
+                out.kp.push({ time: isoTime(t), end: isoTime(t + 3 * HOUR), kp, scale: classifyScale('G', kp)?.scale || null });
+            });
+        } else if (section === 'probabilities' && start !== null && (m = /^([A-Za-z -]+?)\s+(\d+(?:\/\d+)+)$/.exec(line))) {
+            const field = ACTIVITY_LEVELS[m[1].trim().toLowerCase()];
+            if (field) addDaily(out.probabilities, start, m[2], field);
+        }
+    }
+
+    out.kp.sort((a, b) => a.time.localeCompare(b.time));
+    return out;
+}
+
+// ─── Event Probabilities (RSGA) ──────────────────────────────────────────────
+
+/**
+ * Parse section III of the Report and Forecast of Solar and Geophysical Activity (sgarf.txt).
+ * @param {string} text - Product text
+ * @returns {Object|null} { time_tag, days: [{ date, class_m, class_x, proton }], pcaf }
+ */
+function parseEventProbabilities(text) {
+    const lines = linesOf(text);
+    const issued = issuedAt(lines);
+    if (!issued) return null;
+    const out = { time_tag: issued, days: [], pcaf: null };
+
+    let start = null;
+    for (const line of lines) {
+        let m;
+        if ((m = /^III\.\s+Event probabilities\s+(\d{1,2}\s+[A-Z][a-z]{2})/i.exec(line))) {
+            start = dayMs(m[1], issued);
+        } else if (start !== null && /^IV\./.test(line)) {
+            break;
+        } else if (start !== null && (m = /^PCAF\s+(\w+)/i.exec(line))) {
+            out.pcaf = m[1].toLowerCase();
+        } else if (start !== null && (m = /^([A-Za-z ]+?)\s+(\d+(?:\/\d+)+)$/.exec(line))) {
+            const field = EVENT_TYPES[m[1].trim().toLowerCase()];
+            if (field) addDaily(out.days, start, m[2], field);
+        }
+    }
+    return out;
+}
+
+// ─── 27-Day Outlook ──────────────────────────────────────────────────────────
+
+/**
+ * Parse the 27-day outlook table (27-day-outlook.txt).
+ * @param {string} text - Product text
+ * @returns {Object|null} { time_tag, days: [{ date, f107, ap, kp_max }] }
+ */
+function parse27DayOutlook(text) {
+    const lines = linesOf(text);
+    const issued = issuedAt(lines);
+    if (!issued) return null;
+    const days = [];
+    for (const line of lines) {
+        const m = /^(\d{4})\s+([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (!m || !MONTHS.includes(m[2])) continue;
+        days.push({
+            date: isoDate(Date.UTC(Number(m[1]), MONTHS.indexOf(m[2]), Number(m[3]))),
+            f107: Number(m[4]),
+            ap: Number(m[5]),
+            kp_max: Number(m[6]),
+        });
+    }
+    return { time_tag: issued, days };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function linesOf(text) {
+    return String(text || '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+}
+
+// ":Issued: 2024 May 10 2205 UTC"
+function issuedAt(lines) {
+    const line = lines.find(l => /^:Issued:/.test(l));
+    return line ? parseSwpcTime(line.replace(/^:Issued:\s*/, '')) : null;
+}
+
+// "11 May" → UTC midnight in the year nearest the issue time (a date more than
+// six months before or after the issue month belongs to the next or previous year)
+function dayMs(value, issued) {
+    const [day, mon] = value.trim().split(/\s+/);
+    const month = MONTHS.indexOf(mon.slice(0, 1).toUpperCase() + mon.slice(1, 3).toLowerCase());
+    const at = new Date(issued);
+    let year = at.getUTCFullYear();
+    if (month < at.getUTCMonth() - 6) year++;
+    else if (month > at.getUTCMonth() + 6) year--;
+    return Date.UTC(year, month, Number(day));
+}
+
+// "30/30/25" → one value per consecutive day, merged into the day records
+function addDaily(days, start, values, field) {
+    values.split('/').forEach((v, i) => {
+        const date = isoDate(start + i * DAY_MS);
+        let rec = days.find(d => d.date === date);
+        if (!rec) days.push(rec = { date });
+        rec[field] = Number(v);
+    });
+}
+
+function isoTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+module.exports = { parseGeomagForecast, parseEventProbabilities, parse27DayOutlook };
@@ -0,0 +1,173 @@
+/**
+ * NOAA Feed Health Monitor
+ *
+ * Tracks every SWPC URL the extractor fetches: last success and failure,
+ * consecutive failures, latency percentiles and payload size. A per-URL
+ * circuit breaker opens after repeated failures so a dead endpoint is
+ * skipped (and its last good value served) instead of costing a full
+ * request timeout on every refresh.
+ */
+
+const MINUTE = 60 * 1000;
+
+const DEFAULTS = {
+    failureThreshold: 3,          // consecutive failures that open the breaker
+    cooldownMs: 5 * MINUTE,       // first cool-down once open
+    maxCooldownMs: 60 * MINUTE,   // cool-down doubles on each failed probe, up to this
+    latencySamples: 100,          // fetch durations kept per URL for percentiles
+};
+
+// ─── Monitor ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create a feed health monitor.
+ * @param {Object} [options] - Overrides for DEFAULTS
+ */
+function createHealthMonitor(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+
+    // url → per-feed state (see entry())
+    const feeds = new Map();
+
+    function entry(url) {
+        if (!feeds.has(url)) {
+            feeds.set(url, {
+                fetches: 0,
+                failures: 0,
+                retries: 0,
+                not_modified: 0,
+                consecutive_failures: 0,
+                last_success: null,
+                last_failure: null,
+                last_error: null,
+                payload_bytes: null,
+                latencies: [],
+                breaker: { state: 'closed', opened_at: null, retry_at: null, cooldown_ms: opts.cooldownMs },
+            });
+        }
+        return feeds.get(url);
+    }
+
+    /**
+     * Whether a request to `url` should be made now. An open breaker whose
+     * cool-down has passed goes half-open and lets one probe through.
+     */
+    function allow(url, now = Date.now()) {
+        const b = entry(url).breaker;
+        if (b.state !== 'open') return true;
+        if (now < b.retry_at) return false;
+        b.state = 'half-open';
+        return true;
+    }
+
+    /**
+     * Record the outcome of one request.
+     * @param {string} url
+     * @param {Object} outcome - { ok, duration_ms, bytes?, error?, retries?, not_modified? }
+     * @param {number} [now]
+     */
+    function record(url, outcome, now = Date.now()) {
+        const f = entry(url);
+        const time = new Date(now).toISOString();
+        f.fetches++;
+        f.retries += outcome.retries || 0;
+        if (outcome.not_modified) f.not_modified++;
+        if (outcome.duration_ms != null) {
+            f.latencies.push(outcome.duration_ms);
+            if (f.latencies.length > opts.latencySamples) f.latencies.shift();
+        }
+
+        if (outcome.ok) {
+            f.consecutive_failures = 0;
+            f.last_success = time;
+            if (outcome.bytes != null) f.payload_bytes = outcome.bytes;
+            f.breaker = { state: 'closed', opened_at: null, retry_at: null, cooldown_ms: opts.cooldownMs };
+            return;
+        }
+
+        f.failures++;
+        f.consecutive_failures++;
+        f.last_failure = time;
+        f.last_error = outcome.error || 'Unknown error';
+
+        const b = f.breaker;
+        if (b.state === 'half-open') {
+            // Failed probe — back off harder
+            b.cooldown_ms = Math.min(b.cooldown_ms * 2, opts.maxCooldownMs);
+            open(b, now);
+        } else if (b.state === 'closed' && f.consecutive_failures >= opts.failureThreshold) {
+            open(b, now);
+        }
+    }
+
+    function open(b, now) {
+        b.state = 'open';
+        b.opened_at = b.opened_at || new Date(now).toISOString();
+        b.retry_at = now + b.cooldown_ms;
+    }
+
+    /**
+     * Health of one URL (null if it has never been fetched).
+     */
+    function feedReport(url) {
+        const f = feeds.get(url);
+        if (!f) return null;
+        const b = f.breaker;
+        return {
+            status: b.state === 'open' ? 'down' : f.consecutive_failures > 0 ? 'degraded' : 'up',
+            last_success: f.last_success,
+            last_failure: f.last_failure,
+            last_error: f.last_error,
+            consecutive_failures: f.consecutive_failures,
+            fetches: f.fetches,
+            failures: f.failures,
+            retries: f.retries,
+            not_modified: f.not_modified,
+            latency_ms: {
+                p50: percentile(f.latencies, 50),
+                p95: percentile(f.latencies, 95),
+                samples: f.latencies.length,
+            },
+            payload_bytes: f.payload_bytes,
+            circuit: {
+                state: b.state,
+                opened_at: b.opened_at,
+                retry_at: b.retry_at ? new Date(b.retry_at).toISOString() : null,
+                cooldown_seconds: b.cooldown_ms / 1000,
+            },
+        };
+    }
+
+    /**
+     * Overall health across `urls`: `ok` when every fetched feed is up,
+     * `down` when at least half are down, `degraded` otherwise, and
+     * `unknown` before any of them has been fetched by this process.
+     * @param {Object} urls - { name: url }
+     */
+    function report(urls) {
+        const out = {};
+        for (const [name, url] of Object.entries(urls)) {
+            out[name] = { url, ...(feedReport(url) || { status: 'unknown' }) };
+        }
+        const states = Object.values(out).map(f => f.status).filter(s => s !== 'unknown');
+        const down = states.filter(s => s === 'down').length;
+        let status = 'ok';
+        if (states.length === 0) status = 'unknown';
+        else if (down * 2 >= states.length) status = 'down';
+        else if (states.some(s => s !== 'up')) status = 'degraded';
+        return { status, feeds: out };
+    }
+
+    return { allow, record, feedReport, report };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+// Nearest-rank percentile (null for no samples)
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+module.exports = { createHealthMonitor, DEFAULTS };
@@ -2,101 +2,224 @@
  * NOAA Space Weather Live Extraction — Entry Point
  * 
  * Usage:
- *   npm start          — Runs one fetch, then schedules every 30 minutes
- *   npm run fetch      — Runs a single one-shot fetch and exits
- *   node index.js --once — Same as above
+ *   node index.js status [--json | --format csv] [--profile crewed]   — One fetch, full report
+ *   node index.js alerts                                              — One fetch, active alerts only
+ *   node index.js history proton_flux [--from] [--to] [--interval 1h] — Stored series
+ *   node index.js watch [--interval 5m]                               — Fetch until stopped
+ *   node index.js export --metrics <list> [--format parquet] [--out file]
+ *   node index.js ... --record <bundle> / --replay <bundle> [--speed 60]
+ *
+ * status and alerts exit with Nagios codes from the highest active alert
+ * severity (0 OK, 1 WATCH/WARNING, 2 CRITICAL, 3 UNKNOWN), so they can run
+ * as an Icinga / Nagios check. The legacy --cron, --once and --export flags
+ * still work.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const extractor = require('./extractor');
 const alerts = require('./alerts');
+const risk = require('./risk');
+const profiles = require('./profiles');
+const { createTracker } = require('./tracker');
+const { createStore } = require('./store');
+const { createFlareCatalogue } = require('./flares');
+const protons = require('./protons');
+const { createProtonCatalogue } = protons;
+const fluence = require('./fluence');
+const bulkExport = require('./export');
+const { csvRow } = bulkExport;
+const replay = require('./replay');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const LATEST_FILE = path.join(DATA_DIR, 'latest.json');
 const LOG_FILE = path.join(DATA_DIR, 'history.jsonl');
+const ALERT_STATE_FILE = path.join(DATA_DIR, 'cli-alert-state.json');
+const FLARES_FILE = path.join(DATA_DIR, 'flares.json');
+const PROTON_EVENTS_FILE = path.join(DATA_DIR, 'proton-events.json');
+
+// Alert lifecycle state carries across cycles and across runs (created per profile in main())
+let alertTracker = null;
+
+// Every cycle's series are appended to the shared time-series store
+let store = createStore();
+// latest.json / history.jsonl are only written for live data
+let saveOutput = true;
+
+// Flare events detected in the X-ray history (shared with the server)
+let flareCatalogue = createFlareCatalogue({ file: FLARES_FILE });
+// Proton (SEP) events detected in the integral proton history (shared with the server)
+let protonCatalogue = createProtonCatalogue({ file: PROTON_EVENTS_FILE });
 
 // ─── Console Report ──────────────────────────────────────────────────────────
 
-function printReport(result, evaluation) {
+/**
+ * Human-readable status report (the `table` format of `status` and `watch`).
+ * @returns {string}
+ */
+function formatReport(result, evaluation, riskReport) {
+    const lines = [];
+    const out = (...args) => lines.push(args.join(' '));
     const d = result.data;
     const m = evaluation.metrics;
 
-    console.log('\n' + '═'.repeat(72));
-    console.log('  🛰️  NOAA SPACE WEATHER STATUS REPORT');
-    console.log('  📅  ' + result.extraction_time);
-    console.log('═'.repeat(72));
+    out('\n' + '═'.repeat(72));
+    out('  🛰️  NOAA SPACE WEATHER STATUS REPORT');
+    out('  📅  ' + result.extraction_time);
+    out('═'.repeat(72));
 
     // Active Alerts
     if (evaluation.alerts.length > 0) {
-        console.log('\n  ⚡ ACTIVE ALERTS:');
+        out('\n  ⚡ ACTIVE ALERTS:');
         evaluation.alerts.forEach((a) => {
-            console.log(`    ${a.severity.emoji} [${a.severity.label}] ${a.message}`);
+            out(`    ${a.severity.emoji} [${a.severity.label}] ${a.message}`);
+            out(`       since ${a.first_seen} (${fmtDuration(a.duration)})${a.held ? ' — holding until clear threshold' : ''}`);
         });
     } else {
-        console.log('\n  ✅ No active alerts — all systems nominal.');
+        out('\n  ✅ No active alerts — all systems nominal.');
     }
 
-    console.log('\n' + '─'.repeat(72));
-    console.log('  📊 METRIC SUMMARY');
-    console.log('─'.repeat(72));
+    // Conditions waiting out their persistence window
+    if (evaluation.pending && evaluation.pending.length > 0) {
+        out('\n  ⏳ PENDING (not yet sustained):');
+        evaluation.pending.forEach((p) => {
+            out(`    • ${p.id}${p.hemisphere ? ` (${p.hemisphere})` : ''} — ${fmtDuration(p.duration)} of ${fmtDuration(p.required_duration)}`);
+        });
+    }
+
+    // NOAA scales at a glance
+    const sc = evaluation.scales || {};
+    out(`\n  📏 NOAA SCALES:  ${['G', 'S', 'R'].map(t => sc[t] ? sc[t].scale : t + '0').join('  ')}`);
+    ['G', 'S', 'R'].filter(t => sc[t]).forEach((t) => {
+        out(`     ${sc[t].name}: ${sc[t].impact}`);
+    });
+
+    out('\n' + '─'.repeat(72));
+    out('  📊 METRIC SUMMARY');
+    out('─'.repeat(72));
 
     // Solar Wind
     const sw = m.solar_wind;
-    console.log(`\n  ${sw.status.emoji} Solar Wind (DSCOVR)`);
-    console.log(`     Bz GSM:  ${fmt(d.solar_wind_mag?.bz_gsm)} nT  (alert ≤ ${sw.bz_threshold})`);
-    console.log(`     Speed:   ${fmt(d.solar_wind_plasma?.speed)} km/s (alert > ${sw.speed_threshold})`);
-    console.log(`     Density: ${fmt(d.solar_wind_plasma?.density)} p/cm³`);
-    if (d.solar_wind_mag?.time_tag) console.log(`     Data at: ${d.solar_wind_mag.time_tag}`);
+    out(`\n  ${sw.status.emoji} Solar Wind (DSCOVR)${fmtFreshness(sw)}`);
+    out(`     Bz GSM:  ${fmt(d.solar_wind_mag?.bz_gsm)} nT  (alert ≤ ${sw.bz_threshold})`);
+    out(`     Speed:   ${fmt(d.solar_wind_plasma?.speed)} km/s (alert > ${sw.speed_threshold})`);
+    out(`     Density: ${fmt(d.solar_wind_plasma?.density)} p/cm³`);
+    if (d.solar_wind_mag?.time_tag) out(`     Data at: ${d.solar_wind_mag.time_tag} (L1)`);
+    if (d.solar_wind_propagation) {
+        out(`     Reaches Earth: ~${d.solar_wind_propagation.delay_minutes} min after L1 → ${d.solar_wind_propagation.arrival_time}`);
+    }
+
+    // Derived magnetospheric drivers
+    const mpm = m.magnetopause;
+    const dv = d.solar_wind_derived;
+    out(`\n  ${mpm.status.emoji} Magnetosphere (derived)${fmtFreshness(mpm)}`);
+    out(`     Standoff: ${fmt(dv?.standoff_re)} Rₑ  (GEO alert < ${mpm.threshold})`);
+    out(`     Pdyn:    ${fmt(dv?.dynamic_pressure_npa)} nPa  |  Clock angle: ${fmt(dv?.clock_angle_deg)}°`);
+    out(`     Newell:  ${fmt(dv?.newell_coupling)}  |  Dst est: ${fmt(dv?.dst_estimate)} nT`);
 
     // Kp Index
     const kpm = m.kp_index;
-    console.log(`\n  ${kpm.status.emoji} Kp Index`);
-    console.log(`     Kp:      ${fmt(d.kp_index_1m?.kp_index)}  (storm ≥ ${kpm.threshold_minor}, severe ≥ ${kpm.threshold_severe})`);
-    console.log(`     Est Kp:  ${fmt(d.kp_index_1m?.estimated_kp)}`);
+    out(`\n  ${kpm.status.emoji} Kp Index${fmtFreshness(kpm)}`);
+    out(`     Kp:      ${fmt(d.kp_index_1m?.kp_index)}  (storm ≥ ${kpm.threshold_minor}, severe ≥ ${kpm.threshold_severe})`);
+    out(`     Est Kp:  ${fmt(d.kp_index_1m?.estimated_kp)}`);
     if (d.kp_index_official) {
-        console.log(`     Official: Kp = ${d.kp_index_official.kp} (3-hour)`);
+        out(`     Official: Kp = ${d.kp_index_official.kp} (3-hour)${kpm.official_scale ? ' — ' + kpm.official_scale.name : ''}`);
     }
+    out(`     Scale:   ${fmtScale(kpm.scale, 'G')}`);
 
     // X-Ray Flux
     const xm = m.xray_flux;
-    console.log(`\n  ${xm.status.emoji} X-Ray Flux (Solar Flares)`);
-    console.log(`     Flux:    ${d.xray_flux?.flux?.toExponential(2) || 'N/A'} W/m²`);
-    console.log(`     Class:   ${xm.flare_class}`);
-    console.log(`     M-class: ≥${xm.threshold_m}  |  X-class: ≥${xm.threshold_x}`);
+    out(`\n  ${xm.status.emoji} X-Ray Flux (Solar Flares)${fmtFreshness(xm)}`);
+    out(`     Flux:    ${d.xray_flux?.flux?.toExponential(2) || 'N/A'} W/m²`);
+    out(`     Class:   ${xm.flare_class}`);
+    out(`     M-class: ≥${xm.threshold_m}  |  X-class: ≥${xm.threshold_x}`);
+    out(`     Scale:   ${fmtScale(xm.scale, 'R')}`);
 
     // Proton Flux
     const pm = m.proton_flux;
-    console.log(`\n  ${pm.status.emoji} Proton Flux (≥10 MeV)`);
-    console.log(`     Flux:    ${fmt(pm.flux)} pfu  (S1 storm ≥ ${pm.threshold})`);
+    out(`\n  ${pm.status.emoji} Proton Flux (≥10 MeV)${fmtFreshness(pm)}`);
+    out(`     Flux:    ${fmt(pm.flux)} pfu  (watch ≥ ${pm.threshold})`);
+    out(`     Scale:   ${fmtScale(pm.scale, 'S')}`);
+    for (const e of [pm.event, ...Object.values(pm.high_energy_events || {})].filter(Boolean)) {
+        out(`     Event:   ${e.band} ${e.in_progress ? 'in progress since' : 'ended'} ${e.in_progress ? e.begin : e.end}, peak ${fmt(e.peak_flux)} pfu${e.scale ? ' (' + e.scale + ')' : ''}`);
+    }
 
     // Electron Flux
     const em = m.electron_flux;
-    console.log(`\n  ${em.status.emoji} Electron Flux (≥2 MeV)`);
-    console.log(`     Flux:    ${fmt(em.flux)} pfu  (charging alert ≥ ${em.threshold})`);
+    out(`\n  ${em.status.emoji} Electron Flux (≥2 MeV)${fmtFreshness(em)}`);
+    out(`     Flux:    ${fmt(em.flux)} pfu  (charging alert ≥ ${em.threshold})`);
+
+    // Fluence
+    const flm = m.fluence;
+    const sci = v => (v != null ? v.toExponential(2) : 'N/A');
+    out(`\n  ${flm.status.emoji} Particle Fluence (cm⁻² sr⁻¹)${fmtFreshness(flm)}`);
+    out(`     ≥2 MeV e⁻ daily:   ${sci(flm.electron_daily)}${flm.electron_date ? ' (' + flm.electron_date + ')' : ''}  (alert ≥ ${sci(flm.threshold_electron_daily)})`);
+    out(`     ≥10 MeV p⁺ 3-day:  ${sci(flm.proton_3day)}  (alert ≥ ${sci(flm.threshold_proton_3day)})`);
 
     // F10.7
     const fm = m.f107_flux;
-    console.log(`\n  ${fm.status.emoji} F10.7 cm Radio Flux`);
-    console.log(`     Flux:    ${fmt(fm.flux)} SFU  (high drag ≥ ${fm.threshold})`);
+    out(`\n  ${fm.status.emoji} F10.7 cm Radio Flux${fmtFreshness(fm)}`);
+    out(`     Flux:    ${fmt(fm.flux)} SFU  (high drag ≥ ${fm.threshold})`);
 
     // Aurora
     const am = m.aurora_power;
-    console.log(`\n  ${am.status.emoji} Aurora Hemispheric Power`);
-    console.log(`     Power:   ${fmt(am.hemispheric_power_gw)} GW  (active ≥ ${am.threshold})`);
+    out(`\n  ${am.status.emoji} Aurora Hemispheric Power${fmtFreshness(am)}`);
+    out(`     Power:   N ${fmt(am.north_gw)} GW  |  S ${fmt(am.south_gw)} GW  (active ≥ ${am.threshold} per hemisphere)`);
+    const oval = d.aurora_oval;
+    if (oval) {
+        const edge = lat => (lat === null ? 'none' : `${Math.abs(lat)}°`);
+        out(`     Oval:    N max ${oval.north.max_probability}% (10% edge ${edge(oval.north.equatorward_latitude)})  |  S max ${oval.south.max_probability}% (10% edge ${edge(oval.south.equatorward_latitude)})`);
+    }
+
+    // SWPC Forecast
+    const fcm = m.forecast;
+    out(`\n  ${fcm.status.emoji} SWPC Forecast (next ${fcm.horizon_hours} h)${fmtFreshness(fcm)}`);
+    out(`     Max Kp:  ${fmt(fcm.max_kp)}${fcm.max_kp_time ? ' at ' + fcm.max_kp_time : ''}  (watch ≥ ${fcm.threshold})${fcm.scale ? ' — ' + fcm.scale.name : ''}`);
+    out(`     X flare: ${fcm.x_flare_probability ?? 'N/A'}%  (watch ≥ ${fcm.threshold_x_flare}%)  |  Proton event: ${fcm.proton_probability ?? 'N/A'}%  (watch ≥ ${fcm.threshold_proton}%)`);
+    if (d.outlook_27day?.days?.length) {
+        const peak = d.outlook_27day.days.reduce((a, b) => (b.kp_max > a.kp_max ? b : a));
+        out(`     27-day:  largest Kp ${peak.kp_max} on ${peak.date}, F10.7 ${Math.min(...d.outlook_27day.days.map(x => x.f107))}–${Math.max(...d.outlook_27day.days.map(x => x.f107))} SFU`);
+    }
+
+    // Data freshness per metric
+    const fresh = Object.entries(m).filter(([, v]) => v.freshness);
+    if (fresh.length > 0) {
+        out('\n' + '─'.repeat(72));
+        out('  ⏱️  DATA FRESHNESS');
+        out('─'.repeat(72));
+        fresh.forEach(([k, v]) => {
+            const f = v.freshness;
+            const age = f.state === 'missing' ? 'no reading' : `${alerts.formatAge(f.age_seconds)} old (${f.time_tag})`;
+            out(`    ${FRESHNESS_ICON[f.state]} ${k.padEnd(14)} ${f.state.toUpperCase().padEnd(8)} ${age}`);
+        });
+    }
+
+    // Satellite Operations Advisory
+    if (riskReport) {
+        out('\n' + '─'.repeat(72));
+        out('  🛡️  SATELLITE OPERATIONS ADVISORY');
+        out('─'.repeat(72));
+        riskReport.hazards.forEach((h) => {
+            out(`\n  ${h.emoji} ${h.icon} ${h.name}: ${h.level}`);
+            out(`     ${h.assessment}`);
+            out(`     Advice:  ${h.advice}`);
+        });
+    }
 
     // Errors
     if (result.errors.length > 0) {
-        console.log('\n' + '─'.repeat(72));
-        console.log('  ❌ FEED ERRORS:');
+        out('\n' + '─'.repeat(72));
+        out('  ❌ FEED ERRORS:');
         result.errors.forEach((e) => {
-            console.log(`     • ${e.feed}: ${e.error}`);
+            out(`     • ${e.feed}: ${e.error}`);
         });
     }
 
-    console.log('\n' + '═'.repeat(72));
-    console.log(`  💾 Data saved to: ${LATEST_FILE}`);
-    console.log('═'.repeat(72) + '\n');
+    out('\n' + '═'.repeat(72));
+    out(saveOutput ? `  💾 Data saved to: ${LATEST_FILE}` : '  💾 Replay — nothing saved to data/');
+    out('═'.repeat(72) + '\n');
+    return lines.join('\n');
 }
 
 function fmt(val) {
@@ -105,34 +228,73 @@ function fmt(val) {
     return val.toString();
 }
 
-// ─── Data Persistence ────────────────────────────────────────────────────────
+function fmtScale(scale, type) {
+    return scale ? `${scale.scale} ${scale.label} (${scale.severity})` : `below ${type}1`;
+}
 
-function saveData(result, evaluation) {
-    // Ensure data directory exists
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+const FRESHNESS_ICON = { live: '🟢', delayed: '🟡', stale: '🟠', missing: '⚫' };
+
+// Heading suffix for a metric whose reading is not live
+function fmtFreshness(metric) {
+    const f = metric.freshness;
+    if (!f || f.state === 'live') return '';
+    return f.state === 'missing' ? '  [NO DATA]' : `  [${f.state.toUpperCase()} — ${alerts.formatAge(f.age_seconds)} old]`;
+}
+
+function fmtDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
 
-    // Build output object
-    const output = {
+// ─── Data Persistence ────────────────────────────────────────────────────────
+
+/**
+ * The JSON document written to latest.json and printed by `status --json`.
+ */
+function buildOutput(result, evaluation, riskReport) {
+    return {
         ...result,
-        alerts: evaluation.alerts.map(a => ({
-            id: a.id,
-            severity: a.severity.label,
-            message: a.message,
-            details: a.details,
-        })),
+        profile: evaluation.profile,
+        alerts: evaluation.alerts.map(serializeAlert),
         metrics_status: Object.fromEntries(
             Object.entries(evaluation.metrics).map(([k, v]) => [k, v.status.label])
         ),
+        scales: evaluation.scales,
+        risk: riskReport,
     };
+}
+
+function serializeAlert(a) {
+    return {
+        id: a.id,
+        severity: a.severity.label,
+        message: a.message,
+        details: a.details,
+        scale: a.scale ? a.scale.scale : null,
+        eta: a.eta || null,
+        event: a.event || null,
+        hemisphere: a.hemisphere || null,
+        first_seen: a.first_seen,
+        last_seen: a.last_seen,
+        peak_value: a.peak_value,
+        duration: a.duration,
+    };
+}
+
+function saveData(output) {
+    // Ensure data directory exists
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
 
     // Write latest.json
     fs.writeFileSync(LATEST_FILE, JSON.stringify(output, null, 2), 'utf-8');
 
     // Append to history log (JSONL)
     const logLine = JSON.stringify({
-        time: result.extraction_time,
+        time: output.extraction_time,
         alerts: output.alerts.length,
         statuses: output.metrics_status,
     });
@@ -141,43 +303,394 @@ function saveData(result, evaluation) {
 
 // ─── Main Cycle ──────────────────────────────────────────────────────────────
 
-async function runCycle() {
-    console.log(`\n[${new Date().toISOString()}] Starting data extraction...`);
+// Progress messages — stdout next to the table report, stderr when stdout
+// carries json / csv for another program
+let log = console.log;
+
+/**
+ * Fetch, store and evaluate one cycle, and save latest.json (live data only).
+ * @param {Object} profile - profiles.get() result
+ * @returns {Promise<Object>} { result, evaluation, riskReport, output }
+ */
+async function runCycle(profile) {
+    log(`\n[${new Date().toISOString()}] Starting data extraction...`);
+    const { result, history } = await extractor.fetchCycle();
+    // Fluence is integrated from the store, so this cycle's points go in first
+    const written = store.ingest(result, history);
+    result.data.fluence = fluence.compute(store, Date.parse(result.extraction_time));
+    const evaluated = protons.withThreshold(result.data, history, profile.thresholds.s1Radiation);
+    const evaluation = alertTracker.update(alerts.evaluate(evaluated, profile, result.freshness), Date.parse(result.extraction_time));
+    const riskReport = risk.assess(result.data, profile);
+    const output = buildOutput(result, evaluation, riskReport);
+    if (saveOutput) saveData(output);
+
+    const total = Object.values(written).reduce((a, b) => a + b, 0);
+    log(`  🗄️  Time-series store: ${total} new point(s) across ${Object.keys(written).length} series`);
+    for (const e of flareCatalogue.ingest(history)) {
+        log(`  ☀️  Flare ${e.class}: begin ${e.begin}, peak ${e.peak}, ${e.in_progress ? 'in progress' : 'end ' + e.end}`);
+    }
+    for (const e of protonCatalogue.ingest(history)) {
+        log(`  ☢️  Proton event ${e.band}${e.scale ? ' ' + e.scale : ''}: begin ${e.begin}, peak ${e.peak_flux} pfu at ${e.peak}, ${e.in_progress ? 'in progress' : 'end ' + e.end}`);
+    }
+    return { result, evaluation, riskReport, output };
+}
+
+// ─── Output Formats ──────────────────────────────────────────────────────────
+
+// Nagios plugin exit codes
+const EXIT = { OK: 0, WARNING: 1, CRITICAL: 2, UNKNOWN: 3 };
+
+/**
+ * Exit code for an evaluation: the highest active alert severity (WATCH and
+ * WARNING → 1, CRITICAL → 2), or UNKNOWN when no metric has a reading.
+ */
+function exitCode(evaluation) {
+    const statuses = Object.values(evaluation.metrics).map(m => m.status);
+    if (statuses.every(s => s === alerts.SEV.UNKNOWN)) return EXIT.UNKNOWN;
+    const top = Math.max(alerts.SEV.NOMINAL.level, ...evaluation.alerts.map(a => a.severity.level));
+    if (top >= alerts.SEV.CRITICAL.level) return EXIT.CRITICAL;
+    if (top >= alerts.SEV.WATCH.level) return EXIT.WARNING;
+    return EXIT.OK;
+}
+
+const EXIT_LABEL = ['OK', 'WARNING', 'CRITICAL', 'UNKNOWN'];
+
+// Headline reading and threshold fields of each metric (CSV rows)
+const METRIC_SUMMARY = {
+    solar_wind: ['bz_gsm', 'bz_threshold'],
+    kp_index: ['kp_index', 'threshold_minor'],
+    xray_flux: ['flux', 'threshold_m'],
+    proton_flux: ['flux', 'threshold'],
+    electron_flux: ['flux', 'threshold'],
+    f107_flux: ['flux', 'threshold'],
+    aurora_power: ['hemispheric_power_gw', 'threshold'],
+    magnetopause: ['standoff_re', 'threshold'],
+    fluence: ['electron_daily', 'threshold_electron_daily'],
+    forecast: ['max_kp', 'threshold'],
+};
+
+function statusCsv(cycle, header) {
+    const { output, evaluation } = cycle;
+    const lines = header ? [csvRow(['time', 'profile', 'metric', 'status', 'value', 'threshold', 'freshness'])] : [];
+    for (const [metric, m] of Object.entries(evaluation.metrics)) {
+        const [value, threshold] = METRIC_SUMMARY[metric] || [];
+        lines.push(csvRow([output.extraction_time, output.profile, metric, m.status.label, m[value], m[threshold], m.freshness?.state]));
+    }
+    return lines.join('');
+}
+
+// First line doubles as the Nagios status text
+function alertsTable(cycle) {
+    const { output, evaluation } = cycle;
+    const n = evaluation.alerts.length;
+    const lines = [`SWPC ${EXIT_LABEL[exitCode(evaluation)]} — ${n} active alert${n === 1 ? '' : 's'} (profile ${output.profile}, ${output.extraction_time})`];
+    for (const a of evaluation.alerts) {
+        lines.push(`  ${a.severity.emoji} ${a.severity.label.padEnd(8)} ${a.id} — ${a.message}`);
+    }
+    for (const p of evaluation.pending || []) {
+        lines.push(`  ⏳ PENDING  ${p.id} — ${p.message} (${fmtDuration(p.duration)} of ${fmtDuration(p.required_duration)})`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function alertsCsv(cycle, header) {
+    const { output, evaluation } = cycle;
+    const lines = header ? [csvRow(['time', 'profile', 'id', 'severity', 'message', 'first_seen', 'duration'])] : [];
+    for (const a of evaluation.alerts) {
+        lines.push(csvRow([output.extraction_time, output.profile, a.id, a.severity.label, a.message, a.first_seen, a.duration]));
+    }
+    return lines.join('');
+}
+
+/**
+ * Render one cycle for `status`, `alerts` or `watch`. JSON is compact
+ * (one line per cycle) when `watch` streams it.
+ */
+function render(command, cycle, format, first = true) {
+    const alertsOnly = command === 'alerts';
+    if (format === 'json') {
+        const doc = alertsOnly
+            ? { extraction_time: cycle.output.extraction_time, profile: cycle.output.profile, alerts: cycle.output.alerts, pending: cycle.evaluation.pending || [] }
+            : cycle.output;
+        return (command === 'watch' ? JSON.stringify(doc) : JSON.stringify(doc, null, 2)) + '\n';
+    }
+    if (format === 'csv') return alertsOnly ? alertsCsv(cycle, first) : statusCsv(cycle, first);
+    return alertsOnly ? alertsTable(cycle) : formatReport(cycle.result, cycle.evaluation, cycle.riskReport) + '\n';
+}
+
+// Write command output to --out (appending for `watch`) or stdout
+function emit(opts, text, append = false) {
+    if (!opts.out) return process.stdout.write(text);
+    if (append) fs.appendFileSync(opts.out, text, 'utf-8');
+    else fs.writeFileSync(opts.out, text, 'utf-8');
+}
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+// Banner line with the number of registered feeds
+function pollingBanner() {
+    return `│  Polling ${extractor.FEED_REGISTRY.length} feeds from services.swpc.noaa.gov`.padEnd(62) + '│';
+}
+
+/**
+ * `status` / `alerts` — one cycle, exit code from the highest active severity.
+ */
+async function runOnce(opts, profile) {
+    log('┌──────────────────────────────────────────────────────────────┐');
+    log('│  🛰️  NOAA Space Weather Live Data Extraction System         │');
+    log(pollingBanner());
+    log('│  Mode: One-shot fetch                                       │');
+    log('└──────────────────────────────────────────────────────────────┘');
+    const cycle = await runCycle(profile);
+    emit(opts, render(opts.command, cycle, opts.format));
+    return exitCode(cycle.evaluation);
+}
+
+/**
+ * `watch` — a cycle every --interval until interrupted (or a replay ends).
+ */
+async function runWatch(opts, profile, session) {
+    let interval = opts.interval ?? POLL_INTERVAL_MS;
+    if (session.mode === 'replay' && opts.interval === null) {
+        // Poll at the recording's own cadence (scaled) so every frame is evaluated;
+        // --speed 0 steps one frame per cycle instead
+        const cadence = session.replay.cadence() || POLL_INTERVAL_MS;
+        interval = session.speed > 0 ? Math.max(250, cadence / session.speed) : 1000;
+    }
+    const nextMsg = `\n⏰ Next fetch in ${fmtDuration(Math.round(interval / 1000)).replace(/^0m$/, '<1m')}. Press Ctrl+C to stop.\n`;
+
+    log('┌──────────────────────────────────────────────────────────────┐');
+    log('│  🛰️  NOAA Space Weather Live Data Extraction System         │');
+    log(pollingBanner());
+    log(`│  Mode: Watch — every ${fmtDuration(Math.round(interval / 1000)).replace(/^0m$/, '<1m').padEnd(40)}│`);
+    log('└──────────────────────────────────────────────────────────────┘');
+
+    for (let first = true; ; first = false) {
+        try {
+            const cycle = await runCycle(profile);
+            emit(opts, render('watch', cycle, opts.format, first), true);
+        } catch (err) {
+            console.error(`[ERROR] Extraction cycle failed: ${err.message}`);
+            console.error(err.stack);
+        }
+        if (session.replay && session.replay.status().finished) {
+            log('⏹️  Replay bundle finished.');
+            return EXIT.OK;
+        }
+        log(nextMsg);
+        await new Promise(resolve => setTimeout(resolve, interval));
+        if (session.replay && session.speed === 0) session.replay.next();
+    }
+}
+
+/**
+ * `history <metric>` — a stored series (or series.field) between --from and --to.
+ */
+function runHistory(opts) {
+    if (!opts.args[0]) throw new UsageError('history needs a metric, e.g. `history proton_flux` or `history solar_wind_mag.bz_gsm`');
+    const { columns, rows } = bulkExport.queryRows(store, { metrics: opts.args[0], from: opts.from, to: opts.to, interval: opts.intervalRaw });
+
+    if (opts.format === 'json') {
+        emit(opts, JSON.stringify({ metric: opts.args[0], columns, points: [...rows] }, null, 2) + '\n');
+    } else if (opts.format === 'csv') {
+        let text = csvRow(['time', ...columns]);
+        for (const r of rows) text += csvRow([r.time, ...columns.map(c => r[c])]);
+        emit(opts, text);
+    } else {
+        const width = Math.max(12, ...columns.map(c => c.length)) + 2;
+        let text = 'time'.padEnd(22) + columns.map(c => c.padStart(width)).join('') + '\n';
+        for (const r of rows) text += r.time.padEnd(22) + columns.map(c => fmt(r[c]).padStart(width)).join('') + '\n';
+        emit(opts, text);
+    }
+    return EXIT.OK;
+}
+
+/**
+ * `export` — bulk export from the store (same options as /api/export).
+ */
+async function runExport(opts) {
+    const format = opts.format === 'json' ? 'ndjson'
+        : opts.formatRaw || (opts.out ? path.extname(opts.out).slice(1) : null) || 'csv';
+    const ex = bulkExport.createExport(store, {
+        metrics: opts.metrics,
+        format,
+        interval: opts.intervalRaw,
+        from: opts.from,
+        to: opts.to,
+    });
     try {
-        const result = await extractor.fetchAll();
-        const evaluation = alerts.evaluate(result.data);
-        printReport(result, evaluation);
-        saveData(result, evaluation);
+        await pipeline(ex.stream, opts.out ? fs.createWriteStream(opts.out) : process.stdout);
     } catch (err) {
-        console.error(`[ERROR] Extraction cycle failed: ${err.message}`);
-        console.error(err.stack);
+        // Reader closed early (e.g. piped into `head`)
+        if (err.code === 'EPIPE') return EXIT.OK;
+        throw err;
     }
+    if (opts.out) console.error(`📦 Exported ${ex.columns.length} column(s) to ${opts.out}`);
+    return EXIT.OK;
 }
 
+// ─── Arguments ───────────────────────────────────────────────────────────────
+
+const COMMANDS = ['status', 'alerts', 'history', 'watch', 'export', 'help'];
+const REPORT_FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  status               Fetch once and print the full report (default)
+  alerts               Fetch once and print active alerts only
+  history <metric>     Print a stored series or series.field
+  watch                Fetch every --interval until stopped
+  export               Bulk export stored series (--metrics a,b.field)
+  help                 Show this help
+
+Options:
+  --format <f>         table | json | csv (export: csv | ndjson | parquet)
+  --json               Same as --format json
+  --profile <name>     Threshold profile (default: the configured default)
+  --interval <d>       watch: poll period (30s, 5m, 1h; default 30m)
+                       history / export: resample to buckets (5m, 1h, 1d)
+  --out <file>         Write output to a file instead of stdout
+  --from, --to         history / export range (ISO time or epoch ms; default last 24h)
+  --replay <bundle>    Run against a recorded bundle (--speed, --loop)
+  --record <bundle>    Also save raw NOAA responses to a bundle
+
+Exit codes (Nagios): 0 OK, 1 WATCH/WARNING alert, 2 CRITICAL alert, 3 UNKNOWN (no data or error).
+`;
+
+/**
+ * Parse the command line. The command comes first; the legacy flags
+ * --cron, --once and --export still select watch, status and export.
+ */
+function parseArgs(argv) {
+    const args = argv.slice(2);
+    let command = args[0] && !args[0].startsWith('--') ? args[0] : null;
+    if (!command) {
+        if (args.includes('--help')) command = 'help';
+        else if (args.includes('--cron')) command = 'watch';
+        else if (args.includes('--export')) command = 'export';
+        else command = 'status';
+    }
+    if (!COMMANDS.includes(command)) throw new UsageError(`Unknown command '${command}'`);
+
+    const positional = [];
+    for (const a of args.slice(args[0] === command ? 1 : 0)) {
+        if (a.startsWith('--')) break;
+        positional.push(a);
+    }
+
+    const formatRaw = argValue(argv, '--format');
+    const format = argv.includes('--json') ? 'json' : (formatRaw || 'table').toLowerCase();
+    if (command !== 'export' && !REPORT_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    const intervalRaw = argValue(argv, '--interval');
+    return {
+        command,
+        args: positional,
+        format,
+        formatRaw,
+        profile: argValue(argv, '--profile'),
+        out: argValue(argv, '--out'),
+        metrics: argValue(argv, '--metrics'),
+        intervalRaw,
+        // watch polls on any duration; history / export validate their own buckets
+        interval: command === 'watch' && intervalRaw !== null ? parseDuration(intervalRaw) : null,
+        from: parseTime(argv, '--from'),
+        to: parseTime(argv, '--to'),
+    };
+}
+
+function argValue(argv, flag) {
+    const idx = argv.indexOf(flag);
+    if (idx === -1 || idx + 1 >= argv.length || argv[idx + 1].startsWith('--')) return null;
+    return argv[idx + 1];
+}
+
+function parseTime(argv, flag) {
+    const raw = argValue(argv, flag);
+    if (raw === null) return null;
+    const t = new Date(/^\d+$/.test(raw) ? Number(raw) : raw).getTime();
+    if (isNaN(t)) throw new UsageError(`Invalid ${flag} — use an ISO-8601 time or epoch milliseconds`);
+    return t;
+}
+
+// "90s", "5m", "1h", "1d" or plain seconds → ms
+function parseDuration(raw) {
+    const m = /^(\d+(?:\.\d+)?)([smhd]?)$/.exec(String(raw).trim());
+    if (!m || Number(m[1]) <= 0) throw new UsageError('--interval must be a duration such as 30s, 5m or 1h');
+    return Number(m[1]) * { '': 1000, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2]];
+}
+
+class UsageError extends Error { }
+
 // ─── Entry Point ─────────────────────────────────────────────────────────────
 
 const POLL_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
 
+// CLI alert state is kept per profile so lifecycles don't mix
+function alertStateFile(profileName) {
+    return profileName === profiles.defaultName() ? ALERT_STATE_FILE : path.join(DATA_DIR, `cli-alert-state-${profileName}.json`);
+}
+
 async function main() {
-    const isCron = process.argv.includes('--cron');
+    let opts;
+    try {
+        opts = parseArgs(process.argv);
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return EXIT.UNKNOWN;
+    }
+    if (opts.command === 'help') {
+        process.stdout.write(USAGE);
+        return EXIT.OK;
+    }
+    if (opts.format !== 'table' || opts.command === 'export') log = console.error;
+
+    try {
+        if (opts.command === 'history') return runHistory(opts);
+        if (opts.command === 'export') return await runExport(opts);
+    } catch (err) {
+        console.error(`[ERROR] ${opts.command} failed: ${err.message}`);
+        return EXIT.UNKNOWN;
+    }
 
-    console.log('┌──────────────────────────────────────────────────────────────┐');
-    console.log('│  🛰️  NOAA Space Weather Live Data Extraction System         │');
-    console.log('│  Polling 9 feeds from services.swpc.noaa.gov                │');
-    console.log(`│  Mode: ${isCron ? '30-minute scheduled polling' : 'One-shot fetch'}                        │`);
-    console.log('└──────────────────────────────────────────────────────────────┘');
+    const profile = profiles.get(opts.profile || undefined);
+    if (!profile) {
+        console.error(`Unknown profile '${opts.profile}' (profiles: ${profiles.names().join(', ')})`);
+        return EXIT.UNKNOWN;
+    }
+    // watch polls on its own period; a gap longer than two polls breaks alert persistence
+    const maxGapMs = opts.command === 'watch' ? 2 * (opts.interval ?? POLL_INTERVAL_MS) : undefined;
+    alertTracker = createTracker({ file: alertStateFile(profile.name), maxGapMs });
 
-    // Run immediately
-    await runCycle();
+    // --replay swaps NOAA for a local stand-in on accelerated virtual time
+    const session = await replay.setupFromArgs(process.argv, { log });
+    if (session.mode === 'replay') {
+        // Keep replayed series, output, alert state and events out of the live state files
+        store = replay.createReplayStore(session);
+        saveOutput = false;
+        alertTracker = createTracker({ maxGapMs });
+        flareCatalogue = createFlareCatalogue();
+        protonCatalogue = createProtonCatalogue();
+    }
 
-    // Schedule recurring polling if --cron flag is set
-    if (isCron) {
-        console.log(`\n⏰ Next fetch in 30 minutes. Press Ctrl+C to stop.\n`);
-        setInterval(async () => {
-            await runCycle();
-            console.log(`\n⏰ Next fetch in 30 minutes. Press Ctrl+C to stop.\n`);
-        }, POLL_INTERVAL_MS);
+    try {
+        if (opts.command === 'watch') return await runWatch(opts, profile, session);
+        return await runOnce(opts, profile);
+    } catch (err) {
+        console.error(`[ERROR] Extraction cycle failed: ${err.message}`);
+        console.error(err.stack);
+        return EXIT.UNKNOWN;
+    } finally {
+        await session.close();
     }
 }
 
-main().catch(console.error);
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error(err);
+        process.exitCode = EXIT.UNKNOWN;
+    });
@@ -0,0 +1,184 @@
+/**
+ * NOAA Space Weather Prometheus / OpenMetrics Exporter
+ *
+ * Renders the latest extraction, the alert evaluation and per-feed fetch
+ * health in the Prometheus text exposition format for scraping by
+ * Prometheus, Grafana Agent or any OpenMetrics-compatible collector.
+ */
+
+const { FEED_REGISTRY, healthReport } = require('./extractor');
+const { SEV } = require('./alerts');
+const { normalizeTime } = require('./store');
+
+// Fields of a data object that are not measurements
+const NON_VALUE_FIELDS = new Set(['time_tag', 'energy', 'satellite']);
+
+// ─── Exporter ────────────────────────────────────────────────────────────────
+
+/**
+ * Create an exporter. Counters accumulate across observe() calls for the
+ * lifetime of the process.
+ */
+function createExporter() {
+    // feed name → { fetches, errors, duration_ms, up }
+    const feeds = {};
+    let cycles = 0;
+
+    /**
+     * Record one extraction cycle (a fetchAll() result).
+     */
+    function observe(result) {
+        cycles++;
+        const failed = new Set((result.errors || []).map(e => e.feed));
+        for (const feed of FEED_REGISTRY) {
+            const f = feeds[feed.name] || (feeds[feed.name] = { fetches: 0, errors: 0, duration_ms: null, up: 0 });
+            f.fetches++;
+            if (failed.has(feed.name)) f.errors++;
+            f.up = failed.has(feed.name) ? 0 : 1;
+            f.duration_ms = result.feed_timings?.[feed.name] ?? f.duration_ms;
+        }
+    }
+
+    /**
+     * Render the exposition text.
+     * @param {Object} cache - Server cache ({ data, evaluation, lastFetchBaseMs })
+     * @param {number} [now] - Current time in ms
+     */
+    function render(cache, now = Date.now()) {
+        const out = [];
+        const result = cache?.data;
+        const evaluation = cache?.evaluation;
+
+        // Measured values
+        if (result?.data) {
+            const values = family(out, 'noaa_swpc_value', 'gauge', 'Latest value of each extracted NOAA SWPC measurement.');
+            const observed = family(out, 'noaa_swpc_observation_timestamp_seconds', 'gauge', 'Time tag of the latest observation of each metric.');
+            for (const [metric, feed] of dataSources()) {
+                const d = result.data[metric];
+                if (!d) continue;
+                const base = {
+                    metric,
+                    energy: d.energy || '',
+                    source: d.satellite != null ? `${feed.source}-${d.satellite}` : feed.source,
+                };
+                for (const [field, v] of Object.entries(d)) {
+                    if (NON_VALUE_FIELDS.has(field) || typeof v !== 'number' || !isFinite(v)) continue;
+                    values.push(sample('noaa_swpc_value', { ...base, field }, v));
+                }
+                const t = normalizeTime(d.time_tag);
+                if (t) observed.push(sample('noaa_swpc_observation_timestamp_seconds', base, Date.parse(t) / 1000));
+            }
+        }
+
+        // Accumulated fluence
+        if (result?.data?.fluence) {
+            const fl = family(out, 'noaa_swpc_fluence', 'gauge', 'Particle fluence integrated over the UTC day so far and the rolling 3 days (per cm² sr).');
+            for (const [quantity, q] of Object.entries(result.data.fluence.quantities)) {
+                if (q.today.fluence !== null) fl.push(sample('noaa_swpc_fluence', { quantity, period: 'today' }, q.today.fluence));
+                if (q.rolling_3day.fluence !== null) fl.push(sample('noaa_swpc_fluence', { quantity, period: 'rolling_3day' }, q.rolling_3day.fluence));
+            }
+        }
+
+        // Data freshness
+        if (result?.freshness) {
+            const stale = family(out, 'noaa_swpc_data_stale', 'gauge', 'Whether each metric\'s latest reading is stale or missing (1) or current (0).');
+            for (const [metric, f] of Object.entries(result.freshness)) {
+                stale.push(sample('noaa_swpc_data_stale', { metric, state: f.state }, f.state === 'stale' || f.state === 'missing' ? 1 : 0));
+            }
+        }
+
+        // Alert evaluation
+        if (evaluation) {
+            const sev = family(out, 'noaa_swpc_metric_severity', 'gauge',
+                `Alert severity per metric (${Object.values(SEV).map(s => `${s.level}=${s.label}`).join(', ')}).`);
+            for (const [metric, m] of Object.entries(evaluation.metrics || {})) {
+                sev.push(sample('noaa_swpc_metric_severity', { metric, status: m.status.label }, m.status.level));
+            }
+
+            const active = family(out, 'noaa_swpc_active_alerts', 'gauge', 'Active alerts by severity.');
+            for (const s of Object.values(SEV)) {
+                if (s === SEV.NOMINAL || s === SEV.UNKNOWN) continue;
+                const n = evaluation.alerts.filter(a => a.severity.label === s.label).length;
+                active.push(sample('noaa_swpc_active_alerts', { severity: s.label }, n));
+            }
+            family(out, 'noaa_swpc_pending_alerts', 'gauge', 'Alert conditions waiting out their persistence window.')
+                .push(sample('noaa_swpc_pending_alerts', {}, (evaluation.pending || []).length));
+
+            const scales = family(out, 'noaa_swpc_scale_level', 'gauge', 'Current NOAA G/S/R scale level (0 = below level 1).');
+            for (const type of ['G', 'S', 'R']) {
+                scales.push(sample('noaa_swpc_scale_level', { scale: type }, evaluation.scales?.[type]?.level || 0));
+            }
+        }
+
+        // Cache and fetch health
+        if (cache?.lastFetchBaseMs) {
+            family(out, 'noaa_swpc_cache_age_seconds', 'gauge', 'Seconds since the server last fetched from NOAA.')
+                .push(sample('noaa_swpc_cache_age_seconds', {}, (now - cache.lastFetchBaseMs) / 1000));
+        }
+
+        family(out, 'noaa_swpc_fetch_cycles_total', 'counter', 'Extraction cycles run since the server started.')
+            .push(sample('noaa_swpc_fetch_cycles_total', {}, cycles));
+
+        const names = Object.keys(feeds);
+        if (names.length > 0) {
+            const duration = family(out, 'noaa_swpc_feed_fetch_duration_seconds', 'gauge', 'Duration of the latest request to each feed.');
+            const up = family(out, 'noaa_swpc_feed_up', 'gauge', 'Whether the latest fetch of each feed succeeded.');
+            const fetches = family(out, 'noaa_swpc_feed_fetches_total', 'counter', 'Fetches attempted per feed.');
+            const errors = family(out, 'noaa_swpc_feed_errors_total', 'counter', 'Failed fetches per feed.');
+            for (const name of names) {
+                const f = feeds[name];
+                if (f.duration_ms !== null) duration.push(sample('noaa_swpc_feed_fetch_duration_seconds', { feed: name }, f.duration_ms / 1000));
+                up.push(sample('noaa_swpc_feed_up', { feed: name }, f.up));
+                fetches.push(sample('noaa_swpc_feed_fetches_total', { feed: name }, f.fetches));
+                errors.push(sample('noaa_swpc_feed_errors_total', { feed: name }, f.errors));
+            }
+        }
+
+        const health = healthReport();
+        const breakers = Object.values(health.feeds).filter(f => f.circuit);
+        if (breakers.length > 0) {
+            const open = family(out, 'noaa_swpc_feed_circuit_open', 'gauge', 'Whether each feed\'s circuit breaker is open (feed skipped, last good value served).');
+            const p95 = family(out, 'noaa_swpc_feed_latency_p95_seconds', 'gauge', '95th percentile request latency per feed over recent fetches.');
+            for (const f of breakers) {
+                open.push(sample('noaa_swpc_feed_circuit_open', { feed: f.name }, f.circuit.state === 'open' ? 1 : 0));
+                if (f.latency_ms.p95 !== null) p95.push(sample('noaa_swpc_feed_latency_p95_seconds', { feed: f.name }, f.latency_ms.p95 / 1000));
+            }
+        }
+
+        return out.flat().join('\n') + '\n';
+    }
+
+    return { observe, render };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+// [dataKey, feed] for every latest-value extractor in the registry
+function dataSources() {
+    return FEED_REGISTRY.flatMap(feed => Object.keys(feed.latest).map(key => [key, feed]));
+}
+
+// Start a metric family (HELP/TYPE header) and return its line list
+function family(out, name, type, help) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    out.push(lines);
+    return lines;
+}
+
+function sample(name, labels, value) {
+    const l = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+    return `${name}${l ? `{${l}}` : ''} ${formatValue(value)}`;
+}
+
+function escapeLabel(v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(v) {
+    if (v === Infinity) return '+Inf';
+    if (v === -Infinity) return '-Inf';
+    if (isNaN(v)) return 'NaN';
+    return String(v);
+}
+
+module.exports = { createExporter };
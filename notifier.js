@@ -0,0 +1,621 @@
+/**
+ * NOAA Space Weather Notifier
+ *
+ * Turns alert transitions into ready-to-read chat and mail messages, so
+ * teams don't each have to format `message` / `details` themselves.
+ * Channels (Slack, Telegram, email, Teams — see channels.js) load from a
+ * validated config file (config/notifiers.json, or NOTIFIERS_FILE). Every
+ * channel has its own:
+ *   Routing     — minimum severity, alert ids, transition types, profile
+ *   Templates   — {{placeholder}} text for single alerts and digests
+ *   Quiet hours — transitions below a severity wait until the window ends
+ *   Rate limit  — at most N messages per window; a burst of transitions,
+ *                 or anything arriving while the limit is reached, goes
+ *                 out as one digest
+ * Settings may reference environment variables as "${NAME}", so secrets
+ * can stay out of the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SEV } = require('./alerts');
+const { diffAlerts, EVENT_TYPES } = require('./subscriptions');
+const { ADAPTERS } = require('./channels');
+const profiles = require('./profiles');
+
+const CONFIG_FILE = process.env.NOTIFIERS_FILE || path.join(__dirname, 'config', 'notifiers.json');
+
+const CHANNEL_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+const CLOCK_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 2000;  // 2s, 4s between attempts
+const LOG_LIMIT = 50;          // Delivery log entries kept per channel
+const MASK = '********';       // Secrets as shown by describe()
+
+const DEFAULT_RATE_LIMIT = { max_messages: 5, window_minutes: 15 };
+
+// Placeholders each template may use
+const ALERT_FIELDS = ['event', 'id', 'severity', 'previous_severity', 'emoji', 'message', 'details', 'scale', 'time', 'first_seen', 'duration', 'profile', 'channel'];
+const DIGEST_FIELDS = ['count', 'lines', 'profile', 'channel'];
+const TEMPLATE_FIELDS = {
+    title: ALERT_FIELDS,
+    body: ALERT_FIELDS,
+    digest_title: DIGEST_FIELDS,
+    digest_line: ALERT_FIELDS,
+    digest_body: DIGEST_FIELDS,
+};
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+let config = null;
+
+function load() {
+    if (config) return config;
+    let raw = { channels: {} };
+    if (fs.existsSync(CONFIG_FILE)) {
+        raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    }
+    config = validateConfig(raw);
+    return config;
+}
+
+function names() {
+    return Object.keys(load().channels);
+}
+
+function save(cfg) {
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(cfg, null, 4) + '\n', 'utf-8');
+}
+
+// ─── Dispatch ────────────────────────────────────────────────────────────────
+
+// Per-channel runtime state: queued and quiet-held transitions, send times, timers, delivery log
+const state = new Map();
+
+function stateFor(name) {
+    if (!state.has(name)) state.set(name, { queue: [], held: [], sent: [], timer: null, quietTimer: null, deliveries: [] });
+    return state.get(name);
+}
+
+/**
+ * Diff each channel's profile between two cycles and queue the transitions
+ * it routes. Resolves once every message sendable now has settled.
+ * @param {Object} prev - Previous { [profile]: { evaluation } }
+ * @param {Object} next - New { [profile]: { evaluation } }
+ */
+async function notify(prev, next) {
+    const jobs = [];
+    const now = Date.now();
+    for (const [name, ch] of Object.entries(load().channels)) {
+        if (!ch.enabled) continue;
+        const profile = ch.profile || profiles.defaultName();
+        const before = prev?.[profile]?.evaluation;
+        const after = next?.[profile]?.evaluation;
+        if (!before || !after) continue;
+
+        const items = diffAlerts(before, after).filter(t => routes(ch, t)).map(t => toItem(t, profile, name));
+        if (items.length === 0) continue;
+
+        const s = stateFor(name);
+        const quiet = inQuietHours(ch.quiet_hours, now);
+        for (const item of items) {
+            if (quiet && item.level < SEV[ch.quiet_hours.min_severity].level) s.held.push(item);
+            else s.queue.push(item);
+        }
+        if (s.held.length > 0) scheduleQuietEnd(name, ch);
+        jobs.push(flush(name));
+    }
+    return Promise.allSettled(jobs);
+}
+
+function routes(ch, t) {
+    // Cleared alerts route on the severity they had while active
+    const sev = t.type === 'cleared' ? t.previous_severity : t.alert.severity;
+    if (sev.level < SEV[ch.min_severity].level) return false;
+    if (!ch.events.includes(t.type)) return false;
+    return ch.alert_ids.length === 0 || ch.alert_ids.includes(t.alert.id);
+}
+
+// Template variables for one transition
+function toItem(t, profile, channel) {
+    const a = t.alert;
+    const sev = t.type === 'cleared' ? t.previous_severity : a.severity;
+    return {
+        level: sev.level,
+        vars: {
+            event: t.type,
+            id: a.id,
+            severity: sev.label,
+            previous_severity: t.previous_severity ? t.previous_severity.label : '',
+            emoji: t.type === 'cleared' ? '✅' : sev.emoji,
+            message: a.message,
+            details: a.details || '',
+            scale: a.scale?.scale || '',
+            time: a.last_seen || new Date().toISOString(),
+            first_seen: a.first_seen || '',
+            duration: a.duration != null ? fmtDuration(a.duration) : '',
+            profile,
+            channel,
+        },
+    };
+}
+
+/**
+ * Send whatever a channel has queued — one message for a single
+ * transition, a digest for several — unless its rate limit is reached,
+ * in which case retry when the oldest send leaves the window.
+ */
+async function flush(name) {
+    const ch = load().channels[name];
+    const s = state.get(name);
+    if (!ch || !s || s.queue.length === 0) return null;
+
+    const now = Date.now();
+    const windowMs = ch.rate_limit.window_minutes * 60 * 1000;
+    s.sent = s.sent.filter(t => t > now - windowMs);
+    if (s.sent.length >= ch.rate_limit.max_messages) {
+        if (!s.timer) {
+            s.timer = setTimeout(() => {
+                s.timer = null;
+                flush(name).catch(e => console.error(`Notifier ${name} flush failed:`, e.message));
+            }, s.sent[0] + windowMs - now);
+            s.timer.unref();
+        }
+        return null;
+    }
+
+    const items = s.queue.splice(0);
+    s.sent.push(now);
+    const msg = items.length === 1 ? renderAlert(ch, items[0].vars) : renderDigest(ch, name, items);
+    return deliver(name, ch, msg, items.length === 1 ? 'alert' : 'digest', items.map(i => i.vars.id));
+}
+
+// Release quiet-held transitions when the channel's quiet hours end
+function scheduleQuietEnd(name, ch) {
+    const s = stateFor(name);
+    if (s.quietTimer) return;
+    s.quietTimer = setTimeout(() => {
+        s.quietTimer = null;
+        s.queue.push(...s.held.splice(0));
+        flush(name).catch(e => console.error(`Notifier ${name} flush failed:`, e.message));
+    }, msUntilQuietEnd(ch.quiet_hours, Date.now()));
+    s.quietTimer.unref();
+}
+
+// After a config change: re-arm timers under the new quiet hours / rate limit
+function reschedule(name) {
+    const s = state.get(name);
+    if (!s) return;
+    clearTimeout(s.timer);
+    clearTimeout(s.quietTimer);
+    s.timer = s.quietTimer = null;
+
+    const ch = load().channels[name];
+    if (!ch) return state.delete(name);
+    if (s.held.length > 0 && inQuietHours(ch.quiet_hours, Date.now())) scheduleQuietEnd(name, ch);
+    else s.queue.push(...s.held.splice(0));
+    flush(name).catch(e => console.error(`Notifier ${name} flush failed:`, e.message));
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+/**
+ * Send one rendered message, retrying with backoff, and log the outcome.
+ * @returns {Promise<Object>} The delivery log entry
+ */
+async function deliver(name, ch, msg, kind, alertIds) {
+    const entry = {
+        id: crypto.randomUUID(),
+        kind,
+        alert_ids: alertIds,
+        title: msg.title,
+        attempts: 0,
+        status: 'pending',
+        response_status: null,
+        error: null,
+        started_at: new Date().toISOString(),
+        finished_at: null,
+    };
+
+    let target = null;
+    try {
+        target = expandEnv(ch);
+    } catch (err) {
+        entry.error = err.message;
+    }
+
+    for (let attempt = 1; target && attempt <= MAX_ATTEMPTS; attempt++) {
+        entry.attempts = attempt;
+        try {
+            const res = await ADAPTERS[ch.type].send(target, msg);
+            entry.response_status = res.status;
+            entry.status = 'delivered';
+            entry.error = null;
+            break;
+        } catch (err) {
+            entry.response_status = err.status || null;
+            entry.error = redactError(err.message, target, ch.type);
+            // Client errors other than 408/429 will not succeed on retry
+            if (err.status && err.status < 500 && err.status !== 408 && err.status !== 429) break;
+        }
+        if (attempt < MAX_ATTEMPTS) await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    }
+
+    if (entry.status !== 'delivered') entry.status = 'failed';
+    entry.finished_at = new Date().toISOString();
+
+    const s = stateFor(name);
+    s.deliveries.unshift(entry);
+    s.deliveries.length = Math.min(s.deliveries.length, LOG_LIMIT);
+
+    if (entry.status === 'failed') {
+        console.error(`📣 ${ch.type} notification to '${name}' failed after ${entry.attempts} attempt(s): ${entry.error}`);
+    }
+    return entry;
+}
+
+// Resolve "${NAME}" references to environment variables
+function expandEnv(value) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (_, key) => {
+            if (process.env[key] === undefined) throw new Error(`Environment variable ${key} is not set`);
+            return process.env[key];
+        });
+    }
+    if (Array.isArray(value)) return value.map(expandEnv);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+    }
+    return value;
+}
+
+// Keep tokens (e.g. in a Telegram URL) out of logged errors
+function redactError(message, target, type) {
+    let out = message;
+    for (const key of ADAPTERS[type].secrets) {
+        const secret = key.split('.').reduce((o, k) => o?.[k], target);
+        if (typeof secret === 'string' && secret.length > 0) out = out.split(secret).join(MASK);
+    }
+    return out;
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+function templatesFor(ch) {
+    return { ...ADAPTERS[ch.type].templates, ...ch.templates };
+}
+
+/**
+ * Fill {{placeholders}}; values are escaped for the channel's markup
+ * except the already-rendered `raw` keys.
+ */
+function render(template, vars, escape, raw = []) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+        const v = vars[key];
+        if (v === undefined || v === null) return '';
+        return raw.includes(key) ? String(v) : escape(String(v));
+    }).trim();
+}
+
+function renderAlert(ch, vars) {
+    const t = templatesFor(ch);
+    const { escape } = ADAPTERS[ch.type];
+    return {
+        title: render(t.title, vars, escape),
+        body: render(t.body, vars, escape),
+        tone: vars.event === 'cleared' ? 'CLEARED' : vars.severity,
+    };
+}
+
+function renderDigest(ch, name, items) {
+    const t = templatesFor(ch);
+    const { escape } = ADAPTERS[ch.type];
+    const vars = {
+        count: items.length,
+        lines: items.map(i => render(t.digest_line, i.vars, escape)).join('\n'),
+        profile: items[0].vars.profile,
+        channel: name,
+    };
+    // Coloured by the most severe transition that isn't a clearance
+    const active = items.filter(i => i.vars.event !== 'cleared').sort((a, b) => b.level - a.level);
+    return {
+        title: render(t.digest_title, vars, escape),
+        body: render(t.digest_body, vars, escape, ['lines']),
+        tone: active.length > 0 ? active[0].vars.severity : 'CLEARED',
+    };
+}
+
+// ─── Quiet Hours ─────────────────────────────────────────────────────────────
+
+// Minutes since midnight in the quiet-hours time zone
+function minuteOfDay(timezone, ms) {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(new Date(ms));
+    const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+}
+
+function clockMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function inQuietHours(q, ms) {
+    if (!q) return false;
+    const now = minuteOfDay(q.timezone, ms);
+    const start = clockMinutes(q.start), end = clockMinutes(q.end);
+    // Windows may wrap midnight (22:00–07:00)
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function msUntilQuietEnd(q, ms) {
+    const minutes = (clockMinutes(q.end) - minuteOfDay(q.timezone, ms) + 1440) % 1440 || 1440;
+    return minutes * 60 * 1000 - (ms % 60000);
+}
+
+// ─── Management ──────────────────────────────────────────────────────────────
+
+/**
+ * Every channel with secrets masked, its effective templates, queue state
+ * and recent deliveries.
+ */
+function describe() {
+    return { config_file: CONFIG_FILE, channels: names().map(describeChannel) };
+}
+
+function describeChannel(name) {
+    const ch = load().channels[name];
+    const adapter = ADAPTERS[ch.type];
+    const s = state.get(name);
+    const now = Date.now();
+    const windowMs = ch.rate_limit.window_minutes * 60 * 1000;
+
+    const settings = {};
+    for (const key of adapter.settings) {
+        if (ch[key] !== undefined) settings[key] = ch[key];
+    }
+    for (const key of adapter.secrets) {
+        const [head, sub] = key.split('.');
+        if (sub) {
+            if (settings[head]?.[sub] !== undefined) settings[head] = { ...settings[head], [sub]: maskSecret(settings[head][sub]) };
+        } else if (settings[head] !== undefined) {
+            settings[head] = maskSecret(settings[head]);
+        }
+    }
+
+    return {
+        name,
+        type: ch.type,
+        enabled: ch.enabled,
+        profile: ch.profile || profiles.defaultName(),
+        min_severity: ch.min_severity,
+        alert_ids: ch.alert_ids,
+        events: ch.events,
+        quiet_hours: ch.quiet_hours,
+        rate_limit: ch.rate_limit,
+        settings,
+        templates: templatesFor(ch),
+        custom_templates: Object.keys(ch.templates),
+        state: {
+            quiet_now: inQuietHours(ch.quiet_hours, now),
+            queued: s ? s.queue.length : 0,
+            held: s ? s.held.length : 0,
+            sent_in_window: s ? s.sent.filter(t => t > now - windowMs).length : 0,
+        },
+        deliveries: s ? s.deliveries : [],
+    };
+}
+
+// "${SLACK_WEBHOOK}" references are shown as-is; literal secrets are masked
+function maskSecret(value) {
+    return typeof value === 'string' && /^\$\{\w+\}$/.test(value) ? value : MASK;
+}
+
+/**
+ * One channel, with a preview of its templates rendered for sample alerts.
+ * @returns {Object|null} null if unknown
+ */
+function get(name) {
+    const ch = load().channels[name];
+    if (!ch) return null;
+    const single = toItem(sampleTransition(), ch.profile || profiles.defaultName(), name);
+    const cleared = toItem({ ...sampleTransition(), type: 'cleared', previous_severity: SEV.WATCH }, single.vars.profile, name);
+    return {
+        ...describeChannel(name),
+        preview: { alert: renderAlert(ch, single.vars), digest: renderDigest(ch, name, [single, cleared]) },
+    };
+}
+
+/**
+ * Create or update a channel and persist the config. Fields omitted from
+ * `input` keep their current values; `templates` merge key by key (null
+ * restores a default), and masked secrets sent back unchanged are kept.
+ * @returns {Object} The channel (as get())
+ */
+function update(name, input = {}) {
+    if (typeof name !== 'string' || !CHANNEL_NAME.test(name)) {
+        throw new ValidationError('Channel name must be 1–32 letters, digits, "-" or "_"');
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ValidationError('Expected a JSON object');
+
+    const cfg = load();
+    const before = cfg.channels[name] || {};
+    const merged = { ...before, ...input };
+    if (input.templates !== undefined) {
+        if (!input.templates || typeof input.templates !== 'object') throw new ValidationError(`Channel '${name}': \`templates\` must be an object`);
+        merged.templates = Object.fromEntries(Object.entries({ ...before.templates, ...input.templates }).filter(([, v]) => v !== null));
+    }
+    for (const key of ADAPTERS[merged.type]?.secrets || []) {
+        const [head, sub] = key.split('.');
+        if (sub ? merged[head]?.[sub] === MASK : merged[head] === MASK) {
+            if (sub) merged[head] = { ...merged[head], [sub]: before[head]?.[sub] };
+            else merged[head] = before[head];
+        }
+    }
+
+    const next = { channels: { ...cfg.channels, [name]: validateChannel(name, merged) } };
+    save(next);
+    config = next;
+    reschedule(name);
+    return get(name);
+}
+
+function remove(name) {
+    const cfg = load();
+    if (!cfg.channels[name]) return false;
+    const { [name]: removed, ...channels } = cfg.channels;
+    const next = { channels };
+    save(next);
+    config = next;
+    reschedule(name);
+    return true;
+}
+
+/**
+ * Send a sample alert now, bypassing routing, quiet hours and the rate limit.
+ * @returns {Promise<Object|null>} The delivery log entry (null if the channel is unknown)
+ */
+async function test(name) {
+    const ch = load().channels[name];
+    if (!ch) return null;
+    const item = toItem(sampleTransition(), ch.profile || profiles.defaultName(), name);
+    return deliver(name, ch, renderAlert(ch, item.vars), 'test', [item.vars.id]);
+}
+
+function sampleTransition() {
+    const now = new Date().toISOString();
+    return {
+        type: 'raised',
+        previous_severity: null,
+        alert: {
+            id: 'TEST_NOTIFICATION',
+            severity: SEV.WATCH,
+            message: 'Test notification from the NOAA space weather notifier',
+            details: 'Real alerts use this template with the live alert message and details.',
+            first_seen: now,
+            last_seen: now,
+            duration: 0,
+        },
+    };
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function validateConfig(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.channels || typeof raw.channels !== 'object' || Array.isArray(raw.channels)) {
+        throw new ValidationError(`${CONFIG_FILE}: expected { channels: {...} }`);
+    }
+    const channels = {};
+    for (const [name, c] of Object.entries(raw.channels)) {
+        if (!CHANNEL_NAME.test(name)) throw new ValidationError(`Invalid channel name '${name}'`);
+        channels[name] = validateChannel(name, c || {});
+    }
+    return { channels };
+}
+
+function validateChannel(name, c) {
+    const where = `Channel '${name}'`;
+    const adapter = ADAPTERS[c.type];
+    if (!adapter) throw new ValidationError(`${where}: \`type\` must be one of ${Object.keys(ADAPTERS).join(', ')}`);
+
+    const out = { type: c.type, enabled: c.enabled !== false };
+    for (const key of adapter.settings) {
+        if (c[key] !== undefined && c[key] !== null && c[key] !== '') out[key] = c[key];
+    }
+    for (const key of adapter.required) {
+        if (out[key] === undefined) throw new ValidationError(`${where}: \`${key}\` is required for ${c.type}`);
+    }
+    for (const key of ['webhook_url', 'api_base']) {
+        if (out[key] !== undefined && !isHttpUrl(out[key])) throw new ValidationError(`${where}: \`${key}\` must be an absolute http(s) URL or "\${ENV_VAR}"`);
+    }
+    if (c.type === 'email') {
+        if (typeof out.smtp !== 'object' || typeof out.smtp.host !== 'string' || !out.smtp.host) {
+            throw new ValidationError(`${where}: \`smtp\` must be { host, port?, secure?, user?, pass? }`);
+        }
+        if (out.smtp.port !== undefined && !(Number.isInteger(out.smtp.port) && out.smtp.port > 0 && out.smtp.port < 65536)) {
+            throw new ValidationError(`${where}: \`smtp.port\` must be a port number`);
+        }
+        const to = Array.isArray(out.to) ? out.to : [out.to];
+        if (to.length === 0 || to.some(a => typeof a !== 'string' || (!a.includes('@') && !/^\$\{\w+\}$/.test(a)))) {
+            throw new ValidationError(`${where}: \`to\` must be an email address or a list of them`);
+        }
+    }
+
+    out.profile = c.profile || null;
+    if (out.profile && !profiles.get(out.profile)) throw new ValidationError(`${where}: unknown profile '${out.profile}'`);
+
+    out.min_severity = c.min_severity || 'WATCH';
+    if (!SEV[out.min_severity] || SEV[out.min_severity].level < SEV.INFO.level) {
+        throw new ValidationError(`${where}: \`min_severity\` must be one of INFO, WATCH, WARNING, CRITICAL`);
+    }
+    out.alert_ids = c.alert_ids || [];
+    if (!Array.isArray(out.alert_ids) || out.alert_ids.some(id => typeof id !== 'string')) {
+        throw new ValidationError(`${where}: \`alert_ids\` must be an array of alert id strings`);
+    }
+    out.events = c.events || EVENT_TYPES;
+    if (!Array.isArray(out.events) || out.events.length === 0 || out.events.some(e => !EVENT_TYPES.includes(e))) {
+        throw new ValidationError(`${where}: \`events\` must list some of ${EVENT_TYPES.join(', ')}`);
+    }
+
+    out.quiet_hours = c.quiet_hours ? validateQuietHours(where, c.quiet_hours) : null;
+
+    const rl = { ...DEFAULT_RATE_LIMIT, ...c.rate_limit };
+    if (!Number.isInteger(rl.max_messages) || rl.max_messages < 1) throw new ValidationError(`${where}: \`rate_limit.max_messages\` must be a positive integer`);
+    if (typeof rl.window_minutes !== 'number' || !(rl.window_minutes > 0)) throw new ValidationError(`${where}: \`rate_limit.window_minutes\` must be a positive number`);
+    out.rate_limit = { max_messages: rl.max_messages, window_minutes: rl.window_minutes };
+
+    out.templates = {};
+    for (const [key, tpl] of Object.entries(c.templates || {})) {
+        if (!TEMPLATE_FIELDS[key]) throw new ValidationError(`${where}: unknown template '${key}' (templates: ${Object.keys(TEMPLATE_FIELDS).join(', ')})`);
+        if (typeof tpl !== 'string' || !tpl.trim()) throw new ValidationError(`${where}: template '${key}' must be a non-empty string`);
+        for (const [, field] of tpl.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+            if (!TEMPLATE_FIELDS[key].includes(field)) {
+                throw new ValidationError(`${where}: template '${key}' uses unknown placeholder {{${field}}} (available: ${TEMPLATE_FIELDS[key].join(', ')})`);
+            }
+        }
+        out.templates[key] = tpl;
+    }
+    return out;
+}
+
+function validateQuietHours(where, q) {
+    if (typeof q !== 'object' || !CLOCK_TIME.test(q.start) || !CLOCK_TIME.test(q.end) || q.start === q.end) {
+        throw new ValidationError(`${where}: \`quiet_hours\` must be { start: "HH:MM", end: "HH:MM", timezone?, min_severity? } with start ≠ end`);
+    }
+    const timezone = q.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch (e) {
+        throw new ValidationError(`${where}: unknown time zone '${timezone}'`);
+    }
+    const minSeverity = q.min_severity || 'CRITICAL';
+    if (!SEV[minSeverity] || SEV[minSeverity].level < SEV.INFO.level) {
+        throw new ValidationError(`${where}: \`quiet_hours.min_severity\` must be one of INFO, WATCH, WARNING, CRITICAL`);
+    }
+    return { start: q.start, end: q.end, timezone, min_severity: minSeverity };
+}
+
+function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    if (/^\$\{\w+\}$/.test(value)) return true;
+    try { return ['http:', 'https:'].includes(new URL(value).protocol); } catch (e) { return false; }
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function fmtDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ValidationError extends Error { }
+
+module.exports = { notify, names, describe, get, update, remove, test, ValidationError, CONFIG_FILE };
@@ -0,0 +1,185 @@
+/**
+ * Notifier Sandbox — Local Stand-ins for Notification Targets
+ *
+ * A mock HTTP receiver (answers like a Slack / Teams webhook and the
+ * Telegram Bot API) and a fake SMTP server. Both accept everything, print
+ * what arrives and keep it for inspection, so channels can be exercised
+ * end to end without real credentials:
+ *
+ *   node notify-sandbox.js --http 8788 --smtp 2525 [--status 503]
+ *
+ * Point webhook_url / api_base at http://127.0.0.1:8788 and smtp at
+ * { host: "127.0.0.1", port: 2525 }. Captured messages are listed at
+ * GET /__sandbox/messages (DELETE clears them). --status makes the HTTP
+ * receiver fail with that code, to exercise retries.
+ */
+
+const http = require('http');
+const net = require('net');
+
+// ─── Mock HTTP Receiver ──────────────────────────────────────────────────────
+
+/**
+ * @param {Object} [options] - { messages (shared capture list), status (reply code, default 200) }
+ */
+function createMockReceiver(options = {}) {
+    const messages = options.messages || [];
+    const status = options.status || 200;
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/__sandbox/messages') {
+            if (req.method === 'DELETE') messages.length = 0;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ messages }, null, 2));
+        }
+
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf-8');
+            let body = raw;
+            try { body = JSON.parse(raw); } catch (e) { }
+            const msg = { transport: 'http', received_at: new Date().toISOString(), method: req.method, path: req.url, status, body };
+            messages.push(msg);
+            console.log(`📨 HTTP ${req.method} ${req.url} → ${status}\n${indent(summarize(body))}`);
+
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status < 400 ? { ok: true, result: { message_id: messages.length } } : { ok: false, description: `Sandbox failure (${status})` }));
+        });
+    });
+
+    function listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    return { listen, close, messages };
+}
+
+// Readable text of a Slack / Telegram / Teams payload
+function summarize(body) {
+    if (typeof body !== 'object' || body === null) return String(body);
+    const parts = [];
+    if (body.text) parts.push(body.text);
+    for (const a of body.attachments || []) {
+        if (a.text) parts.push(a.text);
+        for (const block of a.content?.body || []) parts.push(block.text);
+    }
+    return parts.length > 0 ? parts.join('\n') : JSON.stringify(body);
+}
+
+function indent(text) {
+    return text.split('\n').map(l => `   ${l}`).join('\n');
+}
+
+// ─── Fake SMTP Server ────────────────────────────────────────────────────────
+
+/**
+ * Accepts any login, sender and recipient; no STARTTLS.
+ * @param {Object} [options] - { messages (shared capture list) }
+ */
+function createFakeSmtpServer(options = {}) {
+    const messages = options.messages || [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;   // DATA lines while receiving a message
+        const reply = line => socket.write(line + '\r\n');
+
+        reply('220 sandbox ESMTP ready');
+        socket.on('error', () => { });
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf-8');
+            let idx;
+            while ((idx = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, idx);
+                buffer = buffer.slice(idx + 2);
+
+                if (data) {
+                    if (line !== '.') { data.push(line.startsWith('..') ? line.slice(1) : line); continue; }
+                    const msg = { transport: 'smtp', received_at: new Date().toISOString(), ...envelope, ...parseMessage(data.join('\r\n')) };
+                    messages.push(msg);
+                    console.log(`📧 SMTP ${msg.from} → ${msg.to.join(', ')}\n   Subject: ${msg.subject}\n${indent(msg.text)}`);
+                    data = null;
+                    envelope = { from: null, to: [] };
+                    reply('250 OK queued');
+                    continue;
+                }
+
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') reply('250-sandbox\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME');
+                else if (verb === 'HELO') reply('250 sandbox');
+                else if (verb === 'AUTH') reply('235 Authentication succeeded');
+                else if (verb === 'MAIL') { envelope.from = addressIn(line); reply('250 OK'); }
+                else if (verb === 'RCPT') { envelope.to.push(addressIn(line)); reply('250 OK'); }
+                else if (verb === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+                else if (verb === 'RSET' || verb === 'NOOP') reply('250 OK');
+                else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); }
+                else reply('502 Command not implemented');
+            }
+        });
+    });
+
+    function listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    return { listen, close, messages };
+}
+
+// Subject (RFC 2047 decoded) and text body (base64 decoded) of a raw message
+function parseMessage(raw) {
+    const split = raw.indexOf('\r\n\r\n');
+    const head = split === -1 ? raw : raw.slice(0, split);
+    let text = split === -1 ? '' : raw.slice(split + 4);
+    const header = name => new RegExp(`^${name}:\\s*(.*)$`, 'im').exec(head)?.[1] || '';
+
+    if (/base64/i.test(header('Content-Transfer-Encoding'))) {
+        text = Buffer.from(text.replace(/\s+/g, ''), 'base64').toString('utf-8');
+    }
+    const subject = header('Subject').replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, 'base64').toString('utf-8'));
+    return { subject, text };
+}
+
+function addressIn(line) {
+    return /<([^>]*)>/.exec(line)?.[1] || line.split(':').slice(1).join(':').trim();
+}
+
+module.exports = { createMockReceiver, createFakeSmtpServer };
+
+// ─── Standalone ──────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const argValue = flag => {
+        const idx = process.argv.indexOf(flag);
+        return idx !== -1 && idx + 1 < process.argv.length ? process.argv[idx + 1] : null;
+    };
+    const messages = [];
+    const receiver = createMockReceiver({ messages, status: parseInt(argValue('--status') || '200', 10) });
+    const smtpServer = createFakeSmtpServer({ messages });
+
+    Promise.all([
+        receiver.listen(parseInt(argValue('--http') || '8788', 10)),
+        smtpServer.listen(parseInt(argValue('--smtp') || '2525', 10)),
+    ]).then(([url, smtpPort]) => {
+        console.log(`🧪 Mock webhook / Telegram receiver at ${url} (captured: ${url}/__sandbox/messages)`);
+        console.log(`🧪 Fake SMTP server at 127.0.0.1:${smtpPort}`);
+    }).catch(err => {
+        console.error(`Sandbox failed to start: ${err.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,242 @@
+/**
+ * Minimal Apache Parquet Writer
+ *
+ * Writes the flat tables produced by the export (a timestamp column plus
+ * nullable DOUBLE columns) without a native dependency. Only what that
+ * needs is implemented: PLAIN encoding, uncompressed data pages (v1) and
+ * RLE definition levels, with the footer in Thrift compact protocol.
+ * Row groups are emitted as they fill, so a file can be streamed.
+ *
+ * Format reference: https://parquet.apache.org/docs/file-format/
+ */
+
+const MAGIC = Buffer.from('PAR1');
+
+// Parquet enums (parquet.thrift)
+const TYPE = { INT64: 2, DOUBLE: 5 };
+const REPETITION = { REQUIRED: 0, OPTIONAL: 1 };
+const CONVERTED = { TIMESTAMP_MILLIS: 9 };
+const ENCODING = { PLAIN: 0, RLE: 3 };
+const PAGE_DATA = 0;
+const CODEC_UNCOMPRESSED = 0;
+
+// Thrift compact protocol type ids
+const CT = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+// ─── Writer ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a streaming Parquet writer.
+ * @param {Array<string>} columns - Value column names (a `time` column is always first)
+ * @returns {Object} { rowGroup(rows) → Buffer, end() → Buffer }
+ */
+function createParquetWriter(columns) {
+    let offset = 0;
+    let numRows = 0;
+    const rowGroups = [];
+
+    /**
+     * Encode one row group. The first call also emits the file header.
+     * @param {Array} rows - [{ time (ISO), [column]: number|null }]
+     */
+    function rowGroup(rows) {
+        const parts = [];
+        if (offset === 0) parts.push(MAGIC);
+        let at = offset + (offset === 0 ? MAGIC.length : 0);
+
+        const chunks = [];
+        const times = rows.map(r => Date.parse(r.time));
+        const pages = [
+            { name: 'time', type: TYPE.INT64, page: plainPage(times, null, writeInt64) },
+            ...columns.map(c => ({ name: c, type: TYPE.DOUBLE, page: plainPage(rows.map(r => r[c]), true, writeDouble) })),
+        ];
+        for (const { name, type, page } of pages) {
+            chunks.push({ name, type, offset: at, size: page.length, numValues: rows.length, optional: name !== 'time' });
+            parts.push(page);
+            at += page.length;
+        }
+
+        rowGroups.push({ chunks, numRows: rows.length, size: at - offset });
+        numRows += rows.length;
+        const out = Buffer.concat(parts);
+        offset += out.length;
+        return out;
+    }
+
+    /**
+     * Encode the footer (and the header, for a file with no rows).
+     */
+    function end() {
+        const head = offset === 0 ? MAGIC : Buffer.alloc(0);
+        const meta = fileMetaData(columns, rowGroups, numRows);
+        const len = Buffer.alloc(4);
+        len.writeUInt32LE(meta.length);
+        return Buffer.concat([head, meta, len, MAGIC]);
+    }
+
+    return { rowGroup, end };
+}
+
+// One uncompressed v1 data page: [PageHeader][def levels][PLAIN values]
+function plainPage(values, optional, writeValue) {
+    const present = optional ? values.filter(v => v !== null && v !== undefined) : values;
+    const body = [];
+    if (optional) {
+        const levels = rleLevels(values.map(v => (v === null || v === undefined ? 0 : 1)));
+        const len = Buffer.alloc(4);
+        len.writeUInt32LE(levels.length);
+        body.push(len, levels);
+    }
+    const data = Buffer.alloc(present.length * 8);
+    present.forEach((v, i) => writeValue(data, v, i * 8));
+    body.push(data);
+    const payload = Buffer.concat(body);
+
+    const header = createCompactWriter();
+    header.struct(() => {
+        header.i32(1, PAGE_DATA);
+        header.i32(2, payload.length);
+        header.i32(3, payload.length);
+        header.structField(5, () => {
+            header.i32(1, values.length);
+            header.i32(2, ENCODING.PLAIN);
+            header.i32(3, ENCODING.RLE);
+            header.i32(4, ENCODING.RLE);
+        });
+    });
+    return Buffer.concat([header.toBuffer(), payload]);
+}
+
+// RLE runs (bit width 1) of 0/1 definition levels
+function rleLevels(levels) {
+    const out = [];
+    let i = 0;
+    while (i < levels.length) {
+        let j = i;
+        while (j < levels.length && levels[j] === levels[i]) j++;
+        out.push(...varint((j - i) << 1), levels[i]);
+        i = j;
+    }
+    return Buffer.from(out);
+}
+
+function writeInt64(buf, v, at) {
+    buf.writeBigInt64LE(BigInt(v), at);
+}
+
+function writeDouble(buf, v, at) {
+    buf.writeDoubleLE(v, at);
+}
+
+function fileMetaData(columns, rowGroups, numRows) {
+    const w = createCompactWriter();
+    w.struct(() => {
+        w.i32(1, 1);
+        w.list(2, CT.STRUCT, [
+            () => { w.string(4, 'schema'); w.i32(5, columns.length + 1); },
+            () => { w.i32(1, TYPE.INT64); w.i32(3, REPETITION.REQUIRED); w.string(4, 'time'); w.i32(6, CONVERTED.TIMESTAMP_MILLIS); },
+            ...columns.map(c => () => { w.i32(1, TYPE.DOUBLE); w.i32(3, REPETITION.OPTIONAL); w.string(4, c); }),
+        ]);
+        w.i64(3, numRows);
+        w.list(4, CT.STRUCT, rowGroups.map(g => () => {
+            w.list(1, CT.STRUCT, g.chunks.map(c => () => {
+                w.i64(2, c.offset);
+                w.structField(3, () => {
+                    w.i32(1, c.type);
+                    w.list(2, CT.I32, c.optional ? [ENCODING.PLAIN, ENCODING.RLE] : [ENCODING.PLAIN]);
+                    w.list(3, CT.BINARY, [c.name]);
+                    w.i32(4, CODEC_UNCOMPRESSED);
+                    w.i64(5, c.numValues);
+                    w.i64(6, c.size);
+                    w.i64(7, c.size);
+                    w.i64(9, c.offset);
+                });
+            }));
+            w.i64(2, g.size);
+            w.i64(3, g.numRows);
+        }));
+        w.string(6, 'noaa-space-weather-extractor');
+    });
+    return w.toBuffer();
+}
+
+// ─── Thrift Compact Protocol ─────────────────────────────────────────────────
+
+// Thrift compact protocol encoder — fields are written in ascending id order
+function createCompactWriter() {
+    const bytes = [];
+    const lastField = [0];
+
+    function fieldHeader(id, type) {
+        const delta = id - lastField[lastField.length - 1];
+        if (delta > 0 && delta <= 15) bytes.push((delta << 4) | type);
+        else bytes.push(type, ...varint(zigzag(id)));
+        lastField[lastField.length - 1] = id;
+    }
+
+    function struct(fn) {
+        lastField.push(0);
+        fn();
+        bytes.push(0);
+        lastField.pop();
+    }
+
+    function structField(id, fn) {
+        fieldHeader(id, CT.STRUCT);
+        struct(fn);
+    }
+
+    function i32(id, v) {
+        fieldHeader(id, CT.I32);
+        bytes.push(...varint(zigzag(v)));
+    }
+
+    function i64(id, v) {
+        fieldHeader(id, CT.I64);
+        bytes.push(...varint(zigzag(v)));
+    }
+
+    function binary(s) {
+        const b = Buffer.from(s, 'utf-8');
+        bytes.push(...varint(b.length), ...b);
+    }
+
+    function string(id, s) {
+        fieldHeader(id, CT.BINARY);
+        binary(s);
+    }
+
+    // List of structs (element = fn writing the fields), i32s or strings
+    function list(id, elemType, items) {
+        fieldHeader(id, CT.LIST);
+        if (items.length < 15) bytes.push((items.length << 4) | elemType);
+        else bytes.push(0xf0 | elemType, ...varint(items.length));
+        for (const item of items) {
+            if (elemType === CT.STRUCT) struct(item);
+            else if (elemType === CT.I32) bytes.push(...varint(zigzag(item)));
+            else binary(item);
+        }
+    }
+
+    return { struct, structField, i32, i64, string, list, toBuffer: () => Buffer.from(bytes) };
+}
+
+// Zig-zag encode a (safe) integer as a non-negative BigInt
+function zigzag(n) {
+    const b = BigInt(n);
+    return b >= 0n ? b << 1n : ((-b) << 1n) - 1n;
+}
+
+// Unsigned LEB128 varint
+function varint(n) {
+    let v = BigInt(n);
+    const out = [];
+    while (v >= 0x80n) {
+        out.push(Number(v & 0x7fn) | 0x80);
+        v >>= 7n;
+    }
+    out.push(Number(v));
+    return out;
+}
+
+module.exports = { createParquetWriter };
@@ -0,0 +1,217 @@
+/**
+ * NOAA Space Weather Threshold Profiles
+ *
+ * Loads operator-configurable alert thresholds and risk cut-offs from a
+ * validated config file (config/thresholds.json, or THRESHOLDS_FILE) as
+ * named mission profiles such as LEO, GEO and crewed. Each profile only
+ * lists overrides; anything it omits falls back to the built-in defaults.
+ * The live file is git-ignored; until it exists the shipped profiles in
+ * config/thresholds.example.json are used, and the first update() writes it.
+ * Every change made through update() is appended to an audit trail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { THRESHOLDS } = require('./alerts');
+const { RISK_THRESHOLDS } = require('./risk');
+
+const CONFIG_FILE = process.env.THRESHOLDS_FILE || path.join(__dirname, 'config', 'thresholds.json');
+const SEED_FILE = path.join(__dirname, 'config', 'thresholds.example.json');
+const AUDIT_FILE = path.join(__dirname, 'data', 'thresholds-audit.jsonl');
+
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+let config = null;
+
+function load() {
+    if (config) return config;
+    let raw = { default_profile: 'default', profiles: { default: {} } };
+    const file = [CONFIG_FILE, SEED_FILE].find(f => fs.existsSync(f));
+    if (file) {
+        raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+    config = validateConfig(raw, file || CONFIG_FILE);
+    return config;
+}
+
+/**
+ * Resolve a profile name to its effective thresholds.
+ * @param {string} [name] - Profile name (defaults to the configured default profile)
+ * @returns {Object|null} { name, description, thresholds, risk } or null if unknown
+ */
+function get(name) {
+    const cfg = load();
+    const key = name || cfg.default_profile;
+    const p = cfg.profiles[key];
+    if (!p) return null;
+    return {
+        name: key,
+        description: p.description || '',
+        thresholds: { ...THRESHOLDS, ...p.alerts },
+        risk: { ...RISK_THRESHOLDS, ...p.risk },
+    };
+}
+
+function names() {
+    return Object.keys(load().profiles);
+}
+
+function defaultName() {
+    return load().default_profile;
+}
+
+/**
+ * Describe every profile: its overrides and the effective values.
+ */
+function describe() {
+    const cfg = load();
+    return {
+        default_profile: cfg.default_profile,
+        defaults: { alerts: THRESHOLDS, risk: RISK_THRESHOLDS },
+        profiles: Object.fromEntries(Object.entries(cfg.profiles).map(([name, p]) => {
+            const eff = get(name);
+            return [name, {
+                description: p.description || '',
+                overrides: { alerts: p.alerts, risk: p.risk },
+                effective: { alerts: eff.thresholds, risk: eff.risk },
+            }];
+        })),
+    };
+}
+
+// ─── Updating ────────────────────────────────────────────────────────────────
+
+/**
+ * Create or replace one profile, persist the config and audit the change.
+ * @param {Object} input - { profile, description?, alerts?, risk?, default? }
+ * @param {string} [actor] - Who made the change (for the audit trail)
+ * @returns {Object} The effective profile (as get())
+ */
+function update(input = {}, actor = 'unknown') {
+    const name = input.profile;
+    if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+        throw new ValidationError('`profile` must be 1–32 letters, digits, "-" or "_"');
+    }
+
+    const cfg = load();
+    const before = cfg.profiles[name] || null;
+    const after = validateProfile(name, {
+        description: input.description ?? before?.description ?? '',
+        alerts: input.alerts ?? before?.alerts ?? {},
+        risk: input.risk ?? before?.risk ?? {},
+    });
+
+    const next = {
+        default_profile: input.default === true ? name : cfg.default_profile,
+        profiles: { ...cfg.profiles, [name]: after },
+    };
+    save(next);
+    config = next;
+
+    audit({
+        time: new Date().toISOString(),
+        actor,
+        action: before ? 'update' : 'create',
+        profile: name,
+        changes: diff(before, after),
+        default_profile: next.default_profile !== cfg.default_profile ? { from: cfg.default_profile, to: next.default_profile } : undefined,
+    });
+
+    return get(name);
+}
+
+function save(cfg) {
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(cfg, null, 4) + '\n', 'utf-8');
+}
+
+// ─── Audit Trail ─────────────────────────────────────────────────────────────
+
+function audit(entry) {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * Most recent audit entries, newest first.
+ */
+function auditTrail(limit = 100) {
+    if (!fs.existsSync(AUDIT_FILE)) return [];
+    return fs.readFileSync(AUDIT_FILE, 'utf-8').split('\n').filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch (e) { return null; } })
+        .filter(Boolean)
+        .reverse()
+        .slice(0, limit);
+}
+
+// Flat { "alerts.highDrag": { from, to } } of every changed value
+function diff(before, after) {
+    const changes = {};
+    for (const section of ['alerts', 'risk']) {
+        const keys = new Set([...Object.keys(before?.[section] || {}), ...Object.keys(after[section])]);
+        for (const k of keys) {
+            const from = before?.[section]?.[k] ?? null;
+            const to = after[section][k] ?? null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) changes[`${section}.${k}`] = { from, to };
+        }
+    }
+    if ((before?.description || '') !== after.description) {
+        changes.description = { from: before?.description || '', to: after.description };
+    }
+    return changes;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function validateConfig(raw, file) {
+    if (!raw || typeof raw !== 'object' || !raw.profiles || typeof raw.profiles !== 'object') {
+        throw new ValidationError(`${file}: expected { default_profile, profiles: {...} }`);
+    }
+    const profiles = {};
+    for (const [name, p] of Object.entries(raw.profiles)) {
+        if (!PROFILE_NAME.test(name)) throw new ValidationError(`Invalid profile name '${name}'`);
+        profiles[name] = validateProfile(name, p || {});
+    }
+    const defaultProfile = raw.default_profile || 'default';
+    if (!profiles[defaultProfile]) {
+        throw new ValidationError(`default_profile '${defaultProfile}' is not a defined profile`);
+    }
+    return { default_profile: defaultProfile, profiles };
+}
+
+function validateProfile(name, p) {
+    const alertsIn = p.alerts || {};
+    const riskIn = p.risk || {};
+    if (typeof alertsIn !== 'object' || Array.isArray(alertsIn)) throw new ValidationError(`Profile '${name}': \`alerts\` must be an object`);
+    if (typeof riskIn !== 'object' || Array.isArray(riskIn)) throw new ValidationError(`Profile '${name}': \`risk\` must be an object`);
+
+    const alerts = {};
+    for (const [k, v] of Object.entries(alertsIn)) {
+        if (!(k in THRESHOLDS)) throw new ValidationError(`Profile '${name}': unknown alert threshold '${k}'`);
+        if (typeof v !== 'number' || !isFinite(v)) throw new ValidationError(`Profile '${name}': alerts.${k} must be a finite number`);
+        alerts[k] = v;
+    }
+
+    // Pairs that must stay ordered for the evaluation to make sense
+    const eff = { ...THRESHOLDS, ...alerts };
+    if (eff.kpMinorStorm >= eff.kpSevereStorm) throw new ValidationError(`Profile '${name}': kpMinorStorm must be below kpSevereStorm`);
+    if (eff.mClassFlare >= eff.xClassFlare) throw new ValidationError(`Profile '${name}': mClassFlare must be below xClassFlare`);
+
+    const risk = {};
+    for (const [k, v] of Object.entries(riskIn)) {
+        if (!(k in RISK_THRESHOLDS)) throw new ValidationError(`Profile '${name}': unknown risk cut-off '${k}'`);
+        const ok = Array.isArray(v) && (v.length === 2 || v.length === 3)
+            && v.every(n => typeof n === 'number' && isFinite(n))
+            && v.every((n, i) => i === 0 || n > v[i - 1]);
+        if (!ok) throw new ValidationError(`Profile '${name}': risk.${k} must be 2–3 ascending numbers [moderate, high, extreme]`);
+        risk[k] = v;
+    }
+
+    return { description: typeof p.description === 'string' ? p.description : '', alerts, risk };
+}
+
+class ValidationError extends Error { }
+
+module.exports = { get, names, defaultName, describe, update, auditTrail, ValidationError, CONFIG_FILE };
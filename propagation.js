@@ -0,0 +1,83 @@
+/**
+ * L1 → Earth Solar Wind Propagation
+ *
+ * DSCOVR measures the solar wind at the Sun–Earth L1 point, roughly 1.5
+ * million km upstream. What it sees now reaches Earth's magnetosphere
+ * only after a delay set by the wind speed (~60 min at 400 km/s, ~25 min
+ * at 1000 km/s). This module estimates that delay ballistically and
+ * time-shifts solar wind series to their expected Earth arrival.
+ */
+
+const { normalizeTime } = require('./store');
+
+// Mean L1 distance used by SWPC's simple propagation (km)
+const L1_DISTANCE_KM = 1.5e6;
+
+// Below this the wind speed is treated as invalid (km/s)
+const MIN_SPEED = 200;
+
+/**
+ * Ballistic L1 → Earth delay for a wind speed.
+ * @param {number} speed - Bulk solar wind speed (km/s)
+ * @returns {number|null} Delay in seconds, or null for a missing / implausible speed
+ */
+function delaySeconds(speed) {
+    if (typeof speed !== 'number' || !isFinite(speed) || speed < MIN_SPEED) return null;
+    return Math.round(L1_DISTANCE_KM / speed);
+}
+
+/**
+ * Propagation estimate for the latest plasma reading.
+ * @param {Object} plasma - `solar_wind_plasma` from extractor.fetchAll()
+ * @returns {Object|null} { time_tag, speed, distance_km, delay_seconds, delay_minutes, arrival_time }
+ */
+function propagate(plasma) {
+    const delay = delaySeconds(plasma?.speed);
+    const measured = normalizeTime(plasma?.time_tag);
+    if (delay === null || !measured) return null;
+    return {
+        time_tag: plasma.time_tag,
+        speed: plasma.speed,
+        distance_km: L1_DISTANCE_KM,
+        delay_seconds: delay,
+        delay_minutes: Math.round(delay / 60),
+        arrival_time: new Date(Date.parse(measured) + delay * 1000).toISOString(),
+    };
+}
+
+/**
+ * Shift history rows to their estimated Earth arrival time. Each row uses
+ * the speed of the latest plasma row at or before it; rows with no usable
+ * speed are dropped. Output keeps the measured time as `l1_time` and is
+ * sorted by arrival (fast wind can overtake slower wind ahead of it).
+ * @param {Array} rows - [{ time, ... }]
+ * @param {Array} plasma - Plasma history [{ time, speed }]
+ */
+function shiftRows(rows, plasma) {
+    const speeds = (plasma || [])
+        .map(p => ({ t: Date.parse(normalizeTime(p.time)), delay: delaySeconds(p.speed) }))
+        .filter(p => !isNaN(p.t) && p.delay !== null)
+        .sort((a, b) => a.t - b.t);
+
+    const out = [];
+    for (const row of rows || []) {
+        const t = Date.parse(normalizeTime(row.time));
+        const s = latestAtOrBefore(speeds, t);
+        if (isNaN(t) || !s) continue;
+        out.push({ ...row, time: new Date(t + s.delay * 1000).toISOString(), l1_time: row.time, delay_seconds: s.delay });
+    }
+    return out.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+}
+
+// Binary search for the last entry with t ≤ time
+function latestAtOrBefore(sorted, time) {
+    let lo = 0, hi = sorted.length - 1, found = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid].t <= time) { found = sorted[mid]; lo = mid + 1; }
+        else hi = mid - 1;
+    }
+    return found;
+}
+
+module.exports = { delaySeconds, propagate, shiftRows, L1_DISTANCE_KM };
@@ -0,0 +1,197 @@
+/**
+ * NOAA Solar Energetic Proton (SEP) Event Detector & Catalogue
+ *
+ * Finds proton events in the GOES integral proton history using SWPC's
+ * event definition, applied to each band at its own threshold:
+ *   ≥10 MeV at 10 pfu (S1), ≥50 MeV at 1 pfu, ≥100 MeV at 1 pfu
+ *   Begin — the first of three consecutive 5-minute points at or above
+ *           the threshold
+ *   Peak  — the maximum flux during the event
+ *   End   — the last point at or above the threshold before the flux
+ *           stays below it for three consecutive points
+ * ≥10 MeV events carry the S-scale level of their peak. Events are kept in
+ * a persistent catalogue (events.js) so they outlive NOAA's 3-day window.
+ * Alert evaluation re-detects the ≥10 MeV event at a profile's own
+ * `s1Radiation` threshold (withThreshold); the catalogue stays at 10 pfu.
+ */
+
+const { classifyScale } = require('./alerts');
+const { normalizeTime } = require('./store');
+const { createEventCatalogue } = require('./events');
+
+// Integral bands → history key and event threshold (pfu)
+const BANDS = {
+    '>=10 MeV': { key: 'protons', id: 'p10', threshold: 10 },
+    '>=50 MeV': { key: 'protons50', id: 'p50', threshold: 1 },
+    '>=100 MeV': { key: 'protons100', id: 'p100', threshold: 1 },
+};
+
+const CONSECUTIVE_POINTS = 3;          // points above (begin) or below (end) the threshold
+const MAX_GAP_MS = 7.5 * 60 * 1000;    // begin points must be consecutive 5-minute samples
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Detect proton events in one band's history.
+ * @param {Array} rows - [{ time, flux }]
+ * @param {string} band - A BANDS key, e.g. '>=10 MeV'
+ * @param {number} [threshold] - Event threshold in pfu (default: the band's)
+ * @returns {Array} Events, oldest first (the last may be `in_progress`)
+ */
+function detectBand(rows, band, threshold = BANDS[band].threshold) {
+    const data = clean(rows);
+    const events = [];
+
+    let i = 0;
+    while (i + CONSECUTIVE_POINTS - 1 < data.length) {
+        if (!aboveAt(data, i, threshold)) { i++; continue; }
+
+        let peak = data[i];
+        let last = i;
+        let below = 0;
+        let j = i + 1;
+        for (; j < data.length && below < CONSECUTIVE_POINTS; j++) {
+            if (data[j].flux >= threshold) {
+                last = j;
+                below = 0;
+                if (data[j].flux > peak.flux) peak = data[j];
+            } else {
+                below++;
+            }
+        }
+
+        const ended = below >= CONSECUTIVE_POINTS;
+        events.push(buildEvent(band, threshold, data[i], peak, ended ? data[last] : null, i === 0));
+        if (!ended) break;
+        i = j;
+    }
+    return events;
+}
+
+/**
+ * Detect proton events across every band.
+ * @param {Object} history - fetchRawHistory() output ({ protons, protons50, protons100 })
+ * @returns {Array} Events, oldest first
+ */
+function detectProtonEvents(history) {
+    return Object.entries(BANDS)
+        .flatMap(([band, b]) => detectBand(history?.[b.key], band))
+        .sort((a, b) => a.begin.localeCompare(b.begin));
+}
+
+/**
+ * Latest event per band for fetchCycle() — the one in progress, or the
+ * most recently ended (null if the window holds none).
+ * @param {Array} events - detectProtonEvents() output
+ */
+function latestByBand(events) {
+    const out = Object.fromEntries(Object.keys(BANDS).map(band => [band, null]));
+    for (const e of events) {
+        if (!out[e.band] || e.begin > out[e.band].begin) out[e.band] = e;
+    }
+    return out;
+}
+
+/**
+ * The data object with its ≥10 MeV event re-detected at another threshold
+ * (a profile's `s1Radiation`), for alert evaluation.
+ * @param {Object} data - fetchAll().data (with proton_events)
+ * @param {Object} history - fetchRawHistory() output
+ * @param {number} threshold - ≥10 MeV event threshold in pfu
+ * @returns {Object} `data` itself when the threshold is NOAA's, else a copy
+ */
+function withThreshold(data, history, threshold) {
+    const band = '>=10 MeV';
+    if (threshold === BANDS[band].threshold || !history?.[BANDS[band].key]) return data;
+    const events = detectBand(history[BANDS[band].key], band, threshold);
+    return { ...data, proton_events: { ...data.proton_events, [band]: events[events.length - 1] || null } };
+}
+
+function aboveAt(data, i, threshold) {
+    for (let k = i; k < i + CONSECUTIVE_POINTS; k++) {
+        if (data[k].flux < threshold) return false;
+        if (k > i && data[k].ms - data[k - 1].ms > MAX_GAP_MS) return false;
+    }
+    return true;
+}
+
+function buildEvent(band, threshold, begin, peak, end, truncated) {
+    const { id } = BANDS[band];
+    const scale = band === '>=10 MeV' ? classifyScale('S', peak.flux) : null;
+    return {
+        id: `${id}-${begin.t.replace(/[-:]/g, '').slice(0, 13)}`,
+        band,
+        threshold_pfu: threshold,
+        begin: begin.t,
+        peak: peak.t,
+        end: end ? end.t : null,
+        in_progress: !end,
+        peak_flux: peak.flux,
+        scale: scale ? scale.scale : null,
+        duration_minutes: end ? Math.round((end.ms - begin.ms) / 60000) : null,
+        // Already above threshold when the window opens — the true begin is earlier
+        truncated,
+    };
+}
+
+// Valid rows as { t, ms, flux }, oldest first
+function clean(rows) {
+    return (rows || [])
+        .map(r => ({ t: normalizeTime(r.time), flux: r.flux }))
+        .filter(r => r.t && typeof r.flux === 'number' && r.flux >= 0)
+        .map(r => ({ ...r, ms: Date.parse(r.t) }))
+        .sort((a, b) => a.ms - b.ms);
+}
+
+// ─── Catalogue ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a proton event catalogue.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file the catalogue is persisted to (omit for in-memory only)
+ */
+function createProtonCatalogue(options = {}) {
+    const catalogue = createEventCatalogue({ file: options.file, name: 'Proton event' });
+
+    /**
+     * Detect events in one cycle's history and merge them in. An event cut
+     * off by the start of the window continues the band's catalogued event
+     * in progress rather than starting a new one.
+     * @param {Object} history - fetchRawHistory() output
+     * @returns {Array} Events that are new or were updated
+     */
+    function ingest(history) {
+        const detected = detectProtonEvents(history).map(e => {
+            if (!e.truncated) return e;
+            const [open] = catalogue.query({ where: k => k.in_progress && k.band === e.band && k.begin < e.begin, limit: 1 });
+            if (!open) return e;
+            const peak = e.peak_flux > open.peak_flux ? e : open;
+            return {
+                ...open,
+                peak: peak.peak,
+                peak_flux: peak.peak_flux,
+                scale: peak.scale,
+                end: e.end,
+                in_progress: e.in_progress,
+                duration_minutes: e.end ? Math.round((Date.parse(e.end) - Date.parse(open.begin)) / 60000) : null,
+            };
+        });
+        return catalogue.ingest(detected);
+    }
+
+    /**
+     * Catalogued proton events, newest first.
+     * @param {Object} [filter] - { from, to (ms), bands: ['>=10 MeV'], minScale (1–5), limit }
+     */
+    function query(filter = {}) {
+        return catalogue.query({
+            ...filter,
+            where: e => (!filter.bands || filter.bands.includes(e.band))
+                && (filter.minScale == null || (e.scale !== null && Number(e.scale.slice(1)) >= filter.minScale)),
+        });
+    }
+
+    return { ingest, query };
+}
+
+module.exports = { detectProtonEvents, latestByBand, withThreshold, createProtonCatalogue, BANDS };
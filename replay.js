@@ -0,0 +1,280 @@
+/**
+ * NOAA Space Weather Record & Replay
+ *
+ * Records every raw SWPC response into timestamped fixture bundles and
+ * serves them back from a local stand-in server, so the extractor, the
+ * alert engine and the dashboard can run fully offline.
+ *
+ * A bundle is a directory of frames, one per extraction cycle:
+ *
+ *   data/recordings/<bundle>/<recorded_at>.json
+ *   { recorded_at, responses: { "/products/...json": { status, content_type, body } } }
+ *
+ * Usage:
+ *   node index.js --record storm-may        — record each cycle into a bundle
+ *   node index.js --replay storm-may        — run against a recorded bundle
+ *   node server.js --replay storm-may --speed 120
+ *   node replay.js storm-may --port 8787    — stand-in only (set NOAA_BASE_URL)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const extractor = require('./extractor');
+const { createStore } = require('./store');
+
+const RECORDINGS_DIR = path.join(__dirname, 'data', 'recordings');
+const DEFAULT_REPLAY_SPEED = 60;   // 1 recorded hour plays back in 1 minute
+
+// ─── Recorder ────────────────────────────────────────────────────────────────
+
+/**
+ * Create a recorder that collects raw responses and writes one frame per
+ * extraction cycle into `dir`.
+ */
+function createRecorder(dir) {
+    let responses = {};
+
+    function capture(url, response) {
+        responses[pathOf(url)] = response;
+    }
+
+    function flush(recordedAt = new Date().toISOString()) {
+        if (Object.keys(responses).length === 0) return null;
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, recordedAt.replace(/:/g, '-') + '.json');
+        fs.writeFileSync(file, JSON.stringify({ recorded_at: recordedAt, responses }), 'utf-8');
+        responses = {};
+        return file;
+    }
+
+    return { capture, flush, dir };
+}
+
+// ─── Bundles ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a bundle name or path to its directory.
+ */
+function resolveBundle(nameOrPath) {
+    if (fs.existsSync(nameOrPath) || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+        return path.resolve(nameOrPath);
+    }
+    return path.join(RECORDINGS_DIR, nameOrPath);
+}
+
+/**
+ * Load a bundle's frames, oldest first.
+ * @returns {Array} [{ recorded_at, time, responses }]
+ */
+function loadBundle(dir) {
+    if (!fs.existsSync(dir)) throw new Error(`Replay bundle not found: ${dir}`);
+    const frames = fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')))
+        .filter(f => f.recorded_at && f.responses)
+        .map(f => ({ ...f, time: Date.parse(f.recorded_at) }))
+        .sort((a, b) => a.time - b.time);
+    if (frames.length === 0) throw new Error(`Replay bundle is empty: ${dir}`);
+    return frames;
+}
+
+// ─── Stand-in Server ─────────────────────────────────────────────────────────
+
+/**
+ * Create a local stand-in for services.swpc.noaa.gov that serves a bundle.
+ *
+ * Playback runs on a virtual clock starting at the first frame's recording
+ * time and advancing `speed`× faster than real time (0 = only advance via
+ * POST /__replay/next). Each request is answered from the latest frame
+ * recorded at or before the virtual time.
+ *
+ * Control endpoints:
+ *   GET  /__replay        — playback status
+ *   POST /__replay/next   — jump to the next frame
+ *   POST /__replay/reset  — rewind to the first frame
+ *
+ * @param {string} dir - Bundle directory
+ * @param {Object} [options] - { speed, loop }
+ */
+function createReplayServer(dir, options = {}) {
+    const frames = loadBundle(dir);
+    const speed = options.speed ?? DEFAULT_REPLAY_SPEED;
+    const loop = !!options.loop;
+    const span = frames[frames.length - 1].time - frames[0].time;
+
+    let startedAt = Date.now();
+    let offset = 0;   // ms of virtual time added by manual steps
+
+    function now() {
+        let elapsed = (Date.now() - startedAt) * speed + offset;
+        if (loop && span > 0) elapsed %= span + 1;
+        return frames[0].time + elapsed;
+    }
+
+    function frameIndex() {
+        const t = now();
+        let idx = 0;
+        while (idx + 1 < frames.length && frames[idx + 1].time <= t) idx++;
+        return idx;
+    }
+
+    function next() {
+        const idx = frameIndex();
+        if (idx + 1 < frames.length) offset += frames[idx + 1].time - now();
+        return status();
+    }
+
+    function reset() {
+        startedAt = Date.now();
+        offset = 0;
+        return status();
+    }
+
+    function status() {
+        const idx = frameIndex();
+        return {
+            bundle: dir,
+            speed,
+            loop,
+            frame: idx + 1,
+            frames: frames.length,
+            recorded_at: frames[idx].recorded_at,
+            virtual_time: new Date(now()).toISOString(),
+            finished: !loop && idx === frames.length - 1,
+        };
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = req.url;
+        if (url === '/__replay' || url.startsWith('/__replay/')) {
+            const body = req.method === 'POST' && url === '/__replay/next' ? next()
+                : req.method === 'POST' && url === '/__replay/reset' ? reset()
+                    : status();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(body));
+        }
+
+        const recorded = frames[frameIndex()].responses[url];
+        if (!recorded) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end(`Not in replay bundle: ${url}`);
+        }
+        res.writeHead(recorded.status, { 'Content-Type': recorded.content_type || 'application/octet-stream' });
+        res.end(recorded.body);
+    });
+
+    function listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => {
+                startedAt = Date.now();
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    // Median gap between recorded frames (the recording's polling cadence)
+    function cadence() {
+        const gaps = frames.slice(1).map((f, i) => f.time - frames[i].time).sort((a, b) => a - b);
+        return gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+    }
+
+    return { listen, close, now, next, reset, status, cadence, frames };
+}
+
+// ─── CLI Wiring ──────────────────────────────────────────────────────────────
+
+/**
+ * Handle `--replay <bundle> [--speed N] [--loop]` and `--record [bundle]`
+ * for index.js and server.js. Starts the stand-in server and points the
+ * extractor at it (replay), or attaches a recorder (record).
+ * @param {Array} [argv]
+ * @param {Object} [options] - { log } — progress logger (default console.log)
+ * @returns {Object} { mode, speed, bundle, replay, close() }
+ */
+async function setupFromArgs(argv = process.argv, options = {}) {
+    const log = options.log || console.log;
+    const replayName = argValue(argv, '--replay');
+    const recordIdx = argv.indexOf('--record');
+
+    if (replayName) {
+        const speed = parseFloat(argValue(argv, '--speed') ?? DEFAULT_REPLAY_SPEED);
+        const bundle = resolveBundle(replayName);
+        const replay = createReplayServer(bundle, { speed, loop: argv.includes('--loop') });
+        const url = await replay.listen(parseInt(argValue(argv, '--replay-port') || '0', 10));
+        extractor.setBaseUrl(url);
+        extractor.setClock(replay.now);
+        log(`▶️  Replaying ${bundle} (${replay.frames.length} frames at ${speed}×) via ${url}`);
+        return { mode: 'replay', speed, bundle, replay, close: replay.close };
+    }
+
+    if (recordIdx !== -1) {
+        const name = argv[recordIdx + 1] && !argv[recordIdx + 1].startsWith('--')
+            ? argv[recordIdx + 1]
+            : new Date().toISOString().replace(/:/g, '-');
+        const bundle = resolveBundle(name);
+        extractor.setRecorder(createRecorder(bundle));
+        log(`⏺️  Recording raw NOAA responses to ${bundle}`);
+        return { mode: 'record', speed: 1, bundle, replay: null, close: async () => extractor.setRecorder(null) };
+    }
+
+    return { mode: 'live', speed: 1, bundle: null, replay: null, close: async () => { } };
+}
+
+/**
+ * Time-series store for a replay session: a scratch directory that is removed
+ * when the process ends, with retention measured on the virtual clock. Keeps
+ * replayed points out of data/timeseries, and old recordings from aging out.
+ * @param {Object} session - setupFromArgs() result in replay mode
+ * @param {Object} [options] - createStore() options (dir and clock are set here)
+ */
+function createReplayStore(session, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swpc-replay-'));
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+    process.on('exit', cleanup);
+    // A signal skips 'exit' — clean up, then let the signal end the process as usual
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            cleanup();
+            process.kill(process.pid, signal);
+        });
+    }
+    return createStore({ ...options, dir, clock: session.replay.now });
+}
+
+function argValue(argv, flag) {
+    const idx = argv.indexOf(flag);
+    if (idx === -1 || idx + 1 >= argv.length || argv[idx + 1].startsWith('--')) return null;
+    return argv[idx + 1];
+}
+
+function pathOf(url) {
+    const u = new URL(url);
+    return u.pathname + u.search;
+}
+
+// ─── Standalone Stand-in ─────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const bundle = process.argv[2];
+    if (!bundle || bundle.startsWith('--')) {
+        console.error('Usage: node replay.js <bundle> [--port 8787] [--speed 60] [--loop]');
+        process.exit(1);
+    }
+    const replay = createReplayServer(resolveBundle(bundle), {
+        speed: parseFloat(argValue(process.argv, '--speed') ?? DEFAULT_REPLAY_SPEED),
+        loop: process.argv.includes('--loop'),
+    });
+    replay.listen(parseInt(argValue(process.argv, '--port') || '8787', 10)).then(url => {
+        console.log(`▶️  NOAA stand-in serving ${replay.frames.length} frames at ${url}`);
+        console.log(`   Run with NOAA_BASE_URL=${url} to fetch from it.`);
+    });
+}
+
+module.exports = { createRecorder, createReplayServer, createReplayStore, loadBundle, resolveBundle, setupFromArgs, RECORDINGS_DIR };
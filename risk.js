@@ -0,0 +1,217 @@
+/**
+ * NOAA Space Weather Satellite Risk Advisory Engine
+ *
+ * Derives the seven Satellite Operations Advisory assessments from the
+ * extracted data and returns a structured risk level, score, drivers and
+ * plain-English advice per hazard.
+ */
+
+const { classifyScale } = require('./alerts');
+
+// ─── Risk Levels ─────────────────────────────────────────────────────────────
+
+const RISK = {
+    UNKNOWN: { rank: 0, score: 0, emoji: '⚪', label: 'UNKNOWN' },
+    LOW: { rank: 1, score: 15, emoji: '🟢', label: 'LOW' },
+    MODERATE: { rank: 2, score: 50, emoji: '🟡', label: 'MODERATE' },
+    HIGH: { rank: 3, score: 75, emoji: '🟠', label: 'HIGH' },
+    EXTREME: { rank: 4, score: 100, emoji: '🔴', label: 'EXTREME' },
+};
+
+// ─── Risk Cut-offs ───────────────────────────────────────────────────────────
+
+// [moderate, high, extreme] — extreme is optional
+const RISK_THRESHOLDS = {
+    deepDielectricCharging: [100, 1000, 10000],   // ≥2 MeV e⁻ (pfu)
+    surfaceCharging: [1000, 5000, 50000],  // 865 keV e⁻ (pfu/sr/MeV)
+    singleEventUpsets: [0.5, 1, 10],         // ≥100 MeV p⁺ (pfu)
+    solarPanelDegradation: [10, 100, 1000],       // ≥10 MeV p⁺ (pfu)
+    atmosphericDrag: [120, 180, 250],       // F10.7 + Kp×15
+    hfRadioBlackout: [1e-5, 1e-4, 1e-3],    // X-ray 0.1-0.8nm (W/m²)
+    gpsErrors: [5, 7, 9],             // Kp + proton/aurora penalties
+};
+
+// ─── Advice Text ─────────────────────────────────────────────────────────────
+
+const ADVICE = {
+    deep_dielectric_charging: {
+        LOW: 'Normal operations.',
+        MODERATE: 'Elevated — monitor the ≥2 MeV electron trend.',
+        HIGH: 'Consider safe-mode for vulnerable subsystems.',
+        EXTREME: 'Defer non-essential operations and safe vulnerable subsystems; expect discharge anomalies.',
+    },
+    surface_charging: {
+        LOW: 'Normal operations.',
+        MODERATE: 'Monitor spacecraft potential, especially during eclipse.',
+        HIGH: 'Avoid thruster firings and payload switching during eclipse exits.',
+        EXTREME: 'Expect surface arcing; postpone sensitive operations until the environment relaxes.',
+    },
+    single_event_upsets: {
+        LOW: 'Normal operations.',
+        MODERATE: 'Expect occasional bit-flips; verify EDAC scrubbing is enabled.',
+        HIGH: 'Increase memory scrubbing and monitor for latch-ups.',
+        EXTREME: 'Postpone software uploads and critical commanding; expect frequent upsets.',
+    },
+    solar_panel_degradation: {
+        LOW: 'Normal operations.',
+        MODERATE: 'Track solar array output against the degradation budget.',
+        HIGH: 'Cumulative proton damage accruing — update the power budget.',
+        EXTREME: 'Significant displacement damage likely; review end-of-life power margins.',
+    },
+    atmospheric_drag: {
+        LOW: 'Normal drag levels.',
+        MODERATE: 'Refresh LEO orbit predictions more frequently.',
+        HIGH: 'Increased thermospheric density — adjust orbit predictions and conjunction screening.',
+        EXTREME: 'Rapid orbital decay possible; plan station-keeping and expect tracking loss.',
+    },
+    hf_radio_blackout: {
+        LOW: 'No significant HF impact.',
+        MODERATE: 'Minor HF degradation on the sunlit side.',
+        HIGH: 'Wide-area HF blackout on the sunlit side — use alternate links.',
+        EXTREME: 'Complete HF blackout on the sunlit side; low-frequency navigation degraded.',
+    },
+    gps_errors: {
+        LOW: 'Normal positioning accuracy.',
+        MODERATE: 'Occasional positioning errors at high latitudes.',
+        HIGH: 'Scintillation likely — expect degraded GNSS accuracy and loss of lock.',
+        EXTREME: 'GNSS may be unusable for hours; rely on backup navigation.',
+    },
+};
+
+// ─── Assessment ──────────────────────────────────────────────────────────────
+
+/**
+ * Assess all seven satellite operations hazards against the extracted data.
+ * @param {Object} extracted - The `data` object from extractor.fetchAll()
+ * @param {Object} [profile] - Threshold profile from profiles.get(); omitted = RISK_THRESHOLDS
+ * @returns {Object} { overall: {...}, hazards: [...], profile }
+ */
+function assess(extracted, profile = null) {
+    const d = extracted || {};
+    const T = { ...RISK_THRESHOLDS, ...(profile?.risk || {}) };
+
+    const kp = d.kp_index_1m?.kp_index;
+    const density = d.solar_wind_plasma?.density;
+    const xFlux = d.xray_flux?.flux;
+    const eFl2 = d.electron_flux?.flux;
+    const eFl08 = d.electron_flux_08?.flux;
+    const pFl10 = d.proton_flux?.flux;
+    const pFl100 = d.proton_flux_100?.flux;
+    const f107 = d.f107_flux?.flux;
+    const hemiPower = d.aurora_power?.hemispheric_power_gw;
+
+    const hazards = [];
+
+    // Deep dielectric charging: driven by ≥2 MeV electrons
+    hazards.push(hazard('deep_dielectric_charging', '⚡', 'Deep Dielectric Charging',
+        riskLevel(eFl2, ...T.deepDielectricCharging), eFl2, T.deepDielectricCharging,
+        { electron_flux_2mev: eFl2 },
+        `≥2 MeV e⁻ flux: ${eFl2 != null ? fmt(eFl2, 1) + ' pfu' : 'N/A'}. Internal charging from high-energy electrons penetrating shielding.`));
+
+    // Surface charging: driven by ~0.8 MeV electrons (865 keV diff band) + low density
+    // A storm-time Kp with a rarefied solar wind forces at least HIGH
+    const scForced = eFl08 > T.surfaceCharging[1] || (kp >= 5 && density < 3);
+    hazards.push(hazard('surface_charging', '🔋', 'Surface Charging',
+        scForced ? maxRisk(RISK.HIGH, riskLevel(eFl08, ...T.surfaceCharging)) : riskLevel(eFl08, ...T.surfaceCharging),
+        eFl08, T.surfaceCharging,
+        { electron_flux_08mev: eFl08, density: density, kp_index: kp },
+        `865 keV e⁻: ${eFl08 != null ? fmt(eFl08, 0) + ' pfu/sr/MeV' : 'N/A'}, Density: ${density != null ? fmt(density, 1) + ' p/cm³' : 'N/A'}. Differential charging on satellite surfaces.`));
+
+    // SEU risk: driven by ≥100 MeV protons (most penetrating)
+    hazards.push(hazard('single_event_upsets', '💥', 'Single Event Upsets (SEU)',
+        riskLevel(pFl100, ...T.singleEventUpsets), pFl100, T.singleEventUpsets,
+        { proton_flux_100mev: pFl100 },
+        `≥100 MeV p⁺: ${pFl100 != null ? fmt(pFl100, 3) + ' pfu' : 'N/A'}. High-energy protons cause single-event upsets in electronics.`));
+
+    // Solar panel degradation: driven by ≥10 MeV protons (cumulative)
+    hazards.push(hazard('solar_panel_degradation', '☀️', 'Solar Panel Degradation',
+        riskLevel(pFl10, ...T.solarPanelDegradation), pFl10, T.solarPanelDegradation,
+        { proton_flux_10mev: pFl10 },
+        `≥10 MeV p⁺: ${pFl10 != null ? fmt(pFl10, 2) + ' pfu' : 'N/A'}. Proton damage to solar cell junctions reduces power output.`));
+
+    // Atmospheric drag: driven by F10.7 + Kp (heating → expansion)
+    const dragScore = (f107 == null && kp == null) ? null : (f107 || 0) + (kp || 0) * 15;
+    hazards.push(hazard('atmospheric_drag', '🌊', 'Atmospheric Drag (LEO)',
+        riskLevel(dragScore, ...T.atmosphericDrag), dragScore, T.atmosphericDrag,
+        { f107_flux: f107, kp_index: kp },
+        `F10.7: ${f107 != null ? fmt(f107, 1) + ' SFU' : 'N/A'}, Kp: ${kp != null ? fmt(kp) : 'N/A'}. UV/EUV heating expands thermosphere; LEO satellites experience increased drag.`));
+
+    // HF Radio blackout: driven by X-ray flux
+    hazards.push(hazard('hf_radio_blackout', '📻', 'HF Radio Blackout',
+        riskLevel(xFlux, ...T.hfRadioBlackout), xFlux, T.hfRadioBlackout,
+        { xray_flux: xFlux },
+        `X-ray: ${xFlux != null ? xFlux.toExponential(2) + ' W/m²' : 'N/A'} (${flareLetter(xFlux)}-class). NOAA Scale: ${rScaleLabel(xFlux)}.`));
+
+    // GPS / Navigation: driven by Kp + protons (ionospheric irregularities)
+    const gpsScore = kp == null ? null : kp + (pFl10 > 10 ? 3 : 0) + (hemiPower > 50 ? 2 : 0);
+    hazards.push(hazard('gps_errors', '📡', 'GPS / Navigation Errors',
+        riskLevel(gpsScore, ...T.gpsErrors), gpsScore, T.gpsErrors,
+        { kp_index: kp, proton_flux_10mev: pFl10, hemispheric_power_gw: hemiPower },
+        `Kp: ${kp != null ? fmt(kp) : 'N/A'}, Protons: ${pFl10 != null ? fmt(pFl10, 1) + ' pfu' : 'N/A'}, Hemi Power: ${hemiPower != null ? fmt(hemiPower, 0) + ' GW' : 'N/A'}. Ionospheric scintillation degrades GPS accuracy.`));
+
+    // Overall = the worst individual hazard
+    const worst = hazards.reduce((a, b) => (b.rank > a.rank ? b : a), hazards[0]);
+
+    return {
+        overall: { level: worst.level, emoji: worst.emoji, hazard: worst.rank > RISK.LOW.rank ? worst.id : null },
+        hazards: hazards.map(({ rank, ...h }) => h),
+        profile: profile?.name || null,
+    };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+/**
+ * Map a value onto LOW / MODERATE / HIGH / EXTREME using ascending cut-offs.
+ */
+function riskLevel(val, t1, t2, t3) {
+    if (val == null || isNaN(val)) return RISK.UNKNOWN;
+    if (t3 !== undefined && val >= t3) return RISK.EXTREME;
+    if (val >= t2) return RISK.HIGH;
+    if (val >= t1) return RISK.MODERATE;
+    return RISK.LOW;
+}
+
+function maxRisk(a, b) {
+    return b.rank > a.rank ? b : a;
+}
+
+function hazard(id, icon, name, risk, value, thresholds, drivers, assessment) {
+    return {
+        id,
+        icon,
+        name,
+        level: risk.label,
+        emoji: risk.emoji,
+        rank: risk.rank,
+        score: risk.score,
+        value: value == null || isNaN(value) ? null : value,
+        thresholds: { moderate: thresholds[0], high: thresholds[1], extreme: thresholds[2] ?? null },
+        drivers,
+        assessment,
+        advice: ADVICE[id][risk.label] || 'Insufficient data to assess.',
+    };
+}
+
+function fmt(val, decimals = 2) {
+    if (val == null) return 'N/A';
+    if (typeof val === 'number') return isNaN(val) ? 'N/A' : val.toFixed(decimals);
+    return String(val);
+}
+
+function flareLetter(flux) {
+    if (!flux || flux <= 0) return 'Below A';
+    if (flux < 1e-7) return 'A';
+    if (flux < 1e-6) return 'B';
+    if (flux < 1e-5) return 'C';
+    if (flux < 1e-4) return 'M';
+    return 'X';
+}
+
+function rScaleLabel(flux) {
+    if (!flux) return '—';
+    const r = classifyScale('R', flux);
+    return r ? `${r.scale} — ${r.label}` : 'None';
+}
+
+module.exports = { assess, RISK, RISK_THRESHOLDS, riskLevel };
@@ -8,14 +8,72 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { pipeline } = require('stream');
 const basicAuth = require('express-basic-auth');
 const extractor = require('./extractor');
 const alerts = require('./alerts');
+const risk = require('./risk');
+const profiles = require('./profiles');
+const subscriptions = require('./subscriptions');
+const notifier = require('./notifier');
+const { createTracker } = require('./tracker');
+const { createStore, SERIES } = require('./store');
+const replay = require('./replay');
+const { createExporter } = require('./metrics');
+const propagation = require('./propagation');
+const flares = require('./flares');
+const protons = require('./protons');
+const fluence = require('./fluence');
+const swpc = require('./swpc');
+const aurora = require('./aurora');
+const bulkExport = require('./export');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY || null;
 
+// Alert lifecycle state (onset, hysteresis, persistence windows) survives restarts.
+// Each threshold profile has its own tracker; the default profile keeps alert-state.json.
+const alertTrackers = {};
+let newTracker = name => createTracker({
+    file: path.join(__dirname, 'data', name === profiles.defaultName() ? 'alert-state.json' : `alert-state-${name}.json`),
+});
+
+function trackerFor(name) {
+    if (!alertTrackers[name]) alertTrackers[name] = newTracker(name);
+    return alertTrackers[name];
+}
+
+// Evaluate alerts and risk for one profile, feeding its lifecycle tracker
+// (proton events are re-detected at the profile's s1Radiation threshold)
+function evaluateProfile(name, result, history) {
+    const profile = profiles.get(name);
+    const data = protons.withThreshold(result.data, history, profile.thresholds.s1Radiation);
+    return {
+        evaluation: trackerFor(name).update(alerts.evaluate(data, profile, result.freshness), Date.parse(result.extraction_time)),
+        risk: risk.assess(result.data, profile),
+    };
+}
+
+// Prometheus exporter (fetch counters accumulate for the life of the process)
+const exporter = createExporter();
+
+// Persistent time-series store (per-series retention, e.g. HISTORY_RETENTION="xray_flux=365,proton_flux=365")
+const storeOptions = { retentionDays: parseRetention(process.env.HISTORY_RETENTION) };
+let store = createStore(storeOptions);
+
+// Flare events detected in the X-ray history (in-memory only while replaying)
+let flareCatalogue = flares.createFlareCatalogue({ file: path.join(__dirname, 'data', 'flares.json') });
+// Proton (SEP) events detected in the integral proton history
+let protonCatalogue = protons.createProtonCatalogue({ file: path.join(__dirname, 'data', 'proton-events.json') });
+
+function parseRetention(spec) {
+    if (!spec) return {};
+    return Object.fromEntries(spec.split(',').map(pair => pair.split('='))
+        .filter(([name, days]) => Object.hasOwn(SERIES, name) && !isNaN(parseFloat(days)))
+        .map(([name, days]) => [name, parseFloat(days)]));
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -43,10 +101,12 @@ app.get('/auth/key', (req, res) => {
     res.json({ key: API_KEY || '' });
 });
 
-// Protect /api/* routes when API_KEY is set
-app.use('/api', (req, res, next) => {
+// Protect /api/* and /metrics when API_KEY is set
+// (scrapers can send the key as `Authorization: Bearer <key>`)
+app.use(['/api', '/metrics'], (req, res, next) => {
     if (!API_KEY) return next(); // No key configured = open access (dev mode)
-    const provided = req.headers['x-api-key'] || req.query.key;
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+    const provided = req.headers['x-api-key'] || bearer || req.query.key;
     if (provided === API_KEY) return next();
     res.status(401).json({ error: 'Unauthorized — invalid or missing API key' });
 });
@@ -56,6 +116,8 @@ app.use('/api', (req, res, next) => {
 let memoryCache = {
     data: null,
     evaluation: null,
+    risk: null,
+    profiles: {},
     history: null,
     lastFetchBaseMs: 0
 };
@@ -63,14 +125,19 @@ let memoryCache = {
 let isFetching = false;
 let fetchPromise = null;
 
-// TTL: 5 minutes (in milliseconds)
+// TTL: 5 minutes (in milliseconds) — scaled down when replaying at speed
 const CACHE_TTL = 5 * 60 * 1000;
+let cacheTtl = CACHE_TTL;
+
+// Vercel Blob persistence (disabled while replaying recorded data)
+let useBlob = !!process.env.BLOB_READ_WRITE_TOKEN;
 
 async function getFreshData() {
     const now = Date.now();
 
     // 1. Return INSTANT memory cache if it's fresh (saves hitting Blob or NOAA)
-    if (memoryCache.data && (now - memoryCache.lastFetchBaseMs < CACHE_TTL)) {
+    //    (lastFetchBaseMs = 0 marks a forced refresh, even with an infinite replay TTL)
+    if (memoryCache.data && memoryCache.lastFetchBaseMs && (now - memoryCache.lastFetchBaseMs < cacheTtl)) {
         return memoryCache;
     }
 
@@ -84,7 +151,7 @@ async function getFreshData() {
     fetchPromise = (async () => {
         try {
             // 3. Try to fetch from Vercel Blob if we have the token and we just booted up (memory is empty)
-            if (!memoryCache.data && process.env.BLOB_READ_WRITE_TOKEN) {
+            if (!memoryCache.data && useBlob) {
                 try {
                     console.log('☁️ Checking Vercel Blob for persistent cache...');
                     const { list } = require('@vercel/blob');
@@ -95,9 +162,12 @@ async function getFreshData() {
                         });
                         const blobCache = await res.json();
                         // If blob cache is fresh, use it!
-                        if (now - blobCache.lastFetchBaseMs < CACHE_TTL) {
+                        if (now - blobCache.lastFetchBaseMs < cacheTtl) {
                             console.log('✅ Recovered fresh cache from Vercel Blob!');
-                            memoryCache = blobCache;
+                            memoryCache = { profiles: {}, ...blobCache };
+                            for (const [name, state] of Object.entries(blobCache.alertStates || {})) {
+                                trackerFor(name).restore(state);
+                            }
                             return memoryCache;
                         } else {
                             console.log('☁️ Blob cache is stale, fetching from NOAA...');
@@ -111,21 +181,66 @@ async function getFreshData() {
             // 4. Otherwise, fetch new data from NOAA
             console.log(`[${new Date().toISOString()}] Cache stale or missing. Fetching from NOAA...`);
             const startTime = Date.now();
-            const [result, history] = await Promise.all([
-                extractor.fetchAll(),
-                extractor.fetchRawHistory(),
-            ]);
+            const { result, history } = await extractor.fetchCycle();
+            exporter.observe(result);
+
+            // Append every fetched series to the on-disk store
+            try {
+                store.ingest(result, history);
+            } catch (err) {
+                console.error('Time-series store write failed:', err.message);
+            }
+            try {
+                result.data.fluence = fluence.compute(store, Date.parse(result.extraction_time));
+            } catch (err) {
+                console.error('Fluence integration failed:', err.message);
+            }
+            try {
+                flareCatalogue.ingest(history);
+            } catch (err) {
+                console.error('Flare detection failed:', err.message);
+            }
+            try {
+                protonCatalogue.ingest(history);
+            } catch (err) {
+                console.error('Proton event detection failed:', err.message);
+            }
+
+            const previousCache = memoryCache;
+            const previousEvaluation = memoryCache.evaluation;
+
+            // Every profile is evaluated each cycle so its alert lifecycle stays continuous
+            const byProfile = Object.fromEntries(profiles.names().map(name => [name, evaluateProfile(name, result, history)]));
+            const primary = byProfile[profiles.defaultName()];
 
             memoryCache = {
                 data: result,
-                evaluation: alerts.evaluate(result.data),
+                evaluation: primary.evaluation,
+                risk: primary.risk,
+                profiles: byProfile,
                 history: history,
                 // Add 4-min offset if using Blob to prevent edge caching and blob caching from expiring at exactly the exact same time
                 lastFetchBaseMs: Date.now()
             };
+            memoryCache.alertStates = Object.fromEntries(
+                Object.entries(alertTrackers).map(([name, t]) => [name, t.snapshot()])
+            );
+
+            // 5. Push alert transitions to webhook subscribers in the background
+            //    (skipped on a cold start with no previous evaluation to diff against)
+            if (previousEvaluation) {
+                subscriptions.notify(previousEvaluation, memoryCache.evaluation)
+                    .catch(e => console.error('Webhook notify failed:', e.message));
+                // ...and as formatted messages to the Slack / Telegram / email / Teams channels
+                notifier.notify(previousCache.profiles, memoryCache.profiles)
+                    .catch(e => console.error('Notifier dispatch failed:', e.message));
+            }
+
+            // 6. Push the changes to open dashboard streams
+            broadcast(previousCache, memoryCache);
 
-            // 5. Save to Vercel Blob in the background if configured
-            if (process.env.BLOB_READ_WRITE_TOKEN) {
+            // 7. Save to Vercel Blob in the background if configured
+            if (useBlob) {
                 const { put } = require('@vercel/blob');
                 put('noaa-cache.json', JSON.stringify(memoryCache), {
                     access: 'private',
@@ -157,6 +272,34 @@ async function getFreshData() {
 
 // ─── API Routes (With Edge Caching Headers) ──────────────────────────────────
 
+// Flatten an evaluated alert (severity object → label) for JSON responses
+function serializeAlert(a) {
+    return {
+        id: a.id, severity: a.severity.label, emoji: a.severity.emoji,
+        message: a.message, details: a.details,
+        scale: a.scale || null,
+        eta: a.eta || null,
+        event: a.event || null,
+        hemisphere: a.hemisphere || null,
+        first_seen: a.first_seen, last_seen: a.last_seen,
+        peak_value: a.peak_value, duration: a.duration,
+    };
+}
+
+// Evaluation + risk for `?profile=` (default profile when omitted); null if unknown
+function forProfile(c, query) {
+    const name = query.profile || profiles.defaultName();
+    if (!profiles.get(name)) return null;
+    if (!c.profiles?.[name]) {
+        c.profiles = { ...c.profiles, [name]: evaluateProfile(name, c.data, c.history) };
+    }
+    return { name, ...c.profiles[name] };
+}
+
+function unknownProfile(res, name) {
+    res.status(404).json({ error: `Unknown profile '${name}'`, profiles: profiles.names() });
+}
+
 // Middleware: Set Vercel Edge caching headers on all API responses
 // s-maxage=300 tells the Vercel CDN to cache the response for 5 mins
 app.use('/api', (req, res, next) => {
@@ -168,21 +311,53 @@ app.use('/api', (req, res, next) => {
 app.get('/api/status', async (req, res) => {
     try {
         const c = await getFreshData();
+        const p = forProfile(c, req.query);
+        if (!p) return unknownProfile(res, req.query.profile);
+        res.json(buildStatus(c, p));
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable', message: e.message });
+    }
+});
+
+function buildStatus(c, p) {
+    return {
+        ...c.data,
+        profile: p.name,
+        scales: p.evaluation.scales,
+        alerts: p.evaluation.alerts.map(serializeAlert),
+        pending_alerts: p.evaluation.pending || [],
+        metrics: serializeMetrics(p.evaluation.metrics),
+        risk: p.risk,
+        swpc_alerts: swpcAlertsFor(c, p),
+        last_fetch: new Date(c.lastFetchBaseMs).toISOString(),
+    };
+}
+
+// SWPC products in effect or recently issued, cross-referenced with the profile's alerts
+function swpcAlertsFor(c, p) {
+    return swpc.current(c.history?.swpcAlerts, p.evaluation, Date.parse(c.data.extraction_time));
+}
+
+function serializeMetrics(metrics) {
+    return Object.fromEntries(
+        Object.entries(metrics).map(([k, v]) => [k, {
+            ...v, status: v.status.label, status_emoji: v.status.emoji,
+        }])
+    );
+}
+
+// Satellite operations risk advisory (derived hazards)
+app.get('/api/risk', async (req, res) => {
+    try {
+        const c = await getFreshData();
+        const p = forProfile(c, req.query);
+        if (!p) return unknownProfile(res, req.query.profile);
         res.json({
-            ...c.data,
-            alerts: c.evaluation.alerts.map(a => ({
-                id: a.id, severity: a.severity.label, emoji: a.severity.emoji,
-                message: a.message, details: a.details,
-            })),
-            metrics: Object.fromEntries(
-                Object.entries(c.evaluation.metrics).map(([k, v]) => [k, {
-                    ...v, status: v.status.label, status_emoji: v.status.emoji,
-                }])
-            ),
-            last_fetch: new Date(c.lastFetchBaseMs).toISOString(),
+            ...p.risk,
+            extraction_time: c.data.extraction_time,
         });
     } catch (e) {
-        res.status(503).json({ error: 'Data unavailable', message: e.message });
+        res.status(503).json({ error: 'Data unavailable' });
     }
 });
 
@@ -190,15 +365,17 @@ app.get('/api/status', async (req, res) => {
 app.get('/api/alerts', async (req, res) => {
     try {
         const c = await getFreshData();
-        const hasAlerts = c.evaluation.alerts.length > 0;
+        const p = forProfile(c, req.query);
+        if (!p) return unknownProfile(res, req.query.profile);
+        const hasAlerts = p.evaluation.alerts.length > 0;
         res.json({
+            profile: p.name,
             has_alerts: hasAlerts,
-            alert_count: c.evaluation.alerts.length,
-            highest_severity: hasAlerts ? c.evaluation.alerts[0].severity.label : 'NOMINAL',
-            alerts: c.evaluation.alerts.map(a => ({
-                id: a.id, severity: a.severity.label, emoji: a.severity.emoji,
-                message: a.message, details: a.details,
-            })),
+            alert_count: p.evaluation.alerts.length,
+            highest_severity: hasAlerts ? p.evaluation.alerts[0].severity.label : 'NOMINAL',
+            scales: p.evaluation.scales,
+            alerts: p.evaluation.alerts.map(serializeAlert),
+            pending_alerts: p.evaluation.pending || [],
             extraction_time: c.data.extraction_time,
         });
     } catch (e) {
@@ -207,36 +384,607 @@ app.get('/api/alerts', async (req, res) => {
 });
 
 // Chart history endpoints
-app.get('/api/history/solar-wind', async (req, res) => {
-    try { const c = await getFreshData(); res.json({ mag: c.history.solarWindMag, plasma: c.history.solarWindPlasma }); }
+//   No range → the live 1-day/3-day NOAA window from the current fetch
+//   ?from=&to= → read from the persistent store (ISO time or epoch ms)
+//   ?metric=bz_gsm,bt → restrict rows to those value fields
+//   ?propagate=1 → (solar wind only) shift rows to their estimated Earth arrival
+function historyRoute(spec, propagatable = false) {
+    return async (req, res) => {
+        const q = parseHistoryQuery(req.query);
+        if (q.error) return res.status(400).json({ error: q.error });
+        if (q.propagate && !propagatable) return res.status(400).json({ error: '`propagate` is only supported for /api/history/solar-wind and /api/history/derived' });
+        const series = Object.values(spec).map(([name]) => name);
+        if (q.metrics && series.every(name => fieldsFor(name, q.metrics).length === 0)) {
+            return res.status(400).json({ error: unknownMetric(series, q.metrics) });
+        }
+        try {
+            const out = {};
+            const c = q.stored ? null : await getFreshData();
+            for (const [key, [series, liveKey]] of Object.entries(spec)) {
+                const fields = fieldsFor(series, q.metrics);
+                if (fields && fields.length === 0) {
+                    out[key] = [];
+                } else if (q.stored) {
+                    out[key] = store.query(series, q, fields);
+                } else {
+                    const rows = c.history[liveKey] || [];
+                    out[key] = fields ? rows.map(r => pickFields(r, fields)) : rows;
+                }
+            }
+            if (q.propagate) {
+                const plasma = q.stored ? store.query('solar_wind_plasma', q, ['speed']) : c.history.solarWindPlasma;
+                for (const key of Object.keys(out)) out[key] = propagation.shiftRows(out[key], plasma);
+                out.propagated = true;
+            }
+            res.json(out);
+        } catch (e) {
+            res.status(503).json({ error: 'Failed' });
+        }
+    };
+}
+
+function parseHistoryQuery(query) {
+    const q = { stored: false, from: null, to: null, metrics: null, propagate: false };
+    for (const key of ['from', 'to']) {
+        if (query[key] === undefined) continue;
+        const raw = /^\d+$/.test(query[key]) ? Number(query[key]) : query[key];
+        const t = new Date(raw).getTime();
+        if (isNaN(t)) return { error: `Invalid \`${key}\` — use an ISO-8601 time or epoch milliseconds` };
+        q[key] = t;
+        q.stored = true;
+    }
+    if (q.from !== null && q.to !== null && q.from > q.to) return { error: '`from` must be before `to`' };
+    if (query.metric) q.metrics = String(query.metric).split(',').map(m => m.trim()).filter(Boolean);
+    q.propagate = query.propagate === '1' || query.propagate === 'true';
+    return q;
+}
+
+// Requested metrics that exist in this series (empty list → series not requested)
+function fieldsFor(series, metrics) {
+    if (!metrics) return null;
+    return SERIES[series].fields.filter(f => metrics.includes(f));
+}
+
+function unknownMetric(series, metrics) {
+    const fields = [...new Set(series.flatMap(name => SERIES[name].fields))];
+    return `No field matches \`metric=${metrics.join(',')}\` (fields: ${fields.join(', ')})`;
+}
+
+function pickFields(row, fields) {
+    const out = { time: row.time };
+    for (const f of fields) out[f] = row[f];
+    return out;
+}
+
+app.get('/api/history', (req, res) => {
+    try { res.json({ series: store.catalogue() }); }
     catch (e) { res.status(503).json({ error: 'Failed' }); }
 });
 
-app.get('/api/history/kp', async (req, res) => {
-    try { const c = await getFreshData(); res.json({ kp: c.history.kpIndex }); }
+app.get('/api/history/solar-wind', historyRoute({ mag: ['solar_wind_mag', 'solarWindMag'], plasma: ['solar_wind_plasma', 'solarWindPlasma'] }, true));
+app.get('/api/history/kp', historyRoute({ kp: ['kp_index_1m', 'kpIndex'] }));
+app.get('/api/history/xrays', historyRoute({ xrays: ['xray_flux', 'xrays'] }));
+app.get('/api/history/protons', historyRoute({ protons: ['proton_flux', 'protons'] }));
+app.get('/api/history/electrons', historyRoute({ electrons: ['electron_flux', 'electrons'] }));
+app.get('/api/history/aurora', historyRoute({ aurora: ['aurora_power', 'auroraPower'] }));
+app.get('/api/history/derived', historyRoute({ derived: ['solar_wind_derived', 'solarWindDerived'] }, true));
+
+// Any stored series by name (e.g. /api/history/f107_flux?from=2026-01-01)
+app.get('/api/history/:series', (req, res) => {
+    const series = req.params.series;
+    if (!Object.hasOwn(SERIES, series)) return res.status(404).json({ error: `Unknown series '${series}'` });
+    const q = parseHistoryQuery(req.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    if (q.propagate) return res.status(400).json({ error: '`propagate` is only supported for /api/history/solar-wind and /api/history/derived' });
+    const fields = fieldsFor(series, q.metrics);
+    if (fields && fields.length === 0) return res.status(400).json({ error: unknownMetric([series], q.metrics) });
+    try { res.json({ series, points: store.query(series, q, fields) }); }
     catch (e) { res.status(503).json({ error: 'Failed' }); }
 });
 
-app.get('/api/history/xrays', async (req, res) => {
-    try { const c = await getFreshData(); res.json({ xrays: c.history.xrays }); }
-    catch (e) { res.status(503).json({ error: 'Failed' }); }
+// ─── Fluence ─────────────────────────────────────────────────────────────────
+
+// Daily and rolling 3-day particle fluence from the store, with the profile's thresholds
+//   ?days=7 → complete UTC days before today (1–90)   ?profile=crewed
+app.get('/api/fluence', async (req, res) => {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) return res.status(400).json({ error: '`days` must be an integer from 1 to 90' });
+    const profile = profiles.get(req.query.profile);
+    if (!profile) return unknownProfile(res, req.query.profile);
+    try {
+        const c = await getFreshData();
+        const report = fluence.compute(store, Date.parse(c.data.extraction_time), days);
+        res.json({ profile: profile.name, ...fluence.withThresholds(report, profile.thresholds) });
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable' });
+    }
 });
 
-app.get('/api/history/protons', async (req, res) => {
-    try { const c = await getFreshData(); res.json({ protons: c.history.protons }); }
-    catch (e) { res.status(503).json({ error: 'Failed' }); }
+// ─── Bulk Export ─────────────────────────────────────────────────────────────
+
+// Stored series on one time base, streamed as a download
+//   ?metrics=solar_wind_mag.bz_gsm,kp_index_1m → columns (a bare series name exports all its fields)
+//   ?format=csv|ndjson|parquet   ?from=&to= (default: the last 24h)   ?interval=5m → bucket means
+app.get('/api/export', (req, res) => {
+    const q = parseHistoryQuery(req.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    let ex;
+    try {
+        ex = bulkExport.createExport(store, { metrics: req.query.metrics, format: req.query.format, interval: req.query.interval, from: q.from, to: q.to });
+    } catch (e) {
+        if (e instanceof bulkExport.ExportError) return res.status(400).json({ error: e.message });
+        return res.status(500).json({ error: 'Export failed' });
+    }
+    res.set('Content-Type', ex.contentType);
+    res.set('Content-Disposition', `attachment; filename="${ex.filename}"`);
+    pipeline(ex.stream, res, err => {
+        // Headers are already sent — the truncated download is the only signal left
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Export stream failed:', err.message);
+    });
 });
 
-app.get('/api/history/electrons', async (req, res) => {
-    try { const c = await getFreshData(); res.json({ electrons: c.history.electrons }); }
-    catch (e) { res.status(503).json({ error: 'Failed' }); }
+// ─── Event Catalogues ────────────────────────────────────────────────────────
+
+// Flare events, newest first
+//   ?class=M,X → only these classes      ?min_class=M5 → peak at or above this class
+//   ?from=&to= → events overlapping the range (ISO time or epoch ms)   ?limit=50
+app.get('/api/events/flares', async (req, res) => {
+    const q = parseHistoryQuery(req.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    const filter = { from: q.from, to: q.to, limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000) };
+    if (req.query.class) {
+        filter.classes = String(req.query.class).toUpperCase().split(',').map(c => c.trim());
+        if (filter.classes.some(c => !/^[ABCMX]$/.test(c))) return res.status(400).json({ error: '`class` must be a list of A, B, C, M, X' });
+    }
+    if (req.query.min_class) {
+        filter.minFlux = flares.parseFlareClass(req.query.min_class);
+        if (filter.minFlux === null) return res.status(400).json({ error: '`min_class` must be a flare class such as M or X1.5' });
+    }
+    try {
+        await getFreshData();
+    } catch (e) {
+        // Serve the catalogue as it stands
+    }
+    const events = flareCatalogue.query(filter);
+    res.json({ count: events.length, events });
+});
+
+// Proton (SEP) events, newest first
+//   ?band=10,100 → only these integral bands (MeV)   ?min_scale=S2 → ≥10 MeV events peaking at or above this S level
+//   ?from=&to= → events overlapping the range (ISO time or epoch ms)   ?limit=50
+app.get('/api/events/protons', async (req, res) => {
+    const q = parseHistoryQuery(req.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    const filter = { from: q.from, to: q.to, limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000) };
+    if (req.query.band) {
+        filter.bands = String(req.query.band).split(',').map(b => `>=${b.trim().replace(/^>=|\s*MeV$/gi, '')} MeV`);
+        if (filter.bands.some(b => !protons.BANDS[b])) return res.status(400).json({ error: '`band` must be a list of 10, 50, 100' });
+    }
+    if (req.query.min_scale) {
+        const m = /^S?([1-5])$/i.exec(String(req.query.min_scale).trim());
+        if (!m) return res.status(400).json({ error: '`min_scale` must be an S-scale level such as S2' });
+        filter.minScale = Number(m[1]);
+    }
+    try {
+        await getFreshData();
+    } catch (e) {
+        // Serve the catalogue as it stands
+    }
+    const events = protonCatalogue.query(filter);
+    res.json({ count: events.length, events });
+});
+
+// ─── Aurora ──────────────────────────────────────────────────────────────────
+
+// OVATION chance of visible aurora at a point, and the nearest latitude on its
+// meridian where the chance reaches `min`   ?lat=64.8&lon=-147.7   ?min=50 (%)
+app.get('/api/aurora', async (req, res) => {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    const min = req.query.min === undefined ? aurora.HIGH_PROBABILITY : Number(req.query.min);
+    if (req.query.lat === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) return res.status(400).json({ error: '`lat` must be a latitude from -90 to 90' });
+    if (req.query.lon === undefined || !Number.isFinite(lon) || lon < -180 || lon > 360) return res.status(400).json({ error: '`lon` must be a longitude from -180 to 180 (or 0 to 360 east)' });
+    if (!Number.isFinite(min) || min <= 0 || min > 100) return res.status(400).json({ error: '`min` must be a probability from 1 to 100' });
+    try {
+        const c = await getFreshData();
+        const grid = auroraGridOf(c);
+        if (!grid) return res.status(503).json({ error: 'Aurora grid unavailable' });
+        const oval = c.data.data.aurora_oval;
+        res.json({
+            location: { lat, lon },
+            probability: aurora.probabilityAt(grid, lat, lon),
+            min_probability: min,
+            nearest_high: aurora.nearestHigh(grid, lat, lon, min),
+            hemisphere: { name: lat < 0 ? 'south' : 'north', ...oval?.[lat < 0 ? 'south' : 'north'] },
+            observation_time: grid.observation_time,
+            forecast_time: grid.forecast_time,
+            extraction_time: c.data.extraction_time,
+        });
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable' });
+    }
+});
+
+// OVATION grid per hemisphere, downsampled or as GeoJSON probability contours
+//   ?hemisphere=north|south (default both)   ?format=grid|geojson
+//   ?step=2 → grid cell size in degrees (1–10)   ?levels=10,50,90 → contour levels (%)
+app.get('/api/aurora/grid', async (req, res) => {
+    const hemispheres = req.query.hemisphere ? String(req.query.hemisphere).toLowerCase().split(',').map(h => h.trim()) : aurora.HEMISPHERES;
+    if (hemispheres.some(h => !aurora.HEMISPHERES.includes(h))) return res.status(400).json({ error: `\`hemisphere\` must be ${aurora.HEMISPHERES.join(' or ')}` });
+    const format = String(req.query.format || 'grid').toLowerCase();
+    if (!['grid', 'geojson'].includes(format)) return res.status(400).json({ error: '`format` must be grid or geojson' });
+    const step = req.query.step === undefined ? 2 : Number(req.query.step);
+    if (!Number.isInteger(step) || step < 1 || step > 10) return res.status(400).json({ error: '`step` must be an integer from 1 to 10' });
+    const levels = req.query.levels ? String(req.query.levels).split(',').map(Number) : aurora.CONTOUR_LEVELS;
+    if (levels.some(l => !Number.isFinite(l) || l <= 0 || l > 100)) return res.status(400).json({ error: '`levels` must be a list of probabilities from 1 to 100' });
+    try {
+        const c = await getFreshData();
+        const grid = auroraGridOf(c);
+        if (!grid) return res.status(503).json({ error: 'Aurora grid unavailable' });
+        if (format === 'geojson') {
+            res.type('application/geo+json');
+            return res.send(JSON.stringify(aurora.contours(grid, hemispheres, levels)));
+        }
+        res.json({
+            observation_time: grid.observation_time,
+            forecast_time: grid.forecast_time,
+            hemispheres: Object.fromEntries(hemispheres.map(h => [h, aurora.hemisphereGrid(grid, h, step)])),
+            extraction_time: c.data.extraction_time,
+        });
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable' });
+    }
+});
+
+function auroraGridOf(c) {
+    return c.history?.auroraGrid?.values ? c.history.auroraGrid : null;
+}
+
+// ─── Forecasts ───────────────────────────────────────────────────────────────
+
+// SWPC's 3-day Kp forecast, activity and flare / proton probabilities and the
+// 27-day outlook, with the forecast alerts raised for the profile   ?profile=crewed
+app.get('/api/forecast', async (req, res) => {
+    try {
+        const c = await getFreshData();
+        const p = forProfile(c, req.query);
+        if (!p) return unknownProfile(res, req.query.profile);
+        const d = c.data.data;
+        res.json({
+            profile: p.name,
+            issued: {
+                geomagnetic: d.kp_forecast?.time_tag ?? null,
+                event_probabilities: d.event_probabilities?.time_tag ?? null,
+                outlook_27day: d.outlook_27day?.time_tag ?? null,
+            },
+            kp: d.kp_forecast?.kp || [],
+            ap: d.kp_forecast?.ap || [],
+            geomagnetic_probabilities: d.kp_forecast?.probabilities || [],
+            event_probabilities: d.event_probabilities?.days || [],
+            pcaf: d.event_probabilities?.pcaf ?? null,
+            outlook_27day: d.outlook_27day?.days || [],
+            summary: serializeMetrics({ forecast: p.evaluation.metrics.forecast }).forecast,
+            alerts: p.evaluation.alerts.filter(a => alerts.FORECAST_ALERTS.includes(a.id)).map(serializeAlert),
+            extraction_time: c.data.extraction_time,
+        });
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable' });
+    }
+});
+
+// ─── SWPC Issued Products ────────────────────────────────────────────────────
+
+// NOAA's own alerts, watches, warnings and summaries (alerts.json), newest first,
+// each checked against our data and the profile's alerts
+//   ?status=active,upcoming   ?kind=warning,watch   ?code=WARK,ALTK (prefixes)
+//   ?from=&to= → issued in the range (ISO time or epoch ms)   ?limit=50   ?profile=crewed
+app.get('/api/swpc-alerts', async (req, res) => {
+    const q = parseHistoryQuery(req.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    const filter = { from: q.from, to: q.to, limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000) };
+    const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+    if (req.query.status) {
+        filter.status = list(req.query.status).map(v => v.toLowerCase());
+        if (filter.status.some(v => !swpc.STATUSES.includes(v))) return res.status(400).json({ error: `\`status\` must be a list of ${swpc.STATUSES.join(', ')}` });
+    }
+    if (req.query.kind) {
+        filter.kind = list(req.query.kind).map(v => v.toLowerCase());
+        if (filter.kind.some(v => !swpc.KINDS.includes(v))) return res.status(400).json({ error: `\`kind\` must be a list of ${swpc.KINDS.join(', ')}` });
+    }
+    if (req.query.code) filter.code = list(req.query.code).map(v => v.toUpperCase());
+    try {
+        const c = await getFreshData();
+        const p = forProfile(c, req.query);
+        if (!p) return unknownProfile(res, req.query.profile);
+        const products = swpc.query(c.history?.swpcAlerts, p.evaluation, filter);
+        res.json({ profile: p.name, count: products.length, products, extraction_time: c.data.extraction_time });
+    } catch (e) {
+        res.status(503).json({ error: 'Data unavailable' });
+    }
+});
+
+// ─── Live Stream (Server-Sent Events) ────────────────────────────────────────
+
+// Chart series pushed over the stream → live history key
+const STREAM_HISTORY = {
+    mag: 'solarWindMag', plasma: 'solarWindPlasma', kp: 'kpIndex',
+    xrays: 'xrays', protons: 'protons', electrons: 'electrons', aurora: 'auroraPower',
+};
+
+const streamClients = new Set();
+let streamTimer = null;
+
+// One `snapshot` on connect, then an `update` after every refresh with only
+// new history points, changed data/metrics and alert transitions
+app.get('/api/stream', async (req, res) => {
+    let c, p;
+    try {
+        c = await getFreshData();
+        p = forProfile(c, req.query);
+    } catch (e) {
+        return res.status(503).json({ error: 'Data unavailable' });
+    }
+    if (!p) return unknownProfile(res, req.query.profile);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 10000\n\n');
+
+    const client = { res, profile: p.name };
+    sendEvent(res, 'snapshot', {
+        status: buildStatus(c, p),
+        history: Object.fromEntries(Object.entries(STREAM_HISTORY).map(([key, liveKey]) => [key, c.history?.[liveKey] || []])),
+    });
+    streamClients.add(client);
+    startStreamTimer();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streamClients.delete(client);
+        if (streamClients.size === 0) stopStreamTimer();
+    });
+});
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// While anyone is listening, keep refreshing on the cache TTL so updates flow
+function startStreamTimer() {
+    if (streamTimer || !isFinite(cacheTtl)) return;
+    streamTimer = setInterval(() => {
+        getFreshData().catch(e => console.error('Stream refresh failed:', e.message));
+    }, Math.max(1000, Math.min(cacheTtl / 5, 60 * 1000)));
+}
+
+function stopStreamTimer() {
+    clearInterval(streamTimer);
+    streamTimer = null;
+}
+
+function broadcast(previous, c) {
+    for (const client of streamClients) {
+        try {
+            const p = forProfile(c, { profile: client.profile });
+            const before = previous.profiles?.[client.profile];
+            if (p) sendEvent(client.res, 'update', streamUpdate(previous, before, c, p));
+        } catch (e) {
+            console.error('Stream update failed:', e.message);
+        }
+    }
+}
+
+function streamUpdate(previous, before, c, p) {
+    const update = {
+        extraction_time: c.data.extraction_time,
+        last_fetch: new Date(c.lastFetchBaseMs).toISOString(),
+        errors: c.data.errors,
+        data: changed(previous.data?.data, c.data.data),
+        freshness: changed(previous.data?.freshness, c.data.freshness),
+        metrics: changed(before ? serializeMetrics(before.evaluation.metrics) : null, serializeMetrics(p.evaluation.metrics)),
+        transitions: subscriptions.diffAlerts(before?.evaluation || null, p.evaluation).map(t => ({
+            type: t.type,
+            alert: serializeAlert(t.alert),
+            previous_severity: t.previous_severity ? t.previous_severity.label : null,
+        })),
+        history: {},
+    };
+    if (JSON.stringify(before?.risk) !== JSON.stringify(p.risk)) update.risk = p.risk;
+    if (JSON.stringify(before?.evaluation.scales) !== JSON.stringify(p.evaluation.scales)) update.scales = p.evaluation.scales;
+    const products = swpcAlertsFor(c, p);
+    if (!before || JSON.stringify(swpcAlertsFor(previous, before)) !== JSON.stringify(products)) update.swpc_alerts = products;
+
+    for (const [key, liveKey] of Object.entries(STREAM_HISTORY)) {
+        const old = previous.history?.[liveKey] || [];
+        const last = old.length ? old[old.length - 1].time : null;
+        const rows = (c.history?.[liveKey] || []).filter(r => last === null || r.time > last);
+        if (rows.length > 0) update.history[key] = rows;
+    }
+    return update;
+}
+
+// Entries of `next` that differ from `prev`
+function changed(prev, next) {
+    const out = {};
+    for (const [k, v] of Object.entries(next || {})) {
+        if (JSON.stringify(prev?.[k]) !== JSON.stringify(v)) out[k] = v;
+    }
+    return out;
+}
+
+// ─── Webhook Subscriptions ───────────────────────────────────────────────────
+
+// Subscription state is per-server and must never be edge cached
+app.use('/api/subscriptions', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+// Register a push subscriber for alert transitions (raised/escalated/downgraded/cleared)
+app.post('/api/subscriptions', (req, res) => {
+    try {
+        const sub = subscriptions.create(req.body);
+        res.status(201).json(sub);
+    } catch (e) {
+        if (e instanceof subscriptions.ValidationError) return res.status(400).json({ error: e.message });
+        res.status(500).json({ error: 'Failed to create subscription' });
+    }
+});
+
+app.get('/api/subscriptions', (req, res) => {
+    res.json({ subscriptions: subscriptions.list() });
+});
+
+// Single subscription with its delivery log
+app.get('/api/subscriptions/:id', (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    res.json(sub);
+});
+
+app.delete('/api/subscriptions/:id', (req, res) => {
+    if (!subscriptions.remove(req.params.id)) return res.status(404).json({ error: 'Subscription not found' });
+    res.json({ success: true });
+});
+
+// ─── Notification Channels ───────────────────────────────────────────────────
+
+app.use('/api/notifiers', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+// Every channel: routing, quiet hours, rate limit, templates, queue state (secrets masked)
+app.get('/api/notifiers', (req, res) => {
+    try { res.json(notifier.describe()); }
+    catch (e) { res.status(500).json({ error: 'Notifier config unavailable', message: e.message }); }
+});
+
+// One channel with its delivery log and a preview of its templates
+app.get('/api/notifiers/:name', (req, res) => {
+    const channel = notifier.get(req.params.name);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    res.json(channel);
+});
+
+// Create or update a channel: { type, settings..., min_severity, alert_ids, events, quiet_hours, rate_limit, templates }
+app.put('/api/notifiers/:name', (req, res) => {
+    try {
+        res.json(notifier.update(req.params.name, req.body));
+    } catch (e) {
+        if (e instanceof notifier.ValidationError) return res.status(400).json({ error: e.message });
+        res.status(500).json({ error: 'Failed to save notifier config' });
+    }
+});
+
+app.delete('/api/notifiers/:name', (req, res) => {
+    if (!notifier.remove(req.params.name)) return res.status(404).json({ error: 'Channel not found' });
+    res.json({ success: true });
+});
+
+// Send a sample alert through the channel now (ignores routing, quiet hours and rate limit)
+app.post('/api/notifiers/:name/test', async (req, res) => {
+    try {
+        const delivery = await notifier.test(req.params.name);
+        if (!delivery) return res.status(404).json({ error: 'Channel not found' });
+        res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+    } catch (e) {
+        res.status(500).json({ error: 'Test notification failed', message: e.message });
+    }
+});
+
+// ─── Threshold Profiles ──────────────────────────────────────────────────────
+
+app.use('/api/thresholds', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+// All profiles: overrides and effective alert thresholds / risk cut-offs
+app.get('/api/thresholds', (req, res) => {
+    try { res.json(profiles.describe()); }
+    catch (e) { res.status(500).json({ error: 'Threshold config unavailable', message: e.message }); }
+});
+
+// Create or replace a profile: { profile, description, alerts: {...}, risk: {...}, default }
+app.put('/api/thresholds', (req, res) => {
+    try {
+        const actor = req.auth?.user || (API_KEY ? 'api-key' : null) || req.ip;
+        const profile = profiles.update(req.body, actor);
+        // Re-evaluate the current data under the new thresholds
+        if (memoryCache.data) {
+            memoryCache.profiles = { ...memoryCache.profiles, [profile.name]: evaluateProfile(profile.name, memoryCache.data, memoryCache.history) };
+            if (profile.name === profiles.defaultName()) {
+                memoryCache.evaluation = memoryCache.profiles[profile.name].evaluation;
+                memoryCache.risk = memoryCache.profiles[profile.name].risk;
+            }
+        }
+        res.json(profile);
+    } catch (e) {
+        if (e instanceof profiles.ValidationError) return res.status(400).json({ error: e.message });
+        res.status(500).json({ error: 'Failed to save thresholds' });
+    }
+});
+
+// Who changed what, newest first
+app.get('/api/thresholds/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ entries: profiles.auditTrail(limit) });
+});
+
+// ─── Feed Health ─────────────────────────────────────────────────────────────
+
+// Per-feed last success/failure, latency percentiles and circuit breakers.
+// 503 when half the feeds are down (or with ?strict=1, when any is degraded)
+app.get('/api/health', async (req, res) => {
+    let c = memoryCache;
+    try {
+        c = await getFreshData();
+    } catch (e) {
+        // Report whatever the breakers know even if this refresh failed
+    }
+    const report = extractor.healthReport();
+    const strict = req.query.strict === '1' || req.query.strict === 'true';
+    const failing = report.status === 'down' || (strict && report.status === 'degraded');
+
+    res.set('Cache-Control', 'no-store');
+    res.status(failing ? 503 : 200).json({
+        status: report.status,
+        checked_at: new Date().toISOString(),
+        last_fetch: c.lastFetchBaseMs ? new Date(c.lastFetchBaseMs).toISOString() : null,
+        cache_age_seconds: c.lastFetchBaseMs ? Math.round((Date.now() - c.lastFetchBaseMs) / 1000) : null,
+        served_from_cache: c.data?.served_from_cache || [],
+        feeds: report.feeds,
+    });
+});
+
+// ─── Prometheus Metrics ──────────────────────────────────────────────────────
+
+// Text exposition of values, severities, cache age and feed health
+app.get('/metrics', async (req, res) => {
+    let cache = memoryCache;
+    try {
+        cache = await getFreshData();
+    } catch (e) {
+        // Still expose cache age and feed error counters when NOAA is unreachable
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(exporter.render(cache));
 });
 
 // Manual re-fetch trigger (bypass cache)
 app.post('/api/fetch', async (req, res) => {
     memoryCache.lastFetchBaseMs = 0; // Invalidate memory cache
     // Also delete blob if we want to force full NOAA refresh
-    if (process.env.BLOB_READ_WRITE_TOKEN) {
+    if (useBlob) {
         try {
             const { del } = require('@vercel/blob');
             await del('noaa-cache.json');
@@ -254,6 +1002,22 @@ app.post('/api/fetch', async (req, res) => {
 // ─── Start Server ────────────────────────────────────────────────────────────
 
 async function main() {
+    // --replay <bundle> serves recorded NOAA data from a local stand-in; --record captures live responses
+    const session = await replay.setupFromArgs(process.argv);
+    if (session.mode === 'replay') {
+        cacheTtl = session.speed > 0 ? Math.max(1000, CACHE_TTL / session.speed) : Infinity;
+        useBlob = false;
+        // Keep replayed series, alert state and events out of the live state files
+        store = replay.createReplayStore(session, storeOptions);
+        newTracker = () => createTracker();
+        flareCatalogue = flares.createFlareCatalogue();
+        protonCatalogue = protons.createProtonCatalogue();
+    }
+
+    // Fail fast on an invalid threshold or notifier config
+    console.log(`🎚️  Threshold profiles: ${profiles.names().join(', ')} (default: ${profiles.defaultName()})`);
+    console.log(`📣 Notifier channels: ${notifier.names().join(', ') || 'none'} (${notifier.CONFIG_FILE})`);
+
     console.log('┌──────────────────────────────────────────────────────────────┐');
     console.log('│  🛰️  NOAA Space Weather Server (Serverless-Ready)            │');
     console.log(`│  http://localhost:${PORT}                                      │`);
@@ -263,7 +1027,9 @@ async function main() {
     app.listen(PORT, () => {
         console.log(`\n🌐 Dashboard: http://localhost:${PORT}`);
         console.log(`📡 Webhook:   http://localhost:${PORT}/api/status`);
-        console.log(`🚨 Alerts:    http://localhost:${PORT}/api/alerts\n`);
+        console.log(`🚨 Alerts:    http://localhost:${PORT}/api/alerts`);
+        console.log(`🛡️  Risk:      http://localhost:${PORT}/api/risk`);
+        console.log(`📈 Metrics:   http://localhost:${PORT}/metrics\n`);
     });
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Minimal SMTP Client
+ *
+ * Sends plain-text mail for the email notifier without a mail dependency.
+ * Supports implicit TLS (port 465), STARTTLS when the server offers it,
+ * and AUTH PLAIN. The body is UTF-8, base64 encoded so emoji and long
+ * alert details survive any relay.
+ *
+ * Protocol reference: RFC 5321 (SMTP), RFC 3207 (STARTTLS), RFC 4954 (AUTH)
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const SMTP_TIMEOUT_MS = 15000;
+
+// ─── Client ──────────────────────────────────────────────────────────────────
+
+/**
+ * Send one message.
+ * @param {Object} server - { host, port, secure (implicit TLS), starttls (default true), user, pass, reject_unauthorized }
+ * @param {Object} mail - { from, to: [addresses], subject, text }
+ * @returns {Promise<Object>} { response } — the server's reply to the message data
+ */
+async function sendMail(server, mail) {
+    const port = server.port || (server.secure ? 465 : 587);
+    const tlsOptions = { servername: server.host, rejectUnauthorized: server.reject_unauthorized !== false };
+    let socket = await connect(server.host, port, server.secure ? tlsOptions : null);
+    let conn = createConnection(socket);
+
+    try {
+        await conn.expect(220);
+        let ehlo = await conn.command(`EHLO ${os.hostname()}`, 250);
+
+        if (!server.secure && server.starttls !== false && /^STARTTLS$/im.test(ehlo.text)) {
+            await conn.command('STARTTLS', 220);
+            conn.detach();
+            socket = await upgrade(socket, tlsOptions);
+            conn = createConnection(socket);
+            ehlo = await conn.command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (server.user) {
+            const token = Buffer.from(`\0${server.user}\0${server.pass || ''}`).toString('base64');
+            await conn.command(`AUTH PLAIN ${token}`, 235);
+        }
+
+        await conn.command(`MAIL FROM:<${address(mail.from)}>`, 250);
+        for (const to of mail.to) await conn.command(`RCPT TO:<${address(to)}>`, [250, 251]);
+        await conn.command('DATA', 354);
+        const reply = await conn.command(dotStuff(buildMessage(mail)) + '\r\n.', 250);
+        await conn.command('QUIT', 221).catch(() => { });
+        return { response: reply.text };
+    } finally {
+        socket.destroy();
+    }
+}
+
+function connect(host, port, tlsOptions) {
+    return new Promise((resolve, reject) => {
+        const socket = tlsOptions
+            ? tls.connect({ host, port, ...tlsOptions }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timeout talking to ${host}:${port}`)));
+        socket.once('error', reject);
+    });
+}
+
+function upgrade(socket, tlsOptions) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, ...tlsOptions }, () => resolve(secure));
+        secure.setTimeout(SMTP_TIMEOUT_MS, () => secure.destroy(new Error('SMTP timeout after STARTTLS')));
+        secure.once('error', reject);
+    });
+}
+
+/**
+ * Line reader / command writer over one socket. Replies are collected until
+ * the final line of a (possibly multi-line) response: "250 OK" vs "250-…".
+ */
+function createConnection(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    let waiting = null;
+    let failure = null;
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf-8');
+        let idx;
+        while ((idx = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), text: lines.map(l => l.slice(4)).join('\n') };
+                lines = [];
+                if (waiting) { const w = waiting; waiting = null; w.resolve(reply); }
+                else replies.push(reply);
+            }
+        }
+    }
+
+    function onError(err) {
+        failure = err;
+        if (waiting) { const w = waiting; waiting = null; w.reject(err); }
+    }
+
+    function onClose() {
+        onError(failure || new Error('SMTP connection closed'));
+    }
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    function expect(codes) {
+        const ok = [].concat(codes);
+        return new Promise((resolve, reject) => {
+            if (replies.length > 0) return resolve(replies.shift());
+            if (failure) return reject(failure);
+            waiting = { resolve, reject };
+        }).then(reply => {
+            if (!ok.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+            return reply;
+        });
+    }
+
+    function command(line, codes) {
+        const reply = expect(codes);
+        socket.write(line + '\r\n');
+        return reply;
+    }
+
+    // Hand the socket over (to the TLS upgrade) without reacting to its events
+    function detach() {
+        socket.off('data', onData);
+        socket.off('error', onError);
+        socket.off('close', onClose);
+    }
+
+    return { expect, command, detach };
+}
+
+// ─── Message ─────────────────────────────────────────────────────────────────
+
+function buildMessage(mail) {
+    const from = address(mail.from);
+    const body = Buffer.from(mail.text, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${mail.from}`,
+        `To: ${mail.to.join(', ')}`,
+        `Subject: ${encodeHeader(mail.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${from.split('@')[1] || 'localhost'}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body,
+    ].join('\r\n');
+}
+
+// RFC 2047 encoded-word for non-ASCII subjects
+function encodeHeader(value) {
+    const s = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf-8').toString('base64')}?=`;
+}
+
+// Leading dots are doubled so a line holding "." can't end the DATA early
+function dotStuff(message) {
+    return message.replace(/^\./gm, '..');
+}
+
+// "Ops <ops@example.com>" → "ops@example.com"
+function address(value) {
+    const m = /<([^>]+)>/.exec(value);
+    return (m ? m[1] : String(value)).trim();
+}
+
+module.exports = { sendMail };
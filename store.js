@@ -0,0 +1,249 @@
+/**
+ * NOAA Space Weather Time-Series Store
+ *
+ * Embedded on-disk store built from segmented JSONL files — one directory
+ * per series, one file per UTC day:
+ *
+ *   data/timeseries/<series>/<YYYY-MM-DD>.jsonl
+ *
+ * Points are de-duplicated by their time tag, each series has its own
+ * retention, and range queries only open the day segments they need.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Series Definitions ──────────────────────────────────────────────────────
+
+/**
+ * Stored series, their value fields and default retention (days).
+ * `history` is the fetchRawHistory() key that feeds the series (if any);
+ * every series also receives the latest point from fetchAll().data.
+ * `renamed` maps a field to the name older rows stored it under, so rows
+ * written before a field change still read back in the current shape.
+ */
+const SERIES = {
+    solar_wind_mag: { history: 'solarWindMag', fields: ['bx_gsm', 'by_gsm', 'bz_gsm', 'bt'], retentionDays: 30 },
+    solar_wind_plasma: { history: 'solarWindPlasma', fields: ['density', 'speed', 'temperature'], retentionDays: 30 },
+    kp_index_1m: { history: 'kpIndex', fields: ['kp_index', 'estimated_kp'], retentionDays: 90 },
+    kp_index_official: { fields: ['kp_value'], retentionDays: 365 },
+    xray_flux: { history: 'xrays', fields: ['flux'], retentionDays: 90 },
+    xray_flux_short: { history: 'xraysShort', fields: ['flux'], retentionDays: 90 },
+    proton_flux: { history: 'protons', fields: ['flux'], retentionDays: 180 },
+    proton_flux_50: { history: 'protons50', fields: ['flux'], retentionDays: 180 },
+    proton_flux_100: { history: 'protons100', fields: ['flux'], retentionDays: 180 },
+    electron_flux: { history: 'electrons', fields: ['flux'], retentionDays: 180 },
+    electron_flux_08: { history: 'electrons08', fields: ['flux'], retentionDays: 180 },
+    f107_flux: { fields: ['flux'], retentionDays: 730 },
+    // Before the full table was parsed only its last column — the southern
+    // hemisphere — was kept, as hemispheric_power_gw
+    aurora_power: { history: 'auroraPower', fields: ['north_gw', 'south_gw'], renamed: { south_gw: 'hemispheric_power_gw' }, retentionDays: 90 },
+    solar_wind_derived: { history: 'solarWindDerived', fields: ['dynamic_pressure_npa', 'clock_angle_deg', 'newell_coupling', 'standoff_re', 'dst_estimate'], retentionDays: 30 },
+};
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create a time-series store rooted at `dir`.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Root directory (default: data/timeseries)
+ * @param {Object} [options.retentionDays] - Per-series retention overrides, e.g. { xray_flux: 365 }
+ * @param {Function} [options.clock] - Current time in ms that retention is measured from
+ *                                     (default Date.now; replay passes its virtual clock)
+ */
+function createStore(options = {}) {
+    const dir = options.dir || path.join(__dirname, 'data', 'timeseries');
+    const clock = options.clock || Date.now;
+    const retention = Object.fromEntries(
+        Object.entries(SERIES).map(([name, def]) => [name, options.retentionDays?.[name] ?? def.retentionDays])
+    );
+
+    // segment file → Set of time tags already written (lazy-loaded)
+    const segmentKeys = new Map();
+
+    /**
+     * Append points to a series, skipping time tags already stored.
+     * @param {string} series - Series name (key of SERIES)
+     * @param {Array} points - [{ time, ...fields }]
+     * @returns {number} Points actually written
+     */
+    function append(series, points) {
+        const def = Object.hasOwn(SERIES, series) ? SERIES[series] : null;
+        if (!def || !points || points.length === 0) return 0;
+
+        // Group new rows by day segment, skipping anything already past retention
+        const cutoff = clock() - retention[series] * DAY_MS;
+        const bySegment = new Map();
+        for (const p of points) {
+            const time = normalizeTime(p.time ?? p.time_tag);
+            if (!time || Date.parse(time) < cutoff) continue;
+            const file = segmentFile(series, time);
+            const keys = loadKeys(file);
+            if (keys.has(time)) continue;
+            keys.add(time);
+
+            const row = { time };
+            for (const f of def.fields) row[f] = p[f] ?? null;
+            if (!bySegment.has(file)) bySegment.set(file, []);
+            bySegment.get(file).push(JSON.stringify(row));
+        }
+
+        let written = 0;
+        for (const [file, lines] of bySegment) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, lines.join('\n') + '\n', 'utf-8');
+            written += lines.length;
+        }
+        return written;
+    }
+
+    /**
+     * Ingest one extraction cycle: the full fetchRawHistory() arrays plus the
+     * latest points from fetchAll(). Also applies retention.
+     * @returns {Object} { series: pointsWritten }
+     */
+    function ingest(result, history) {
+        const written = {};
+        for (const [name, def] of Object.entries(SERIES)) {
+            const points = [];
+            if (history && def.history && Array.isArray(history[def.history])) {
+                points.push(...history[def.history]);
+            }
+            const latest = result?.data?.[name];
+            if (latest) {
+                // Every stored feed tags its latest point; extraction_time only covers a reading without one
+                points.push({ time: latest.time_tag || result.extraction_time, ...latest });
+            }
+            const n = append(name, points);
+            if (n > 0) written[name] = n;
+        }
+        prune();
+        return written;
+    }
+
+    /**
+     * Read a series between two instants (inclusive), oldest first.
+     * @param {string} series
+     * @param {Object} [range] - { from, to } as Date, ms or ISO strings
+     * @param {Array} [fields] - Restrict rows to these value fields
+     */
+    function query(series, range = {}, fields = null) {
+        if (!Object.hasOwn(SERIES, series)) return [];
+        const from = range.from != null ? new Date(range.from).getTime() : -Infinity;
+        const to = range.to != null ? new Date(range.to).getTime() : Infinity;
+
+        const rows = [];
+        for (const day of listSegments(series)) {
+            const dayStart = Date.parse(day + 'T00:00:00Z');
+            if (dayStart + DAY_MS <= from || dayStart > to) continue;
+
+            const text = fs.readFileSync(path.join(dir, series, day + '.jsonl'), 'utf-8');
+            for (const line of text.split('\n')) {
+                if (!line) continue;
+                let row;
+                try { row = JSON.parse(line); } catch (e) { continue; }
+                const t = Date.parse(row.time);
+                if (t < from || t > to) continue;
+                row = upgrade(SERIES[series], row);
+                rows.push(fields ? pick(row, fields) : row);
+            }
+        }
+        return rows.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+    }
+
+    /**
+     * Delete day segments older than each series' retention.
+     */
+    function prune(now = clock()) {
+        for (const series of Object.keys(SERIES)) {
+            const cutoff = now - retention[series] * DAY_MS;
+            for (const day of listSegments(series)) {
+                if (Date.parse(day + 'T00:00:00Z') + DAY_MS > cutoff) continue;
+                const file = path.join(dir, series, day + '.jsonl');
+                fs.unlinkSync(file);
+                segmentKeys.delete(file);
+            }
+        }
+    }
+
+    /**
+     * Describe every series: fields, retention and stored time span.
+     */
+    function catalogue() {
+        return Object.entries(SERIES).map(([name, def]) => {
+            const days = listSegments(name);
+            const first = days.length ? query(name, { to: Date.parse(days[0] + 'T00:00:00Z') + DAY_MS - 1 })[0] : null;
+            const last = days.length ? query(name, { from: Date.parse(days[days.length - 1] + 'T00:00:00Z') }).pop() : null;
+            return {
+                series: name,
+                fields: def.fields,
+                retention_days: retention[name],
+                segments: days.length,
+                first: first?.time || null,
+                last: last?.time || null,
+            };
+        });
+    }
+
+    // ── Internals ──
+
+    function segmentFile(series, isoTime) {
+        return path.join(dir, series, isoTime.slice(0, 10) + '.jsonl');
+    }
+
+    function loadKeys(file) {
+        if (segmentKeys.has(file)) return segmentKeys.get(file);
+        const keys = new Set();
+        if (fs.existsSync(file)) {
+            for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+                const m = line.match(/^\{"time":"([^"]+)"/);
+                if (m) keys.add(m[1]);
+            }
+        }
+        segmentKeys.set(file, keys);
+        return keys;
+    }
+
+    function listSegments(series) {
+        const seriesDir = path.join(dir, series);
+        if (!fs.existsSync(seriesDir)) return [];
+        return fs.readdirSync(seriesDir)
+            .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+            .map(f => f.slice(0, 10))
+            .sort();
+    }
+
+    return { append, ingest, query, prune, catalogue, retention };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+/**
+ * Normalise NOAA time tags ("2026-02-20 13:30:00.000", "2026-02-20T13:30:00Z")
+ * to ISO-8601 UTC without milliseconds.
+ */
+function normalizeTime(t) {
+    if (!t) return null;
+    const s = String(t).trim().replace(' ', 'T');
+    const ms = Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(s) ? s : s + 'Z');
+    if (isNaN(ms)) return null;
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// A stored row in the series' current shape (renamed fields mapped, missing fields null)
+function upgrade(def, row) {
+    if (!def.renamed) return row;
+    const out = { time: row.time };
+    for (const f of def.fields) out[f] = row[f] ?? row[def.renamed[f]] ?? null;
+    return out;
+}
+
+function pick(row, fields) {
+    const out = { time: row.time };
+    for (const f of fields) out[f] = row[f] ?? null;
+    return out;
+}
+
+module.exports = { createStore, SERIES, normalizeTime };
@@ -0,0 +1,271 @@
+/**
+ * NOAA Space Weather Webhook Subscriptions
+ *
+ * Keeps a registry of outbound webhook subscribers, diffs successive
+ * alerts.evaluate() results into raised / escalated / downgraded / cleared
+ * events, and POSTs them as HMAC-signed JSON with retry and backoff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { SEV, alertKey } = require('./alerts');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
+
+const USER_AGENT = 'NOAASpaceWeatherExtractor/1.0 (spaceweather@example.com)';
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000;  // 1s, 2s, 4s, 8s between attempts
+const LOG_LIMIT = 50;          // Delivery log entries kept per subscription
+
+const EVENT_TYPES = ['raised', 'escalated', 'downgraded', 'cleared'];
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+let subscriptions = null;
+
+function load() {
+    if (subscriptions) return subscriptions;
+    try {
+        subscriptions = JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf-8'));
+    } catch (e) {
+        subscriptions = [];
+    }
+    return subscriptions;
+}
+
+function save() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2), 'utf-8');
+}
+
+/**
+ * Validate and register a new subscription.
+ * @param {Object} input - { url, min_severity?, alert_ids?, secret? }
+ * @returns {Object} The stored subscription (including its secret)
+ */
+function create(input = {}) {
+    const { url, min_severity = 'INFO', alert_ids = [], secret } = input;
+
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { parsed = null; }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ValidationError('`url` must be an absolute http(s) URL');
+    }
+    if (!SEV[min_severity]) {
+        throw new ValidationError(`\`min_severity\` must be one of ${Object.keys(SEV).join(', ')}`);
+    }
+    if (!Array.isArray(alert_ids) || alert_ids.some(id => typeof id !== 'string')) {
+        throw new ValidationError('`alert_ids` must be an array of alert id strings');
+    }
+    if (secret != null && (typeof secret !== 'string' || secret.length === 0)) {
+        throw new ValidationError('`secret` must be a non-empty string (omit it to have one generated)');
+    }
+
+    const sub = {
+        id: crypto.randomUUID(),
+        url: parsed.toString(),
+        min_severity,
+        alert_ids,
+        secret: secret ?? crypto.randomBytes(24).toString('hex'),
+        created_at: new Date().toISOString(),
+        deliveries: [],
+    };
+
+    load().push(sub);
+    save();
+    return sub;
+}
+
+function list() {
+    return load().map(redact);
+}
+
+function get(id) {
+    const sub = load().find(s => s.id === id);
+    return sub ? redact(sub) : null;
+}
+
+function remove(id) {
+    const subs = load();
+    const idx = subs.findIndex(s => s.id === id);
+    if (idx === -1) return false;
+    subs.splice(idx, 1);
+    save();
+    return true;
+}
+
+// The shared secret is only returned once, on creation
+function redact({ secret, ...sub }) {
+    return sub;
+}
+
+// ─── Transition Diffing ──────────────────────────────────────────────────────
+
+/**
+ * Compare two alerts.evaluate() results and list alert state transitions.
+ * @param {Object|null} prev - Previous evaluation ({ alerts })
+ * @param {Object} next - New evaluation ({ alerts })
+ * @returns {Array} [{ type, alert, previous_severity }]
+ */
+function diffAlerts(prev, next) {
+    const before = new Map((prev?.alerts || []).map(a => [alertKey(a), a]));
+    const after = new Map((next?.alerts || []).map(a => [alertKey(a), a]));
+    const events = [];
+
+    for (const [key, alert] of after) {
+        const old = before.get(key);
+        if (!old) {
+            events.push({ type: 'raised', alert, previous_severity: null });
+        } else if (alert.severity.level > old.severity.level) {
+            events.push({ type: 'escalated', alert, previous_severity: old.severity });
+        } else if (alert.severity.level < old.severity.level) {
+            events.push({ type: 'downgraded', alert, previous_severity: old.severity });
+        }
+    }
+
+    for (const [key, old] of before) {
+        if (!after.has(key)) {
+            events.push({ type: 'cleared', alert: old, previous_severity: old.severity });
+        }
+    }
+
+    return events;
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+/**
+ * Diff two evaluations and deliver the resulting events to every matching
+ * subscriber. Resolves once all deliveries (including retries) have settled.
+ */
+async function notify(prev, next) {
+    const events = diffAlerts(prev, next);
+    if (events.length === 0) return [];
+
+    const jobs = [];
+    for (const sub of load()) {
+        for (const event of events) {
+            if (matches(sub, event)) jobs.push(deliver(sub, event));
+        }
+    }
+    return Promise.allSettled(jobs);
+}
+
+function matches(sub, event) {
+    // For cleared alerts, match on the severity the alert had while active
+    const sev = event.type === 'cleared' ? event.previous_severity : event.alert.severity;
+    if (sev.level < SEV[sub.min_severity].level) return false;
+    return sub.alert_ids.length === 0 || sub.alert_ids.includes(event.alert.id);
+}
+
+/**
+ * POST a single event to a subscriber, retrying with exponential backoff,
+ * and append the outcome to the subscription's delivery log.
+ */
+async function deliver(sub, event) {
+    const payload = {
+        event: event.type,
+        subscription_id: sub.id,
+        timestamp: new Date().toISOString(),
+        alert: {
+            id: event.alert.id,
+            severity: event.alert.severity.label,
+            emoji: event.alert.severity.emoji,
+            message: event.alert.message,
+            details: event.alert.details,
+            scale: event.alert.scale || null,
+            eta: event.alert.eta || null,
+            event: event.alert.event || null,
+            hemisphere: event.alert.hemisphere || null,
+            first_seen: event.alert.first_seen,
+            last_seen: event.alert.last_seen,
+            peak_value: event.alert.peak_value,
+            duration: event.alert.duration,
+        },
+        previous_severity: event.previous_severity ? event.previous_severity.label : null,
+    };
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', sub.secret).update(body).digest('hex');
+
+    const entry = {
+        id: crypto.randomUUID(),
+        event: event.type,
+        alert_id: event.alert.id,
+        attempts: 0,
+        status: 'pending',
+        response_status: null,
+        error: null,
+        started_at: payload.timestamp,
+        finished_at: null,
+    };
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        entry.attempts = attempt;
+        try {
+            const res = await post(sub.url, body, {
+                'X-Webhook-Event': event.type,
+                'X-Webhook-Delivery': entry.id,
+                'X-Webhook-Signature': `sha256=${signature}`,
+            });
+            entry.response_status = res.status;
+            if (res.ok) {
+                entry.status = 'delivered';
+                entry.error = null;
+                break;
+            }
+            entry.error = `HTTP ${res.status}`;
+            // Client errors other than 408/429 will not succeed on retry
+            if (res.status < 500 && res.status !== 408 && res.status !== 429) break;
+        } catch (err) {
+            entry.error = err.message;
+        }
+        if (attempt < MAX_ATTEMPTS) await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    }
+
+    if (entry.status !== 'delivered') entry.status = 'failed';
+    entry.finished_at = new Date().toISOString();
+    record(sub.id, entry);
+
+    if (entry.status === 'failed') {
+        console.error(`Webhook delivery to ${sub.url} failed after ${entry.attempts} attempt(s): ${entry.error}`);
+    }
+    return entry;
+}
+
+async function post(url, body, headers) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT, ...headers },
+            body,
+            signal: controller.signal,
+        });
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+function record(subId, entry) {
+    // The subscription may have been deleted while the delivery was retrying
+    const sub = load().find(s => s.id === subId);
+    if (!sub) return;
+    sub.deliveries.unshift(entry);
+    sub.deliveries.length = Math.min(sub.deliveries.length, LOG_LIMIT);
+    save();
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ValidationError extends Error { }
+
+module.exports = { create, list, get, remove, diffAlerts, notify, EVENT_TYPES, ValidationError };
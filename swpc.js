@@ -0,0 +1,312 @@
+/**
+ * NOAA SWPC Issued Products (Alerts, Watches, Warnings, Summaries)
+ *
+ * Parses the messages in SWPC's alerts.json product list into structured
+ * records and cross-references each with what our own feeds observed:
+ *
+ *   Space Weather Message Code: WARK05          → code
+ *   Serial Number: 1234                         → serial
+ *   Issue Time: 2024 May 10 1638 UTC            → issue_time
+ *   WARNING: Geomagnetic K-index of 5 expected  → kind, action, headline
+ *   Valid From / Valid To / Now Valid Until     → valid_from, valid_to
+ *   Begin / Maximum / End Time, NOAA Scale, …   → fields
+ *
+ * Extended warnings supersede the serial they extend and cancellations
+ * cancel theirs, so every record carries a status against the current time:
+ * active | upcoming | expired | superseded | cancelled | issued (alerts and
+ * summaries, which report an observation rather than a validity window).
+ */
+
+const { normalizeTime } = require('./store');
+
+const HOUR = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR;
+
+// Alerts are issued once a threshold is confirmed — up to one 3-hour
+// synoptic period after our 1-minute data first crossed it
+const ALERT_LEAD_MS = 3 * HOUR;
+
+// Alerts and summaries stay in the Alert Center this long after issue
+const RECENT_MS = DAY_MS;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Local measurements a product family can be checked against:
+//   history — live history key, value — reading of one row, alerts — our alert ids for the same hazard
+const METRICS = {
+    kp: { label: 'Kp', unit: '', history: 'kpIndex', value: r => r.estimated_kp ?? r.kp_index, alerts: ['GEOMAG_STORM_ACTIVE', 'GEOMAG_STORM_IMMINENT', 'GEOMAG_STORM_FORECAST'] },
+    xray: { label: 'X-ray flux (0.1–0.8 nm)', unit: 'W/m²', history: 'xrays', value: r => r.flux, alerts: ['RADIO_BLACKOUT', 'FLARE_FORECAST'] },
+    proton10: { label: '≥10 MeV proton flux', unit: 'pfu', history: 'protons', value: r => r.flux, alerts: ['RADIATION_STORM', 'PROTON_EVENT_FORECAST'] },
+    proton100: { label: '≥100 MeV proton flux', unit: 'pfu', history: 'protons100', value: r => r.flux, alerts: ['HIGH_ENERGY_PROTONS'] },
+    electron2: { label: '≥2 MeV electron flux', unit: 'pfu', history: 'electrons', value: r => r.flux, alerts: ['DIELECTRIC_CHARGING', 'ELECTRON_FLUENCE_HIGH'] },
+};
+
+// Product code → metric and threshold. Codes without an entry (sudden
+// impulses, radio bursts, Type II/IV sweeps) have no local counterpart.
+const FAMILIES = [
+    // ALTK05 / WARK05 / EXTK05 — K-index of N (reached / expected)
+    { pattern: /^(?:ALT|WAR|EXT)K0(\d)$/, metric: 'kp', threshold: (m) => Number(m[1]) },
+    // WATA20 / 30 / 50 / 99 — geomagnetic storm watch; threshold from the highest G level predicted
+    { pattern: /^WATA\d{2}$/, metric: 'kp', threshold: (m, rec) => (gLevel(rec) ? gLevel(rec) + 4 : 5) },
+    // ALTXMF / SUMX01 — X-ray flux exceeded M5
+    { pattern: /^(?:ALTXMF|SUMX01)$/, metric: 'xray', threshold: () => 5e-5 },
+    // ALTPX1–4 / WARPX1–4 / SUMPX1–4 — ≥10 MeV protons at 10, 100, 1000, 10000 pfu
+    { pattern: /^(?:ALT|WAR|SUM)PX(\d)$/, metric: 'proton10', threshold: (m) => Math.pow(10, Number(m[1])) },
+    // ALTPC0 / WARPC0 / SUMPC0 — ≥100 MeV protons at 1 pfu
+    { pattern: /^(?:ALT|WAR|SUM)PC0$/, metric: 'proton100', threshold: () => 1 },
+    // ALTEF3 / CONEF3 — ≥2 MeV electrons at 1000 pfu (and its daily continuation)
+    { pattern: /^(?:ALT|CON)EF3$/, metric: 'electron2', threshold: () => 1000 },
+];
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the alerts.json product list.
+ * @param {Array} arr - [{ product_id, issue_datetime, message }]
+ * @returns {Array} Records, newest first (messages without a code are skipped)
+ */
+function parseProducts(arr) {
+    return (arr || [])
+        .map(parseProduct)
+        .filter(Boolean)
+        .sort((a, b) => (b.issue_time || '').localeCompare(a.issue_time || '') || Number(b.serial) - Number(a.serial));
+}
+
+/**
+ * Parse one SWPC message.
+ * @param {Object} item - { product_id, issue_datetime, message }
+ * @returns {Object|null} Record (without status / local — see annotate())
+ */
+function parseProduct(item) {
+    const text = String(item?.message || '').replace(/\r\n?/g, '\n').trim();
+    const fields = {};
+    let headline = null;
+    for (const line of text.split('\n').map(l => l.trim())) {
+        const h = /^((?:CONTINUED|EXTENDED|CANCEL)\s+)?(ALERT|WARNING|WATCH|SUMMARY):\s*(.*)$/.exec(line);
+        if (h && !headline) {
+            headline = { action: h[1] ? ACTIONS[h[1].trim()] : 'issued', kind: h[2].toLowerCase(), text: h[3] };
+            continue;
+        }
+        const f = /^([A-Za-z0-9][A-Za-z0-9 ./()-]*?):\s+(\S.*)$/.exec(line);
+        if (f && !(f[1] in fields)) fields[f[1]] = f[2].trim();
+    }
+
+    const code = fields['Space Weather Message Code'] || item?.product_id || null;
+    if (!code) return null;
+    const issue = parseSwpcTime(fields['Issue Time']) || normalizeTime(item.issue_datetime);
+    const serial = fields['Serial Number'] || null;
+
+    const rec = {
+        id: `${code}-${serial ?? issue}`,
+        code,
+        serial,
+        issue_time: issue,
+        kind: headline ? headline.kind : 'message',
+        action: headline ? headline.action : 'issued',
+        headline: headline ? headline.text : null,
+        scale: /\b([GRS][1-5])\b/.exec(fields['NOAA Scale'] || '')?.[1] || null,
+        valid_from: parseSwpcTime(fields['Valid From']),
+        valid_to: parseSwpcTime(fields['Now Valid Until'] || fields['Valid To']),
+        begin_time: parseSwpcTime(fields['Begin Time']),
+        maximum_time: parseSwpcTime(fields['Maximum Time']),
+        end_time: parseSwpcTime(fields['End Time']),
+        threshold_time: parseSwpcTime(fields['Threshold Reached']),
+        // Serial this message extends, cancels or continues
+        refers_to: fields['Extension to Serial Number'] || fields['Cancel Serial Number'] || fields['Continuation of Serial Number'] || null,
+        fields: omit(fields, ['Space Weather Message Code', 'Serial Number', 'Issue Time']),
+        body: bodyOf(text),
+    };
+
+    // Watches list the days they cover instead of a validity window
+    if (rec.kind === 'watch' && !rec.valid_to) Object.assign(rec, watchWindow(text, issue));
+    return rec;
+}
+
+const ACTIONS = { CONTINUED: 'continued', EXTENDED: 'extended', CANCEL: 'cancel' };
+
+/**
+ * "2024 May 10 1638 UTC" → ISO time (null if it doesn't parse).
+ */
+function parseSwpcTime(value) {
+    const m = /^(\d{4})\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2})(\d{2})\s*UTC/.exec(String(value || '').trim());
+    if (!m || !MONTHS.includes(m[2])) return null;
+    return isoTime(Date.UTC(Number(m[1]), MONTHS.indexOf(m[2]), Number(m[3]), Number(m[4]), Number(m[5])));
+}
+
+// "Highest Storm Level Predicted by Day: May 10: G4 (Severe) May 11: G3 …"
+// → the listed days as { valid_from, valid_to, predicted: { '2024-05-10': 'G4' } }
+function watchWindow(text, issue) {
+    if (!issue) return {};
+    const issued = new Date(issue);
+    const predicted = {};
+    const days = [];
+    for (const m of text.matchAll(/\b([A-Z][a-z]{2})\s+(\d{1,2}):\s+(G[1-5]|None)\b/g)) {
+        if (!MONTHS.includes(m[1])) continue;
+        let year = issued.getUTCFullYear();
+        // A watch issued on 31 Dec may cover 1 Jan
+        if (MONTHS.indexOf(m[1]) < issued.getUTCMonth() - 6) year++;
+        const day = Date.UTC(year, MONTHS.indexOf(m[1]), Number(m[2]));
+        days.push(day);
+        predicted[isoTime(day).slice(0, 10)] = m[3] === 'None' ? null : m[3];
+    }
+    if (days.length === 0) return {};
+    return {
+        valid_from: isoTime(Math.min(...days)),
+        valid_to: isoTime(Math.max(...days) + DAY_MS),
+        predicted,
+    };
+}
+
+// Highest G level named by a watch (its predicted days, its scale or its headline)
+function gLevel(rec) {
+    const levels = [...Object.values(rec.predicted || {}), rec.scale, ...((rec.headline || '').match(/\bG[1-5]\b/g) || [])]
+        .filter(s => /^G[1-5]$/.test(s || '')).map(s => Number(s[1]));
+    return levels.length > 0 ? Math.max(...levels) : null;
+}
+
+// Message text after the header block (code, serial, issue time)
+function bodyOf(text) {
+    const lines = text.split('\n');
+    const issueLine = lines.findIndex(l => /^Issue Time:/.test(l.trim()));
+    return lines.slice(issueLine + 1).join('\n').trim();
+}
+
+// ─── Status & Cross-Reference ────────────────────────────────────────────────
+
+/**
+ * Add each record's status and the local measurement it can be checked against.
+ * @param {Array} records - parseProducts() output
+ * @param {Object} history - fetchRawHistory() output (live 1–3 day windows)
+ * @param {number} now - Reference time in ms
+ * @returns {Array} Records with { status, superseded_by, cancelled_by, local }
+ */
+function annotate(records, history, now) {
+    const bySerial = new Map((records || []).filter(r => r.serial).map(r => [r.serial, r]));
+    const replacedBy = new Map();
+    for (const r of records || []) {
+        if (!r.refers_to || !bySerial.has(r.refers_to)) continue;
+        if (r.action === 'extended' || r.action === 'cancel') replacedBy.set(r.refers_to, r);
+    }
+
+    return (records || []).map(r => {
+        const by = replacedBy.get(r.serial);
+        const out = {
+            ...r,
+            status: statusOf(r, by, now),
+            superseded_by: by && by.action === 'extended' ? by.serial : null,
+            cancelled_by: by && by.action === 'cancel' ? by.serial : null,
+        };
+        out.local = observe(out, history, now);
+        return out;
+    });
+}
+
+function statusOf(r, replacement, now) {
+    if (replacement) return replacement.action === 'cancel' ? 'cancelled' : 'superseded';
+    if (!r.valid_to || r.action === 'cancel') return 'issued';
+    if (r.valid_from && Date.parse(r.valid_from) > now) return 'upcoming';
+    return Date.parse(r.valid_to) >= now ? 'active' : 'expired';
+}
+
+/**
+ * Compare a product against our own data over its window: a warning from
+ * its valid_from to now (or its end), an alert or summary from its begin /
+ * threshold time.
+ * @returns {Object|null} { metric, condition, threshold, window, observed_max, observed_at, observed_now, status, related_alerts }
+ *   status: confirmed | not_observed | pending (window not started) | unavailable (no data in the window)
+ */
+function observe(rec, history, now) {
+    const family = familyOf(rec.code);
+    if (!family) return null;
+    const def = METRICS[family.metric];
+    const threshold = family.threshold(family.match, rec);
+
+    const start = rec.valid_from || rec.begin_time || rec.threshold_time || rec.issue_time;
+    let from = Date.parse(start);
+    if (rec.kind === 'alert' && !rec.begin_time) from -= ALERT_LEAD_MS;
+    const to = Math.min(now, Date.parse(rec.end_time || rec.valid_to || new Date(now).toISOString()));
+
+    const rows = (history?.[def.history] || [])
+        .map(row => ({ t: normalizeTime(row.time), v: def.value(row) }))
+        .filter(p => p.t && typeof p.v === 'number' && !isNaN(p.v));
+    const latest = rows.length > 0 ? rows[rows.length - 1] : null;
+
+    let max = null;
+    for (const p of rows) {
+        const ms = Date.parse(p.t);
+        if (ms < from || ms > to) continue;
+        if (!max || p.v > max.v) max = p;
+    }
+
+    let status = 'unavailable';
+    if (from > now) status = 'pending';
+    else if (max) status = max.v >= threshold ? 'confirmed' : 'not_observed';
+
+    return {
+        metric: family.metric,
+        condition: `${def.label} ≥ ${formatValue(threshold)}${def.unit ? ` ${def.unit}` : ''}`,
+        threshold,
+        window: { from: isNaN(from) ? null : isoTime(from), to: isNaN(to) ? null : isoTime(to) },
+        observed_max: max ? max.v : null,
+        observed_at: max ? max.t : null,
+        observed_now: latest ? latest.v : null,
+        status,
+        related_alerts: def.alerts,
+    };
+}
+
+function familyOf(code) {
+    for (const f of FAMILIES) {
+        const match = f.pattern.exec(code || '');
+        if (match) return { ...f, match };
+    }
+    return null;
+}
+
+/**
+ * Filter records and mark which of our related alerts are active in a
+ * profile's evaluation.
+ * @param {Array} records - annotate() output
+ * @param {Object} evaluation - A profile's tracked evaluation (or null)
+ * @param {Object} [filter] - { status: [..], kind: [..], code: [prefixes], from, to (issue time, ms), limit }
+ */
+function query(records, evaluation, filter = {}) {
+    const active = new Set((evaluation?.alerts || []).map(a => a.id));
+    return (records || [])
+        .filter(r => !filter.status || filter.status.includes(r.status))
+        .filter(r => !filter.kind || filter.kind.includes(r.kind))
+        .filter(r => !filter.code || filter.code.some(c => r.code.startsWith(c)))
+        .filter(r => filter.from == null || Date.parse(r.issue_time) >= filter.from)
+        .filter(r => filter.to == null || Date.parse(r.issue_time) <= filter.to)
+        .slice(0, filter.limit || Infinity)
+        .map(r => (r.local ? { ...r, local: { ...r.local, active_alerts: r.local.related_alerts.filter(id => active.has(id)) } } : r));
+}
+
+/**
+ * What the Alert Center shows: warnings and watches in effect or upcoming,
+ * and alerts / summaries issued in the last 24 hours.
+ */
+function current(records, evaluation, now) {
+    return query(records, evaluation).filter(r =>
+        r.status === 'active' || r.status === 'upcoming' ||
+        (r.status === 'issued' && r.action !== 'cancel' && now - Date.parse(r.issue_time) <= RECENT_MS));
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function isoTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function formatValue(v) {
+    return v < 0.01 ? v.toExponential(0) : String(v);
+}
+
+function omit(obj, keys) {
+    return Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+}
+
+const STATUSES = ['active', 'upcoming', 'expired', 'superseded', 'cancelled', 'issued'];
+const KINDS = ['alert', 'warning', 'watch', 'summary', 'message'];
+
+module.exports = { parseProducts, parseProduct, parseSwpcTime, annotate, query, current, STATUSES, KINDS, METRICS };
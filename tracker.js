@@ -0,0 +1,220 @@
+/**
+ * NOAA Space Weather Alert Lifecycle Tracker
+ *
+ * Sits on top of alerts.evaluate() and gives alerts memory: per-rule minimum
+ * durations before an alert is raised, separate clear thresholds (hysteresis)
+ * before it is dropped, and onset / last-seen / peak bookkeeping. State is
+ * persisted to disk so it survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEV, THRESHOLDS, alertKey } = require('./alerts');
+
+const MINUTE = 60 * 1000;
+
+// Longest gap between sightings that still counts as continuous observation
+// (two missed 5-minute refreshes)
+const DEFAULT_MAX_GAP_MS = 10 * MINUTE;
+
+// ─── Lifecycle Rules ─────────────────────────────────────────────────────────
+
+/**
+ * Per-alert lifecycle rules.
+ *   value(metrics, alert)     — the reading tracked for `peak_value`
+ *   peak                      — 'min' or 'max' (which direction is "worse")
+ *   minDurationMs             — condition must hold this long before the alert is raised
+ *   clear(metrics, T, alert)  — once active, the alert is only dropped when this is true
+ *
+ * Alerts without a rule are raised immediately and cleared as soon as
+ * evaluate() stops reporting them. Per-hemisphere alerts are tracked
+ * separately (alertKey()) under one rule.
+ */
+const RULES = {
+    GEOMAG_STORM_IMMINENT: {
+        value: m => m.solar_wind?.bz_gsm,
+        peak: 'min',
+        minDurationMs: 15 * MINUTE,
+        clear: (m, T) => !(m.solar_wind?.bz_gsm <= T.bzSouth + 2) || !(m.solar_wind?.speed > T.windSpeed - 50),
+    },
+    GEOMAG_STORM_ACTIVE: {
+        value: m => m.kp_index?.kp_index,
+        peak: 'max',
+        minDurationMs: 0,
+        clear: (m, T) => !(m.kp_index?.kp_index >= T.kpMinorStorm - 0.5),
+    },
+    RADIO_BLACKOUT: {
+        value: m => m.xray_flux?.flux,
+        peak: 'max',
+        minDurationMs: 0,
+        clear: (m, T) => !(m.xray_flux?.flux >= T.mClassFlare * 0.5),
+    },
+    // Onset and end already follow NOAA's three-point event rules (protons.js)
+    RADIATION_STORM: {
+        value: m => m.proton_flux?.flux,
+        peak: 'max',
+        minDurationMs: 0,
+    },
+    DIELECTRIC_CHARGING: {
+        value: m => m.electron_flux?.flux,
+        peak: 'max',
+        minDurationMs: 0,
+        clear: (m, T) => !(m.electron_flux?.flux >= T.electronAlert * 0.8),
+    },
+    HIGH_ATMOSPHERIC_DRAG: {
+        value: m => m.f107_flux?.flux,
+        peak: 'max',
+        minDurationMs: 0,
+        clear: (m, T) => !(m.f107_flux?.flux >= T.highDrag - 5),
+    },
+    MAGNETOPAUSE_GEO_CROSSING: {
+        value: m => m.magnetopause?.standoff_re,
+        peak: 'min',
+        minDurationMs: 5 * MINUTE,
+        clear: (m, T) => !(m.magnetopause?.standoff_re < T.geoMagnetopause + 0.3),
+    },
+    AURORA_ACTIVE: {
+        value: (m, a) => m.aurora_power?.[`${a.hemisphere}_gw`],
+        peak: 'max',
+        minDurationMs: 10 * MINUTE,
+        clear: (m, T, a) => !(m.aurora_power?.[`${a.hemisphere}_gw`] >= T.auroraActive * 0.8),
+    },
+};
+
+// ─── Tracker ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create an alert lifecycle tracker.
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file the state is persisted to (omit for in-memory only)
+ * @param {Object} [options.rules] - Per-alert overrides merged over RULES
+ * @param {Object} [options.thresholds] - Thresholds passed to the clear() predicates when the
+ *                                        evaluation does not carry its own (profile) thresholds
+ * @param {number} [options.maxGapMs] - A pending alert not seen for longer than this restarts its
+ *                                      persistence window (default: 10 minutes)
+ */
+function createTracker(options = {}) {
+    const file = options.file || null;
+    const rules = { ...RULES, ...(options.rules || {}) };
+    const thresholds = options.thresholds || THRESHOLDS;
+    const maxGapMs = options.maxGapMs || DEFAULT_MAX_GAP_MS;
+
+    // alertKey → { first_seen, last_seen, active, raised_at, peak_value, alert }
+    let state = {};
+    if (file) {
+        try {
+            restore(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        } catch (e) { /* no saved state yet */ }
+    }
+
+    /**
+     * Feed a fresh alerts.evaluate() result through the tracker.
+     * @param {Object} evaluation - { alerts, metrics } from alerts.evaluate()
+     * @param {number} [now] - Evaluation time in ms (defaults to Date.now())
+     * @returns {Object} { alerts, metrics, pending } — alerts carry lifecycle fields
+     */
+    function update(evaluation, now = Date.now()) {
+        const metrics = evaluation.metrics || {};
+        const raw = new Map(evaluation.alerts.map(a => [alertKey(a), a]));
+        const keys = new Set([...raw.keys(), ...Object.keys(state)]);
+
+        for (const key of keys) {
+            const alert = raw.get(key);
+            let st = state[key];
+            const ref = alert || st.alert;
+            const rule = rules[ref.id] || {};
+            const value = rule.value ? rule.value(metrics, ref) : null;
+
+            if (alert) {
+                if (!st || (!st.active && now - st.last_seen > maxGapMs)) {
+                    // New, or not observed in between — persistence counts from this sighting
+                    st = state[key] = { first_seen: now, last_seen: now, active: false, raised_at: null, peak_value: null, alert: null };
+                }
+                st.last_seen = now;
+                st.alert = { ...alert, severity: alert.severity.label };
+                if (!st.active && now - st.first_seen >= (rule.minDurationMs || 0)) {
+                    st.active = true;
+                    st.raised_at = now;
+                }
+            } else if (st.active && rule.clear && !rule.clear(metrics, evaluation.thresholds || thresholds, ref)) {
+                // Inside the hysteresis band — keep the alert raised
+            } else {
+                delete state[key];
+                continue;
+            }
+
+            st.peak_value = worse(st.peak_value, value, rule.peak);
+        }
+
+        save();
+        return view(evaluation, now);
+    }
+
+    function view(evaluation, now) {
+        const alerts = [];
+        const pending = [];
+
+        for (const st of Object.values(state)) {
+            const lifecycle = {
+                first_seen: new Date(st.first_seen).toISOString(),
+                last_seen: new Date(st.last_seen).toISOString(),
+                peak_value: st.peak_value,
+                duration: Math.round((now - st.first_seen) / 1000),
+            };
+            if (st.active) {
+                alerts.push({
+                    ...st.alert,
+                    severity: SEV[st.alert.severity] || SEV.INFO,
+                    ...lifecycle,
+                    held: st.last_seen !== now,
+                });
+            } else {
+                pending.push({
+                    id: st.alert.id,
+                    ...(st.alert.hemisphere && { hemisphere: st.alert.hemisphere }),
+                    severity: st.alert.severity,
+                    message: st.alert.message,
+                    ...lifecycle,
+                    required_duration: Math.round((rules[st.alert.id]?.minDurationMs || 0) / 1000),
+                });
+            }
+        }
+
+        alerts.sort((a, b) => b.severity.level - a.severity.level);
+        return { ...evaluation, alerts, pending };
+    }
+
+    function save() {
+        if (!file) return;
+        try {
+            const dir = path.dirname(file);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(file, JSON.stringify(snapshot(), null, 2), 'utf-8');
+        } catch (err) {
+            // Read-only filesystems (e.g. serverless) keep state in memory only
+            console.error(`Alert state save failed: ${err.message}`);
+        }
+    }
+
+    function snapshot() {
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    function restore(saved) {
+        state = saved && typeof saved === 'object' ? saved : {};
+    }
+
+    return { update, snapshot, restore };
+}
+
+// ─── Utilities ───────────────────────────────────────────────────────────────
+
+function worse(current, value, direction) {
+    if (value === null || value === undefined || isNaN(value)) return current;
+    if (current === null || current === undefined) return value;
+    return direction === 'min' ? Math.min(current, value) : Math.max(current, value);
+}
+
+module.exports = { createTracker, RULES };